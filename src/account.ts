@@ -30,6 +30,7 @@ export const MainAccountDerivationIndex = 0 as const;
  * @param mnemonicOrPrivateKey - The mnemonic phrase or private key
  * @param config - The config obj
  * @param options - The config obj
+ * @param accountIndexes - (optional) Derivation indexes of the accounts to generate, defaults to 1 to wallet count
  * @returns Array of ethers Wallets derived from the given menomonic phrase and standard derivation path
  */
 export async function initAccounts(
@@ -38,6 +39,7 @@ export async function initAccounts(
     options: CliOptions,
     tracer?: Tracer,
     ctx?: Context,
+    accountIndexes?: number[],
 ) {
     const accounts: ViemClient[] = [];
     const isMnemonic = !/^(0x)?[a-fA-F0-9]{64}$/.test(mnemonicOrPrivateKey);
@@ -62,21 +64,13 @@ export async function initAccounts(
     // if the provided key is mnemonic, generate new accounts
     if (isMnemonic) {
         const len = options.walletCount ?? 0;
-        for (let addressIndex = 1; addressIndex <= len; addressIndex++) {
-            accounts.push(
-                await createViemClient(
-                    config.chain.id as ChainId,
-                    config.rpc,
-                    config.publicRpc,
-                    mnemonicToAccount(mnemonicOrPrivateKey, {
-                        addressIndex,
-                    }),
-                    config.timeout,
-                    (config as any).testClientViem,
-                    config,
-                ),
-            );
-        }
+        accounts.push(
+            ...(await deriveAccounts(
+                mnemonicOrPrivateKey,
+                config,
+                accountIndexes ?? Array.from({ length: len }, (_, i) => i + 1),
+            )),
+        );
     }
 
     // reaed current eth balances of the accounts, this will be
@@ -104,9 +98,10 @@ export async function initAccounts(
                 await setWatchedTokens(accounts[i], config.watchedTokens ?? []);
                 accounts[i].BALANCE = balances[i + 1];
 
-                // only topup those accounts that have lower than expected funds
+                // only topup those accounts that have lower than expected funds,
+                // no topups are sent in dry run mode
                 const transferAmount = topupAmountBn.sub(balances[i + 1]);
-                if (transferAmount.gt(0)) {
+                if (transferAmount.gt(0) && !config.dryRun) {
                     const span = tracer?.startSpan("fund-wallets", undefined, ctx);
                     span?.setAttribute("details.wallet", accounts[i].account.address);
                     span?.setAttribute("details.amount", ethers.utils.formatUnits(transferAmount));
@@ -141,10 +136,46 @@ export async function initAccounts(
     return { mainAccount, accounts };
 }
 
+/**
+ * Derives the accounts of the given derivation indexes from the mnemonic phrase
+ * @param mnemonic - The mnemonic phrase
+ * @param config - The config obj
+ * @param indexes - The derivation indexes
+ */
+export async function deriveAccounts(
+    mnemonic: string,
+    config: BotConfig,
+    indexes: number[],
+): Promise<ViemClient[]> {
+    const accounts: ViemClient[] = [];
+    for (const addressIndex of indexes) {
+        accounts.push(
+            await createViemClient(
+                config.chain.id as ChainId,
+                config.rpc,
+                config.publicRpc,
+                mnemonicToAccount(mnemonic, { addressIndex }),
+                config.timeout,
+                (config as any).testClientViem,
+                config,
+            ),
+        );
+    }
+    return accounts;
+}
+
+/**
+ * Gets the derivation index of an account that is derived from a mnemonic phrase
+ */
+export function getAccountIndex(account: ViemClient): number {
+    return account.account.getHdKey().index;
+}
+
 /**
  * Manages accounts by removing the ones that are out of gas from circulation
  * and replaces them with new ones while topping them up with x11 of avg gas cost
- * of the arb() transactions, returns the last index used for new wallets.
+ * of the arb() transactions, returns the last index used for new wallets, nothing is
+ * done in dry run mode as it would send top up and sweep transactions.
  * @param config - The config obj
  * @param options - The config obj
  * @param avgGasCost - Avg gas cost of arb txs
@@ -161,6 +192,7 @@ export async function manageAccounts(
     tracer?: Tracer,
     ctx?: Context,
 ) {
+    if (config.dryRun) return lastIndex;
     const removedWallets: ViemClient[] = [];
     let accountsToAdd = 0;
     for (let i = config.accounts.length - 1; i >= 0; i--) {
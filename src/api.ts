@@ -0,0 +1,339 @@
+import { ethers } from "ethers";
+import { getOrderDetails } from ".";
+import { errorSnapshot } from "./error";
+import { redactUrl } from "./options";
+import { createHash, timingSafeEqual } from "crypto";
+import { createServer, IncomingMessage, Server } from "http";
+import { METRICS_CONTENT_TYPE, renderMetrics } from "./metrics";
+import { handleAddOrderbookOwnersProfileMap, removeOrderFromOwnersProfileMap } from "./order";
+import {
+    BotConfig,
+    CliOptions,
+    ViemClient,
+    TokenDetails,
+    OperationState,
+    OrderbooksOwnersProfileMap,
+} from "./types";
+
+/**
+ * Max size of a request body in bytes, larger bodies are rejected
+ */
+export const MAX_BODY_SIZE = 16_384 as const;
+
+/**
+ * Handle of a running chain that is inspected and controlled through the api
+ */
+export type ChainHandle = {
+    /** Current round number */
+    round: number;
+    /** If the rounds are paused */
+    paused: boolean;
+    /** If the pools should be refreshed on next round */
+    refreshPools: boolean;
+    options: CliOptions;
+    config: BotConfig;
+    state: OperationState;
+    orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap;
+    tokens: TokenDetails[];
+};
+
+/**
+ * Result of an api request
+ */
+export type ApiResponse = {
+    status: number;
+    body: any;
+    /** Content type of a raw text body, body is serialized as json if not specified */
+    contentType?: string;
+};
+
+type Route = {
+    /** If the route is a control route that requires authentication */
+    control?: boolean;
+    /** If the route should target exactly one chain */
+    single?: boolean;
+    handler: (handle: ChainHandle, body: any) => any;
+};
+
+/**
+ * Api routes, read-only routes are served with GET and control routes with POST
+ */
+const ROUTES: Record<string, Route> = {
+    "/status": {
+        handler: (handle) => ({
+            chainId: handle.config.chain.id,
+            round: handle.round,
+            paused: handle.paused,
+            gasPrice: handle.state.gasPrice.toString(),
+            l1GasPrice: handle.state.l1GasPrice.toString(),
+        }),
+    },
+    "/orders": {
+        handler: (handle) => {
+            const result: Record<string, Record<string, { limit: number; orders: string[] }>> = {};
+            for (const [orderbook, ownersProfileMap] of handle.orderbooksOwnersProfileMap) {
+                result[orderbook] = {};
+                for (const [owner, ownerProfile] of ownersProfileMap) {
+                    result[orderbook][owner] = {
+                        limit: ownerProfile.limit,
+                        orders: Array.from(ownerProfile.orders.keys()),
+                    };
+                }
+            }
+            return result;
+        },
+    },
+    "/wallets": {
+        handler: (handle) => ({
+            mainAccount: getWallet(handle.config.mainAccount),
+            accounts: handle.config.accounts.map(getWallet),
+        }),
+    },
+    "/rpc": {
+        handler: (handle) => {
+            // urls are redacted as they may contain api keys, so records of the same host add up
+            const result: Record<string, { req: number; success: number; failure: number }> = {};
+            for (const rpc in handle.config.rpcRecords) {
+                const { req, success, failure } = handle.config.rpcRecords[rpc];
+                const record = (result[redactUrl(rpc)] ??= { req: 0, success: 0, failure: 0 });
+                record.req += req;
+                record.success += success;
+                record.failure += failure;
+            }
+            return result;
+        },
+    },
+    "/pause": {
+        control: true,
+        handler: (handle) => {
+            handle.paused = true;
+            return { paused: true };
+        },
+    },
+    "/resume": {
+        control: true,
+        handler: (handle) => {
+            handle.paused = false;
+            return { paused: false };
+        },
+    },
+    "/refresh-pools": {
+        control: true,
+        handler: (handle) => {
+            handle.refreshPools = true;
+            return { refreshPools: true };
+        },
+    },
+    "/orders/watch": {
+        control: true,
+        single: true,
+        handler: async (handle, body) => {
+            const orderHash = getOrderHash(body);
+            const orders = await getOrderDetails(handle.options.subgraph, {
+                orderHash,
+                orderbook: handle.options.orderbookAddress,
+            });
+            if (!orders.length) throw `found no active order with hash ${orderHash}`;
+            await handleAddOrderbookOwnersProfileMap(
+                handle.orderbooksOwnersProfileMap,
+                orders,
+                handle.config.viemClient as any as ViemClient,
+                handle.tokens,
+                handle.options.ownerProfile,
+            );
+            return { watched: orderHash };
+        },
+    },
+    "/orders/unwatch": {
+        control: true,
+        single: true,
+        handler: (handle, body) => {
+            const orderHash = getOrderHash(body);
+            if (!removeOrderFromOwnersProfileMap(handle.orderbooksOwnersProfileMap, orderHash)) {
+                throw `order with hash ${orderHash} is not watched`;
+            }
+            return { unwatched: orderHash };
+        },
+    },
+};
+
+/**
+ * Starts the http api server that exposes read-only endpoints for inspecting the running
+ * chains, the prometheus metrics and control endpoints that require the api key as bearer token
+ * @param chains - The running chains by their name, gets updated as chains start and stop
+ * @param port - The port to listen on
+ * @param host - The host to listen on
+ * @param key - (optional) The api key, control endpoints are disabled if not specified
+ */
+export async function startApi(
+    chains: Map<string, ChainHandle>,
+    port: number,
+    host: string,
+    key?: string,
+): Promise<Server> {
+    const server = createServer(async (req, res) => {
+        let response: ApiResponse;
+        try {
+            const url = new URL(req.url ?? "/", "http://localhost");
+            const body = req.method === "POST" ? await readBody(req) : undefined;
+            response =
+                body === BODY_TOO_LARGE
+                    ? { status: 413, body: { error: `body exceeds ${MAX_BODY_SIZE} bytes` } }
+                    : await handleApiRequest(
+                          chains,
+                          req.method ?? "GET",
+                          url.pathname,
+                          url.searchParams.get("chain") ?? undefined,
+                          req.headers.authorization,
+                          body,
+                          key,
+                      );
+        } catch (error) {
+            response = { status: 500, body: { error: errorSnapshot("", error) } };
+        }
+        if (response.status === 413) {
+            // the rest of the body is not read, the connection is closed once responded
+            res.writeHead(413, { "Content-Type": "application/json", Connection: "close" });
+            res.end(JSON.stringify(response.body), () => req.destroy());
+            return;
+        }
+        res.writeHead(response.status, {
+            "Content-Type": response.contentType ?? "application/json",
+        });
+        res.end(response.contentType ? response.body : JSON.stringify(response.body));
+    });
+    await new Promise<void>((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+            server.off("error", reject);
+            resolve();
+        });
+    });
+    return server;
+}
+
+/**
+ * Handles an api request, responds with the result of the route for each of the targeted chains
+ * @param chains - The running chains by their name
+ * @param method - Request method
+ * @param path - Request path
+ * @param chain - (optional) Name of the chain to target, targets all chains if not specified
+ * @param authorization - (optional) Request authorization header
+ * @param body - (optional) Request parsed json body
+ * @param key - (optional) The api key
+ */
+export async function handleApiRequest(
+    chains: Map<string, ChainHandle>,
+    method: string,
+    path: string,
+    chain?: string,
+    authorization?: string,
+    body?: any,
+    key?: string,
+): Promise<ApiResponse> {
+    // metrics of all chains are served as a whole in prometheus format
+    if (path === "/metrics") {
+        if (method !== "GET") {
+            return { status: 405, body: { error: `method ${method} is not allowed for ${path}` } };
+        }
+        return { status: 200, body: renderMetrics(), contentType: METRICS_CONTENT_TYPE };
+    }
+
+    const route = ROUTES[path];
+    if (!route) return { status: 404, body: { error: `unknown path ${path}` } };
+    if (method !== (route.control ? "POST" : "GET")) {
+        return { status: 405, body: { error: `method ${method} is not allowed for ${path}` } };
+    }
+    if (route.control) {
+        if (!key) {
+            return { status: 403, body: { error: "control endpoints are disabled, no api key" } };
+        }
+        if (!authorization || !isAuthorized(authorization, key)) {
+            return { status: 401, body: { error: "unauthorized" } };
+        }
+    }
+    if (chain !== undefined && !chains.has(chain)) {
+        return { status: 404, body: { error: `unknown chain ${chain}` } };
+    }
+    const targets = chain !== undefined ? [chain] : Array.from(chains.keys());
+    if (route.single && targets.length !== 1) {
+        return {
+            status: 400,
+            body: { error: "expected exactly one chain, specify it by ?chain=" },
+        };
+    }
+
+    const result: Record<string, any> = {};
+    for (const name of targets) {
+        try {
+            result[name] = await route.handler(chains.get(name)!, body);
+        } catch (error) {
+            if (typeof error !== "string") throw error;
+            return { status: 400, body: { error } };
+        }
+    }
+    return { status: 200, body: result };
+}
+
+/**
+ * Compares the bearer token against the api key in constant time
+ */
+function isAuthorized(authorization: string, key: string): boolean {
+    const token = authorization.replace(/^Bearer\s+/i, "");
+    const hash = (v: string) => createHash("sha256").update(v).digest();
+    return timingSafeEqual(hash(token), hash(key));
+}
+
+/**
+ * Marks a request body that exceeds the max body size
+ */
+const BODY_TOO_LARGE = Symbol("body too large");
+
+/**
+ * Reads and parses a request's json body, stops reading as soon as the body exceeds
+ * the max body size, so the request can be rejected without reading the rest of it
+ */
+function readBody(req: IncomingMessage): Promise<any> {
+    return new Promise((resolve, reject) => {
+        let data = "";
+        let size = 0;
+        const onData = (chunk: Buffer) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                req.off("data", onData);
+                req.pause();
+                resolve(BODY_TOO_LARGE);
+                return;
+            }
+            data += chunk;
+        };
+        req.on("data", onData);
+        req.once("error", reject);
+        req.once("end", () => {
+            if (!data) return resolve({});
+            try {
+                resolve(JSON.parse(data));
+            } catch {
+                resolve(undefined);
+            }
+        });
+    });
+}
+
+/**
+ * Gets and validates the order hash of a request body
+ */
+function getOrderHash(body: any): string {
+    const orderHash = body?.orderHash;
+    if (typeof orderHash !== "string" || !/^0x[a-fA-F0-9]{64}$/.test(orderHash)) {
+        throw "expected a valid orderHash in request body";
+    }
+    return orderHash.toLowerCase();
+}
+
+function getWallet(wallet: ViemClient) {
+    return {
+        address: wallet.account.address,
+        balance: ethers.utils.formatUnits(wallet.BALANCE),
+    };
+}
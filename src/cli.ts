@@ -1,28 +1,46 @@
 import { config } from "dotenv";
-import { isAddress } from "viem";
 import { getGasPrice } from "./gas";
-import { Command } from "commander";
 import { getMetaInfo } from "./config";
 import { BigNumber, ethers } from "ethers";
 import { Context } from "@opentelemetry/api";
+import { ChainHandle, startApi } from "./api";
+import { Argument, Command } from "commander";
+import { createScheduler } from "./scheduler";
+import { createPoolWatcher } from "./poolWatcher";
 import { getOrderChanges, SgOrder } from "./query";
 import { Resource } from "@opentelemetry/resources";
 import { getOrderDetails, clear, getConfig } from ".";
 import { ErrorSeverity, errorSnapshot } from "./error";
 import { Tracer } from "@opentelemetry/sdk-trace-base";
+import { parseOptions, redactOptions } from "./options";
 import { ProcessPairReportStatus } from "./processOrders";
-import { sleep, getOrdersTokens, isBigNumberish } from "./utils";
+import { readConfigFile, readConfigFileChains } from "./configFile";
+import { createHealthTracker, releaseQuarantinedOrders } from "./health";
 import { CompressionAlgorithm } from "@opentelemetry/otlp-exporter-base";
 import { OTLPTraceExporter } from "@opentelemetry/exporter-trace-otlp-http";
 import { SEMRESATTRS_SERVICE_NAME } from "@opentelemetry/semantic-conventions";
+import { ONE_SHOT_COMMANDS, OneShotCommand, runOneShotCommand } from "./commands";
+import { sleep, getOrdersTokens, waitForNewBlock, withSpanAttributes } from "./utils";
+import { incMetric, Metrics, recordRpcRecords, recordWalletBalances } from "./metrics";
+import { formatLedgerReports, getLedgerReports, parseSince, readLedger } from "./ledger";
 import { BotConfig, BundledOrders, CliOptions, OperationState, ViemClient } from "./types";
 import {
     sweepToEth,
+    deriveAccounts,
     manageAccounts,
     rotateProviders,
+    addWatchedToken,
+    getAccountIndex,
     sweepToMainWallet,
     getBatchEthBalance,
 } from "./account";
+import {
+    getStateStore,
+    DEFAULT_STATE_KEY,
+    getPersistedWallet,
+    getOwnersLastIndex,
+    restoreOwnersLastIndex,
+} from "./store";
 import {
     downscaleProtection,
     prepareOrdersForRound,
@@ -57,7 +75,7 @@ const ENV_OPTIONS = {
     genericArbAddress: process?.env?.GENERIC_ARB_ADDRESS,
     orderbookAddress: process?.env?.ORDERBOOK_ADDRESS,
     lps: process?.env?.LIQUIDITY_PROVIDERS,
-    gasCoverage: process?.env?.GAS_COVER || "100",
+    gasCoverage: process?.env?.GAS_COVER,
     orderHash: process?.env?.ORDER_HASH,
     orderOwner: process?.env?.ORDER_OWNER,
     sleep: process?.env?.SLEEP,
@@ -77,7 +95,40 @@ const ENV_OPTIONS = {
     quoteGas: process?.env?.QUOTE_GAS,
     route: process?.env?.ROUTE,
     dispair: process?.env?.DISPAIR,
+    config: process?.env?.CONFIG_FILE,
+    chain: process?.env?.CHAIN
+        ? Array.from(process?.env?.CHAIN.matchAll(/[^,\s]+/g)).map((v) => v[0])
+        : undefined,
+    printConfig: process?.env?.PRINT_CONFIG?.toLowerCase() === "true" ? true : false,
+    dryRun: process?.env?.DRY_RUN?.toLowerCase() === "true" ? true : false,
+    sweepOnShutdown: process?.env?.SWEEP_ON_SHUTDOWN?.toLowerCase() === "true" ? true : false,
+    shutdownTimeout: process?.env?.SHUTDOWN_TIMEOUT,
+    apiPort: process?.env?.API_PORT,
+    apiHost: process?.env?.API_HOST,
+    apiKey: process?.env?.API_KEY,
+    stateStore: process?.env?.STATE_STORE,
+    ledger: process?.env?.LEDGER,
+    blockDriven: process?.env?.BLOCK_DRIVEN?.toLowerCase() === "true" ? true : false,
+    minRoundGap: process?.env?.MIN_ROUND_GAP,
+    watchPools: process?.env?.WATCH_POOLS?.toLowerCase() === "true" ? true : false,
+    watchPoolsMaxIdle: process?.env?.WATCH_POOLS_MAX_IDLE,
+    concurrency: process?.env?.CONCURRENCY,
+    rpcRateLimit: process?.env?.RPC_RATE_LIMIT,
+    scheduleStaleness: process?.env?.SCHEDULE_STALENESS,
+    orderBackoff: process?.env?.ORDER_BACKOFF,
+    orderBackoffMax: process?.env?.ORDER_BACKOFF_MAX,
+    quarantineAfter: process?.env?.QUARANTINE_AFTER,
+    batchOrders: process?.env?.BATCH_ORDERS,
+    priorityFee: process?.env?.PRIORITY_FEE,
+    gasBid: process?.env?.GAS_BID,
+    txReplaceTimeout: process?.env?.TX_REPLACE_TIMEOUT,
+    relayMethod: process?.env?.RELAY_METHOD,
+    relayBlocks: process?.env?.RELAY_BLOCKS,
+    relayAuthKey: process?.env?.RELAY_AUTH_KEY,
     rpOnly: process?.env?.RP_ONLY?.toLowerCase() === "true" ? true : false,
+    clearModes: process?.env?.CLEAR_MODES
+        ? Array.from(process?.env?.CLEAR_MODES.matchAll(/[^,\s]+/g)).map((v) => v[0])
+        : undefined,
     ownerProfile: process?.env?.OWNER_PROFILE
         ? Array.from(process?.env?.OWNER_PROFILE.matchAll(/[^,\s]+/g)).map((v) => v[0])
         : undefined,
@@ -90,10 +141,16 @@ const ENV_OPTIONS = {
     subgraph: process?.env?.SUBGRAPH
         ? Array.from(process?.env?.SUBGRAPH.matchAll(/[^,\s]+/g)).map((v) => v[0])
         : undefined,
+    relay: process?.env?.RELAY
+        ? Array.from(process?.env?.RELAY.matchAll(/[^,\s]+/g)).map((v) => v[0])
+        : undefined,
 };
 
-const getOptions = async (argv: any, version?: string) => {
-    const cmdOptions = new Command("node arb-bot")
+/**
+ * Builds the cli command with all of its options
+ */
+const getCommand = (version?: string) => {
+    return new Command("node arb-bot")
         .option(
             "-k, --key <private-key>",
             "Private key of wallet that performs the transactions, one of this or --mnemonic should be specified. Will override the 'BOT_WALLET_PRIVATEKEY' in env variables",
@@ -214,10 +271,140 @@ const getOptions = async (argv: any, version?: string) => {
             "--quote-gas <integer>",
             "Option to set a static gas limit for quote read calls, default is 1 milion. Will override the 'QUOTE_GAS' in env variables",
         )
+        .option(
+            "--config <path>",
+            "Path to a YAML or JSON config file with the same keys as the cli options in camelCase (with optional per chain sections under 'chains'), values specified by cli flags or env variables take precedence over it. Will override the 'CONFIG_FILE' in env variables",
+        )
+        .option(
+            "--chain <name...>",
+            "Name(s) of the chain section(s) of the config file to apply, its values take precedence over the config file's top level values, if more than 1 is specified, runs each of them independently in parallel. Will override the 'CHAIN' in env variables",
+        )
+        .option(
+            "--print-config",
+            "Prints the resolved effective configuration with secrets redacted on startup. Will override the 'PRINT_CONFIG' in env variables",
+        )
+        .option(
+            "--dry-run",
+            "Simulates the found opportunities without ever broadcasting any transactions, the would-be transactions are recorded in the reports and spans. Will override the 'DRY_RUN' in env variables",
+        )
+        .option(
+            "--sweep-on-shutdown",
+            "Sweeps the circulating wallets' funds back to the main wallet on shutdown, requires '--mnemonic'. Will override the 'SWEEP_ON_SHUTDOWN' in env variables",
+        )
+        .option(
+            "--shutdown-timeout <integer>",
+            "Seconds to wait for in-flight transactions to settle on SIGINT/SIGTERM before exiting forcefully, default is 60. Will override the 'SHUTDOWN_TIMEOUT' in env variables",
+        )
+        .option(
+            "--api-port <integer>",
+            "Port of the http status, metrics and control api, the api is not started if not specified. Will override the 'API_PORT' in env variables",
+        )
+        .option(
+            "--api-host <host>",
+            "Host of the http status, metrics and control api, default is 127.0.0.1. Will override the 'API_HOST' in env variables",
+        )
+        .option(
+            "--api-key <key>",
+            "Key to authenticate the api control endpoints with as bearer token, control endpoints are disabled if not specified. Will override the 'API_KEY' in env variables",
+        )
+        .option(
+            "--state-store <path>",
+            "Location of the store that persists the bot's state across restarts, a json file path or '<type>://<location>', the state is not persisted if not specified. Will override the 'STATE_STORE' in env variables",
+        )
+        .option(
+            "--ledger <path>",
+            "Path of the ledger file that every attempted clear is appended to as a json line, also read by the 'report' command, no ledger is kept if not specified. Will override the 'LEDGER' in env variables",
+        )
+        .option(
+            "--since <value>",
+            "Only include the ledger entries since this date or duration before now such as 7d, 12h or 30m, for the 'report' command",
+        )
+        .option(
+            "--block-driven",
+            "Start the next round once a new block arrives rather than after --sleep seconds, new blocks are subscribed to if the rpc is a websocket and polled otherwise, --sleep is then the max wait for a new block. Will override the 'BLOCK_DRIVEN' in env variables",
+        )
+        .option(
+            "--min-round-gap <integer>",
+            "Minimum miliseconds between the start of consecutive rounds with --block-driven, default is 1000. Will override the 'MIN_ROUND_GAP' in env variables",
+        )
+        .option(
+            "--watch-pools",
+            "Only re-process the orders whose pools or orderbook have emitted logs since they were last processed, the pools that back each pair are tracked and their logs are read each round. Will override the 'WATCH_POOLS' in env variables",
+        )
+        .option(
+            "--watch-pools-max-idle <integer>",
+            "Max seconds an unchanged order is skipped for with --watch-pools, as an order's quote can change without any onchain activity, default is 60. Will override the 'WATCH_POOLS_MAX_IDLE' in env variables",
+        )
+        .option(
+            "--concurrency <integer>",
+            "Number of orders that are quoted and searched for opportunities at the same time, a wallet can have several transactions in flight as their nonces are assigned locally and each one is held until it is mined, default is 1. Will override the 'CONCURRENCY' in env variables",
+        )
+        .option(
+            "--rpc-rate-limit <integer>",
+            "Max number of requests per second that are sent to each rpc, requests over the limit are delayed, default is no limit. Will override the 'RPC_RATE_LIMIT' in env variables",
+        )
+        .option(
+            "--schedule-staleness <integer>",
+            "Rank the orders of each round by their expected value from their recent history, the orders that were never attempted come first, followed by the ones whose last attempt found an opportunity or whose quote has grown, the rest are deferred until they have not been attempted for this many seconds, default is no ranking and the orders are shuffled. Will override the 'SCHEDULE_STALENESS' in env variables",
+        )
+        .option(
+            "--order-backoff <integer>",
+            "Seconds that an order is backed off for after it fails to quote, finds no opportunity or reverts, doubled on each consecutive failure, orders that fail hard repeatedly are quarantined until their vaults or pools change, default is no backoff. Will override the 'ORDER_BACKOFF' in env variables",
+        )
+        .option(
+            "--order-backoff-max <integer>",
+            "Max seconds that an order is backed off for with --order-backoff, default is 3600. Will override the 'ORDER_BACKOFF_MAX' in env variables",
+        )
+        .option(
+            "--quarantine-after <integer>",
+            "Number of consecutive hard failures, such as eval reverts or no route to eth price, that quarantine an order with --order-backoff, default is 3. Will override the 'QUARANTINE_AFTER' in env variables",
+        )
+        .option(
+            "--batch-orders <integer>",
+            "Max number of orders of the same pair and orderbook that are cleared together in a single route processor tx, the cheapest orders are combined as long as the market price covers their ratios, so gas is paid once for all of them, the batch is built once per pair and its orders are processed only as a part of it, default is 1 that is no batching. Will override the 'BATCH_ORDERS' in env variables",
+        )
+        .option(
+            "--priority-fee <strategy>",
+            "Sends the clear txs as EIP-1559 txs on the chains that support it with the given priority fee strategy, either 'fixed:<wei>' for a fixed priority fee, 'percentile:<0-100>' for a percentile of the recent blocks' priority fees or 'profit:<0-100>' for a percentage of the tx's estimated profit, the max fee is capped so the tx's gas cost with gas coverage applied does not exceed its estimated profit and the clear is skipped if that cap is below the network gas price, if unset the txs are sent as legacy txs. Will override the 'PRIORITY_FEE' in env variables",
+        )
+        .option(
+            "--gas-bid <integer>",
+            "Max percentage of an opportunity's estimated profit that is bid as its gas cost, the found opportunities are sent with a gas price up to that share of their profit instead of the network gas price, and their bounty ensure task is rebuilt so the minimum expected bounty still covers the higher gas cost, if unset the network gas price is used. Will override the 'GAS_BID' in env variables",
+        )
+        .option(
+            "--tx-replace-timeout <integer>",
+            "Seconds that a clear tx can stay unmined before it is replaced with the same nonce and 20% higher fees, up to 3 times, the tx is re-simulated before each replacement and is cancelled by a 0 value self transfer if its opportunity is gone, if unset the txs are never replaced. Will override the 'TX_REPLACE_TIMEOUT' in env variables",
+        )
+        .option(
+            "--relay <url...>",
+            "Private relay URL(s), such as flashbots, that the clear txs are submitted to instead of the public mempool to protect them from being frontrun, the tx is sent to public mempool if it is not included within --relay-blocks or if the relays report it as failed, can be set per chain in the config file. Will override the 'RELAY' in env variables",
+        )
+        .option(
+            "--relay-method <string>",
+            "Method of submitting the txs to the private relays, either 'private' for eth_sendPrivateTransaction or 'bundle' for eth_sendBundle, default is 'private'. Will override the 'RELAY_METHOD' in env variables",
+        )
+        .option(
+            "--relay-blocks <integer>",
+            "Number of blocks that a tx submitted to the private relays targets, if it is not included within them it is sent to the public mempool, default is 3. Will override the 'RELAY_BLOCKS' in env variables",
+        )
+        .option(
+            "--relay-auth-key <key>",
+            "Private key that the private relay requests are signed with, relays rate their senders by it, if unset a random key is used. Will override the 'RELAY_AUTH_KEY' in env variables",
+        )
         .option(
             "--rp-only",
             "Only clear orders through RP4, excludes intra and inter orderbook clears. Will override the 'RP_ONLY' in env variables",
         )
+        .option(
+            "--clear-modes <mode...>",
+            "Clear modes that are tried for each order, any of 'rp4', 'intra', 'inter' and 'ring', if unset all of them are tried, --rp-only still excludes the orderbook modes. Will override the 'CLEAR_MODES' in env variables",
+        )
+        .addArgument(
+            new Argument(
+                "[command]",
+                "One-shot command to run and exit, 'quote' quotes the order specified by --order-hash, 'find-opp' finds an opportunity for it without broadcasting any transactions and 'clear' also clears it, 'report' prints the profit and loss of the --ledger entries, runs the bot in a loop if omitted",
+            ).choices(ONE_SHOT_COMMANDS),
+        )
         .description(
             [
                 "A NodeJS app to find and take arbitrage trades for Rain Orderbook orders against some DeFi liquidity providers, requires NodeJS v18 or higher.",
@@ -226,89 +413,168 @@ const getOptions = async (argv: any, version?: string) => {
             ].join("\n"),
         )
         .alias("arb-bot")
-        .version(version ?? "0.0.0")
-        .parse(argv)
-        .opts();
-
-    // assigning specified options from cli/env
-    cmdOptions.key = cmdOptions.key || getEnv(ENV_OPTIONS.key);
-    cmdOptions.mnemonic = cmdOptions.mnemonic || getEnv(ENV_OPTIONS.mnemonic);
-    cmdOptions.rpc = cmdOptions.rpc || getEnv(ENV_OPTIONS.rpc);
-    cmdOptions.writeRpc = cmdOptions.writeRpc || getEnv(ENV_OPTIONS.writeRpc);
-    cmdOptions.arbAddress = cmdOptions.arbAddress || getEnv(ENV_OPTIONS.arbAddress);
+        .version(version ?? "0.0.0");
+};
+
+/**
+ * Resolves the names of the chains to operate on, specified by cli/env/config file, in that
+ * order of precedence, returns an empty array if no chain is specified
+ * @param argv - cli args
+ */
+export async function getChains(argv: any, version?: string): Promise<string[]> {
+    const cmdOptions = getCommand(version).parse(argv).opts();
+    const chains = cmdOptions.chain || getEnv(ENV_OPTIONS.chain);
+    if (chains) return chains;
+    const configFile = cmdOptions.config || getEnv(ENV_OPTIONS.config);
+    return configFile ? readConfigFileChains(configFile) : [];
+}
+
+/**
+ * Returns the one-shot command specified by cli args, if any
+ * @param argv - cli args
+ */
+export function getOneShotCommand(argv: any, version?: string): OneShotCommand | undefined {
+    return getCommand(version).parse(argv).processedArgs[0];
+}
+
+const getOptions = async (argv: any, version?: string, chain?: string) => {
+    const cmdOptions = getCommand(version).parse(argv).opts();
+
+    // assigning specified options from cli/env/config file, in that order of precedence
+    cmdOptions.config = cmdOptions.config || getEnv(ENV_OPTIONS.config);
+    cmdOptions.chain = chain ?? (cmdOptions.chain || getEnv(ENV_OPTIONS.chain))?.[0];
+    const fileOptions = cmdOptions.config
+        ? readConfigFile(cmdOptions.config, cmdOptions.chain)
+        : {};
+    cmdOptions.key = cmdOptions.key || getEnv(ENV_OPTIONS.key) || fileOptions.key;
+    cmdOptions.mnemonic =
+        cmdOptions.mnemonic || getEnv(ENV_OPTIONS.mnemonic) || fileOptions.mnemonic;
+    cmdOptions.rpc = cmdOptions.rpc || getEnv(ENV_OPTIONS.rpc) || fileOptions.rpc;
+    cmdOptions.writeRpc =
+        cmdOptions.writeRpc || getEnv(ENV_OPTIONS.writeRpc) || fileOptions.writeRpc;
+    cmdOptions.arbAddress =
+        cmdOptions.arbAddress || getEnv(ENV_OPTIONS.arbAddress) || fileOptions.arbAddress;
     cmdOptions.genericArbAddress =
-        cmdOptions.genericArbAddress || getEnv(ENV_OPTIONS.genericArbAddress);
+        cmdOptions.genericArbAddress ||
+        getEnv(ENV_OPTIONS.genericArbAddress) ||
+        fileOptions.genericArbAddress;
     cmdOptions.orderbookAddress =
-        cmdOptions.orderbookAddress || getEnv(ENV_OPTIONS.orderbookAddress);
-    cmdOptions.subgraph = cmdOptions.subgraph || getEnv(ENV_OPTIONS.subgraph);
-    cmdOptions.lps = cmdOptions.lps || getEnv(ENV_OPTIONS.lps);
-    cmdOptions.gasCoverage = cmdOptions.gasCoverage || getEnv(ENV_OPTIONS.gasCoverage);
-    cmdOptions.orderHash = cmdOptions.orderHash || getEnv(ENV_OPTIONS.orderHash);
-    cmdOptions.orderOwner = cmdOptions.orderOwner || getEnv(ENV_OPTIONS.orderOwner);
-    cmdOptions.sleep = cmdOptions.sleep || getEnv(ENV_OPTIONS.sleep);
-    cmdOptions.maxRatio = cmdOptions.maxRatio || getEnv(ENV_OPTIONS.maxRatio);
-    cmdOptions.timeout = cmdOptions.timeout || getEnv(ENV_OPTIONS.timeout);
-    cmdOptions.hops = cmdOptions.hops || getEnv(ENV_OPTIONS.hops);
-    cmdOptions.retries = cmdOptions.retries || getEnv(ENV_OPTIONS.retries);
+        cmdOptions.orderbookAddress ||
+        getEnv(ENV_OPTIONS.orderbookAddress) ||
+        fileOptions.orderbookAddress;
+    cmdOptions.subgraph =
+        cmdOptions.subgraph || getEnv(ENV_OPTIONS.subgraph) || fileOptions.subgraph;
+    cmdOptions.lps = cmdOptions.lps || getEnv(ENV_OPTIONS.lps) || fileOptions.lps;
+    cmdOptions.gasCoverage =
+        cmdOptions.gasCoverage ||
+        getEnv(ENV_OPTIONS.gasCoverage) ||
+        fileOptions.gasCoverage ||
+        "100";
+    cmdOptions.orderHash =
+        cmdOptions.orderHash || getEnv(ENV_OPTIONS.orderHash) || fileOptions.orderHash;
+    cmdOptions.orderOwner =
+        cmdOptions.orderOwner || getEnv(ENV_OPTIONS.orderOwner) || fileOptions.orderOwner;
+    cmdOptions.sleep = cmdOptions.sleep || getEnv(ENV_OPTIONS.sleep) || fileOptions.sleep;
+    cmdOptions.maxRatio =
+        cmdOptions.maxRatio || getEnv(ENV_OPTIONS.maxRatio) || fileOptions.maxRatio;
+    cmdOptions.timeout = cmdOptions.timeout || getEnv(ENV_OPTIONS.timeout) || fileOptions.timeout;
+    cmdOptions.hops = cmdOptions.hops || getEnv(ENV_OPTIONS.hops) || fileOptions.hops;
+    cmdOptions.retries = cmdOptions.retries || getEnv(ENV_OPTIONS.retries) || fileOptions.retries;
     cmdOptions.poolUpdateInterval =
-        cmdOptions.poolUpdateInterval || getEnv(ENV_OPTIONS.poolUpdateInterval);
-    cmdOptions.walletCount = cmdOptions.walletCount || getEnv(ENV_OPTIONS.walletCount);
-    cmdOptions.topupAmount = cmdOptions.topupAmount || getEnv(ENV_OPTIONS.topupAmount);
-    cmdOptions.selfFundOrders = cmdOptions.selfFundOrders || getEnv(ENV_OPTIONS.selfFundOrders);
+        cmdOptions.poolUpdateInterval ||
+        getEnv(ENV_OPTIONS.poolUpdateInterval) ||
+        fileOptions.poolUpdateInterval;
+    cmdOptions.walletCount =
+        cmdOptions.walletCount || getEnv(ENV_OPTIONS.walletCount) || fileOptions.walletCount;
+    cmdOptions.topupAmount =
+        cmdOptions.topupAmount || getEnv(ENV_OPTIONS.topupAmount) || fileOptions.topupAmount;
+    cmdOptions.selfFundOrders =
+        cmdOptions.selfFundOrders ||
+        getEnv(ENV_OPTIONS.selfFundOrders) ||
+        fileOptions.selfFundOrders;
     cmdOptions.gasPriceMultiplier =
-        cmdOptions.gasPriceMultiplier || getEnv(ENV_OPTIONS.gasPriceMultiplier);
+        cmdOptions.gasPriceMultiplier ||
+        getEnv(ENV_OPTIONS.gasPriceMultiplier) ||
+        fileOptions.gasPriceMultiplier;
     cmdOptions.gasLimitMultiplier =
-        cmdOptions.gasLimitMultiplier || getEnv(ENV_OPTIONS.gasLimitMultiplier);
-    cmdOptions.txGas = cmdOptions.txGas || getEnv(ENV_OPTIONS.txGas);
-    cmdOptions.quoteGas = cmdOptions.quoteGas || getEnv(ENV_OPTIONS.quoteGas);
-    cmdOptions.botMinBalance = cmdOptions.botMinBalance || getEnv(ENV_OPTIONS.botMinBalance);
-    cmdOptions.ownerProfile = cmdOptions.ownerProfile || getEnv(ENV_OPTIONS.ownerProfile);
-    cmdOptions.route = cmdOptions.route || getEnv(ENV_OPTIONS.route);
-    cmdOptions.publicRpc = cmdOptions.publicRpc || getEnv(ENV_OPTIONS.publicRpc);
-    cmdOptions.rpOnly = cmdOptions.rpOnly || getEnv(ENV_OPTIONS.rpOnly);
-    cmdOptions.dispair = cmdOptions.dispair || getEnv(ENV_OPTIONS.dispair);
-    if (cmdOptions.ownerProfile) {
-        const profiles: Record<string, number> = {};
-        cmdOptions.ownerProfile.forEach((v: string) => {
-            const parsed = v.split("=");
-            if (parsed.length !== 2) {
-                throw "Invalid owner profile, must be in form of 'ownerAddress=limitValue'";
-            }
-            if (!ethers.utils.isAddress(parsed[0])) {
-                throw `Invalid owner address: ${parsed[0]}`;
-            }
-            if (!isBigNumberish(parsed[1]) && parsed[1] !== "max") {
-                throw "Invalid owner profile limit, must be an integer gte 0";
-            }
-            if (parsed[1] === "max") {
-                profiles[parsed[0].toLowerCase()] = Number.MAX_SAFE_INTEGER;
-            } else {
-                const limit = BigNumber.from(parsed[1]);
-                profiles[parsed[0].toLowerCase()] = limit.gte(Number.MAX_SAFE_INTEGER.toString())
-                    ? Number.MAX_SAFE_INTEGER
-                    : limit.toNumber();
-            }
-        });
-        cmdOptions.ownerProfile = profiles;
-    }
-    if (cmdOptions.lps) {
-        cmdOptions.lps = Array.from((cmdOptions.lps as string).matchAll(/[^,\s]+/g)).map(
-            (v) => v[0],
-        );
-    }
-    if (cmdOptions.selfFundOrders) {
-        cmdOptions.selfFundOrders = Array.from(
-            (cmdOptions.selfFundOrders as string).matchAll(/[^;]+/g),
-        ).map((v) => {
-            const matches = Array.from(v[0].matchAll(/[^,]+/g)).map((e) => e[0]);
-            return {
-                token: matches[0].toLowerCase(),
-                vaultId: matches[1],
-                threshold: matches[2],
-                topupAmount: matches[3],
-            };
-        });
-    }
+        cmdOptions.gasLimitMultiplier ||
+        getEnv(ENV_OPTIONS.gasLimitMultiplier) ||
+        fileOptions.gasLimitMultiplier;
+    cmdOptions.txGas = cmdOptions.txGas || getEnv(ENV_OPTIONS.txGas) || fileOptions.txGas;
+    cmdOptions.quoteGas =
+        cmdOptions.quoteGas || getEnv(ENV_OPTIONS.quoteGas) || fileOptions.quoteGas;
+    cmdOptions.botMinBalance =
+        cmdOptions.botMinBalance || getEnv(ENV_OPTIONS.botMinBalance) || fileOptions.botMinBalance;
+    cmdOptions.ownerProfile =
+        cmdOptions.ownerProfile || getEnv(ENV_OPTIONS.ownerProfile) || fileOptions.ownerProfile;
+    cmdOptions.route = cmdOptions.route || getEnv(ENV_OPTIONS.route) || fileOptions.route;
+    cmdOptions.publicRpc =
+        cmdOptions.publicRpc || getEnv(ENV_OPTIONS.publicRpc) || fileOptions.publicRpc;
+    cmdOptions.rpOnly = cmdOptions.rpOnly || getEnv(ENV_OPTIONS.rpOnly) || fileOptions.rpOnly;
+    cmdOptions.clearModes =
+        cmdOptions.clearModes || getEnv(ENV_OPTIONS.clearModes) || fileOptions.clearModes;
+    cmdOptions.dispair = cmdOptions.dispair || getEnv(ENV_OPTIONS.dispair) || fileOptions.dispair;
+    cmdOptions.printConfig =
+        cmdOptions.printConfig || getEnv(ENV_OPTIONS.printConfig) || fileOptions.printConfig;
+    cmdOptions.dryRun = cmdOptions.dryRun || getEnv(ENV_OPTIONS.dryRun) || fileOptions.dryRun;
+    cmdOptions.sweepOnShutdown =
+        cmdOptions.sweepOnShutdown ||
+        getEnv(ENV_OPTIONS.sweepOnShutdown) ||
+        fileOptions.sweepOnShutdown;
+    cmdOptions.shutdownTimeout =
+        cmdOptions.shutdownTimeout ||
+        getEnv(ENV_OPTIONS.shutdownTimeout) ||
+        fileOptions.shutdownTimeout;
+    cmdOptions.apiPort = cmdOptions.apiPort || getEnv(ENV_OPTIONS.apiPort) || fileOptions.apiPort;
+    cmdOptions.apiHost = cmdOptions.apiHost || getEnv(ENV_OPTIONS.apiHost) || fileOptions.apiHost;
+    cmdOptions.apiKey = cmdOptions.apiKey || getEnv(ENV_OPTIONS.apiKey) || fileOptions.apiKey;
+    cmdOptions.stateStore =
+        cmdOptions.stateStore || getEnv(ENV_OPTIONS.stateStore) || fileOptions.stateStore;
+    cmdOptions.ledger = cmdOptions.ledger || getEnv(ENV_OPTIONS.ledger) || fileOptions.ledger;
+    cmdOptions.blockDriven =
+        cmdOptions.blockDriven || getEnv(ENV_OPTIONS.blockDriven) || fileOptions.blockDriven;
+    cmdOptions.minRoundGap =
+        cmdOptions.minRoundGap || getEnv(ENV_OPTIONS.minRoundGap) || fileOptions.minRoundGap;
+    cmdOptions.watchPools =
+        cmdOptions.watchPools || getEnv(ENV_OPTIONS.watchPools) || fileOptions.watchPools;
+    cmdOptions.watchPoolsMaxIdle =
+        cmdOptions.watchPoolsMaxIdle ||
+        getEnv(ENV_OPTIONS.watchPoolsMaxIdle) ||
+        fileOptions.watchPoolsMaxIdle;
+    cmdOptions.concurrency =
+        cmdOptions.concurrency || getEnv(ENV_OPTIONS.concurrency) || fileOptions.concurrency;
+    cmdOptions.rpcRateLimit =
+        cmdOptions.rpcRateLimit || getEnv(ENV_OPTIONS.rpcRateLimit) || fileOptions.rpcRateLimit;
+    cmdOptions.scheduleStaleness =
+        cmdOptions.scheduleStaleness ||
+        getEnv(ENV_OPTIONS.scheduleStaleness) ||
+        fileOptions.scheduleStaleness;
+    cmdOptions.orderBackoff =
+        cmdOptions.orderBackoff || getEnv(ENV_OPTIONS.orderBackoff) || fileOptions.orderBackoff;
+    cmdOptions.orderBackoffMax =
+        cmdOptions.orderBackoffMax ||
+        getEnv(ENV_OPTIONS.orderBackoffMax) ||
+        fileOptions.orderBackoffMax;
+    cmdOptions.quarantineAfter =
+        cmdOptions.quarantineAfter ||
+        getEnv(ENV_OPTIONS.quarantineAfter) ||
+        fileOptions.quarantineAfter;
+    cmdOptions.batchOrders =
+        cmdOptions.batchOrders || getEnv(ENV_OPTIONS.batchOrders) || fileOptions.batchOrders;
+    cmdOptions.priorityFee =
+        cmdOptions.priorityFee || getEnv(ENV_OPTIONS.priorityFee) || fileOptions.priorityFee;
+    cmdOptions.gasBid = cmdOptions.gasBid || getEnv(ENV_OPTIONS.gasBid) || fileOptions.gasBid;
+    cmdOptions.txReplaceTimeout =
+        cmdOptions.txReplaceTimeout ||
+        getEnv(ENV_OPTIONS.txReplaceTimeout) ||
+        fileOptions.txReplaceTimeout;
+    cmdOptions.relay = cmdOptions.relay || getEnv(ENV_OPTIONS.relay) || fileOptions.relay;
+    cmdOptions.relayMethod =
+        cmdOptions.relayMethod || getEnv(ENV_OPTIONS.relayMethod) || fileOptions.relayMethod;
+    cmdOptions.relayBlocks =
+        cmdOptions.relayBlocks || getEnv(ENV_OPTIONS.relayBlocks) || fileOptions.relayBlocks;
+    cmdOptions.relayAuthKey =
+        cmdOptions.relayAuthKey || getEnv(ENV_OPTIONS.relayAuthKey) || fileOptions.relayAuthKey;
     return cmdOptions;
 };
 
@@ -348,7 +614,10 @@ export const arbRound = async (
                 }
                 if (
                     reports.some(
-                        (v) => v.status === ProcessPairReportStatus.FoundOpportunity && !v.reason,
+                        (v) =>
+                            v.status === ProcessPairReportStatus.FoundOpportunity &&
+                            !v.reason &&
+                            !v.dryRun,
                     )
                 ) {
                     didClear = true;
@@ -364,14 +633,9 @@ export const arbRound = async (
             span.end();
             return { txs, foundOpp, didClear, avgGasCost };
         } catch (e: any) {
-            if (e?.startsWith?.("Failed to batch quote orders")) {
-                span.setAttribute("severity", ErrorSeverity.LOW);
-                span.setStatus({ code: SpanStatusCode.ERROR, message: e });
-            } else {
-                const snapshot = errorSnapshot("Unexpected error occured", e);
-                span.setAttribute("severity", ErrorSeverity.HIGH);
-                span.setStatus({ code: SpanStatusCode.ERROR, message: snapshot });
-            }
+            const snapshot = errorSnapshot("Unexpected error occured", e);
+            span.setAttribute("severity", ErrorSeverity.HIGH);
+            span.setStatus({ code: SpanStatusCode.ERROR, message: snapshot });
             span.recordException(e);
             span.setAttribute("didClear", false);
             span.setAttribute("foundOpp", false);
@@ -384,115 +648,24 @@ export const arbRound = async (
 /**
  * CLI startup function
  * @param argv - cli args
+ * @param chain - (optional) Name of the config file chain section to startup with
+ * @param overrides - (optional) Options that override the ones specified by cli/env/config file
  */
-export async function startup(argv: any, version?: string, tracer?: Tracer, ctx?: Context) {
-    let roundGap = 10000;
-    let _poolUpdateInterval = 0;
-
-    const options = await getOptions(argv, version);
-
-    if ((!options.key && !options.mnemonic) || (options.key && options.mnemonic)) {
-        throw "undefined wallet, only one of key or mnemonic should be specified";
-    }
-    if (options.mnemonic) {
-        if (!options.walletCount || !options.topupAmount) {
-            throw "--wallet-count and --toptup-amount are required when using mnemonic option";
-        }
-        if (!/^[0-9]+$/.test(options.walletCount)) {
-            throw "invalid --wallet-count, it should be an integer greater than equal 0";
-        } else {
-            options.walletCount = Number(options.walletCount);
-        }
-        if (!/^[0-9]+(.[0-9]+)?$/.test(options.topupAmount)) {
-            throw "invalid --topup-amount, it should be an number greater than equal 0";
-        }
-    }
-    if (options.key) {
-        if (!/^(0x)?[a-fA-F0-9]{64}$/.test(options.key)) throw "invalid wallet private key";
-    }
-    if (!options.rpc) throw "undefined RPC URL";
-    if (options.writeRpc) {
-        if (
-            !Array.isArray(options.writeRpc) ||
-            options.writeRpc.some((v) => typeof v !== "string")
-        ) {
-            throw `Invalid write rpcs: ${options.writeRpc}`;
-        }
-    }
-    if (!options.arbAddress) throw "undefined arb contract address";
-    if (options.sleep) {
-        if (/^[0-9]+$/.test(options.sleep)) roundGap = Number(options.sleep) * 1000;
-        else throw "invalid sleep value, must be an integer greater than equal 0";
-    }
-    if (options.poolUpdateInterval) {
-        if (typeof options.poolUpdateInterval === "number") {
-            _poolUpdateInterval = options.poolUpdateInterval;
-            if (_poolUpdateInterval < 0 || !Number.isInteger(_poolUpdateInterval))
-                throw "invalid poolUpdateInterval value, must be an integer greater than equal zero";
-        } else if (
-            typeof options.poolUpdateInterval === "string" &&
-            /^[0-9]+$/.test(options.poolUpdateInterval)
-        ) {
-            _poolUpdateInterval = Number(options.poolUpdateInterval);
-            if (_poolUpdateInterval < 0)
-                throw "invalid poolUpdateInterval value, must be an integer greater than equal zero";
-        } else throw "invalid poolUpdateInterval value, must be an integer greater than equal zero";
+export async function startup(
+    argv: any,
+    version?: string,
+    tracer?: Tracer,
+    ctx?: Context,
+    chain?: string,
+    overrides?: Partial<CliOptions>,
+) {
+    const options = parseOptions({ ...(await getOptions(argv, version, chain)), ...overrides });
+    if (options.printConfig) {
+        // eslint-disable-next-line no-console
+        console.log("Effective configuration:", JSON.stringify(redactOptions(options), null, 2));
     }
-    if (!options.botMinBalance || !/^[0-9]+(.[0-9]+)?$/.test(options.botMinBalance)) {
-        throw "expected a valid value for --bot-min-balance, it should be an number greater than 0";
-    }
-    if (options.gasPriceMultiplier) {
-        if (typeof options.gasPriceMultiplier === "number") {
-            if (options.gasPriceMultiplier <= 0 || !Number.isInteger(options.gasPriceMultiplier))
-                throw "invalid gasPriceMultiplier value, must be an integer greater than zero";
-        } else if (
-            typeof options.gasPriceMultiplier === "string" &&
-            /^[0-9]+$/.test(options.gasPriceMultiplier)
-        ) {
-            options.gasPriceMultiplier = Number(options.gasPriceMultiplier);
-            if (options.gasPriceMultiplier <= 0)
-                throw "invalid gasPriceMultiplier value, must be an integer greater than zero";
-        } else throw "invalid gasPriceMultiplier value, must be an integer greater than zero";
-    } else {
-        options.gasPriceMultiplier = 107;
-    }
-    if (options.gasLimitMultiplier) {
-        if (typeof options.gasLimitMultiplier === "number") {
-            if (options.gasLimitMultiplier <= 0 || !Number.isInteger(options.gasLimitMultiplier))
-                throw "invalid gasLimitMultiplier value, must be an integer greater than zero";
-        } else if (
-            typeof options.gasLimitMultiplier === "string" &&
-            /^[0-9]+$/.test(options.gasLimitMultiplier)
-        ) {
-            options.gasLimitMultiplier = Number(options.gasLimitMultiplier);
-            if (options.gasLimitMultiplier <= 0)
-                throw "invalid gasLimitMultiplier value, must be an integer greater than zero";
-        } else throw "invalid gasLimitMultiplier value, must be an integer greater than zero";
-    } else {
-        options.gasLimitMultiplier = 100;
-    }
-    if (options.txGas) {
-        if (typeof options.txGas !== "string" || !/^[0-9]+%?$/.test(options.txGas)) {
-            throw "invalid txGas value, must be an integer greater than zero optionally with appended percentage sign to apply as percentage to original gas";
-        }
-    }
-    if (options.dispair) {
-        if (typeof options.dispair !== "string" || !isAddress(options.dispair, { strict: false })) {
-            throw "expected dispair (ExpressionDeployer contract) address";
-        }
-    } else {
-        throw "undefined dispair address";
-    }
-    if (options.quoteGas) {
-        try {
-            options.quoteGas = BigInt(options.quoteGas);
-        } catch {
-            throw "invalid quoteGas value, must be an integer greater than equal zero";
-        }
-    } else {
-        options.quoteGas = 1_000_000n; // default
-    }
-    const poolUpdateInterval = _poolUpdateInterval * 60 * 1000;
+    const roundGap = options.sleep * 1000;
+    const poolUpdateInterval = options.poolUpdateInterval * 60 * 1000;
     let ordersDetails: SgOrder[] = [];
     if (!process?.env?.CLI_STARTUP_TEST) {
         for (let i = 0; i < 3; i++) {
@@ -509,77 +682,104 @@ export async function startup(argv: any, version?: string, tracer?: Tracer, ctx?
             }
         }
     }
-    const lastReadOrdersTimestamp = Math.floor(Date.now() / 1000);
     const tokens = getOrdersTokens(ordersDetails);
     options.tokens = tokens;
 
+    // load the persisted state of the previous run
+    const store = options.stateStore ? getStateStore(options.stateStore) : undefined;
+    const persistedState = await store?.load(chain ?? DEFAULT_STATE_KEY);
+    const lastReadOrdersTimestamp =
+        persistedState?.lastReadOrdersTimestamp ?? Math.floor(Date.now() / 1000);
+
+    // restore the circulating wallets, if wallet count has increased since
+    // then new wallets are derived after the last used derivation index
+    let accountIndexes: number[] | undefined;
+    if (persistedState && options.mnemonic && options.walletCount) {
+        accountIndexes = persistedState.accounts.slice(0, options.walletCount).map((v) => v.index);
+        while (accountIndexes.length < options.walletCount) {
+            accountIndexes.push(++persistedState.lastUsedAccountIndex);
+        }
+    }
+
     // get config
     const config = await getConfig(
         options.rpc,
-        options.key ?? options.mnemonic,
+        (options.key ?? options.mnemonic)!,
         options.arbAddress,
-        options as CliOptions,
+        options,
         tracer,
         ctx,
+        accountIndexes,
     );
 
+    // restore the tokens of the circulating wallets that are left to sweep
+    if (persistedState) {
+        config.accounts.forEach((account) => {
+            const index = getAccountIndex(account);
+            persistedState.accounts
+                .find((v) => v.index === index)
+                ?.bounty.forEach((token) => addWatchedToken(token, account.BOUNTY));
+        });
+    }
+
     // fetch initial gas price on startup
     const state: OperationState = {
         gasPrice: 0n,
         l1GasPrice: 0n,
+        poolWatcher: options.watchPools
+            ? createPoolWatcher(options.watchPoolsMaxIdle * 1000)
+            : undefined,
+        scheduler: options.scheduleStaleness
+            ? createScheduler(options.scheduleStaleness * 1000)
+            : undefined,
+        healthTracker: options.orderBackoff
+            ? createHealthTracker(
+                  options.orderBackoff * 1000,
+                  options.orderBackoffMax * 1000,
+                  options.quarantineAfter,
+              )
+            : undefined,
     };
     await getGasPrice(config, state);
 
     return {
         roundGap,
-        options: options as CliOptions,
+        options,
         poolUpdateInterval,
         config,
         orderbooksOwnersProfileMap: await getOrderbookOwnersProfileMapFromSg(
             ordersDetails,
             config.viemClient as any as ViemClient,
             tokens,
-            (options as CliOptions).ownerProfile,
+            options.ownerProfile,
         ),
         tokens,
         lastReadOrdersTimestamp,
         state,
+        store,
+        persistedState,
     };
 }
 
-export const main = async (argv: any, version?: string) => {
-    // startup otel to collect span, logs, etc
-    // diag otel
-    diag.setLogger(new DiagConsoleLogger(), DiagLogLevel.ERROR);
-
-    const exporter = new OTLPTraceExporter(
-        process?.env?.HYPERDX_API_KEY
-            ? {
-                  url: "https://in-otel.hyperdx.io/v1/traces",
-                  headers: {
-                      authorization: process?.env?.HYPERDX_API_KEY,
-                  },
-                  compression: CompressionAlgorithm.GZIP,
-              }
-            : {
-                  compression: CompressionAlgorithm.GZIP,
-              },
-    );
-    const provider = new BasicTracerProvider({
-        resource: new Resource({
-            [SEMRESATTRS_SERVICE_NAME]: process?.env?.TRACER_SERVICE_NAME ?? "arb-bot",
-        }),
-    });
-    provider.addSpanProcessor(new BatchSpanProcessor(exporter));
-
-    // console spans in case hyperdx api is not defined
-    if (!process?.env?.HYPERDX_API_KEY) {
-        const consoleExporter = new ConsoleSpanExporter();
-        provider.addSpanProcessor(new SimpleSpanProcessor(consoleExporter));
-    }
-
-    provider.register();
-    const tracer = provider.getTracer("arb-bot-tracer");
+/**
+ * Starts up the bot for a chain and runs its rounds in a loop
+ * @param tracer - The tracer
+ * @param argv - cli args
+ * @param chain - (optional) Name of the config file chain section to run
+ * @param signal - (optional) Signal that stops the rounds once aborted, resolves after the last round
+ * @param api - (optional) The api's running chains to register this chain's handle with
+ */
+export const runChain = async (
+    tracer: Tracer,
+    argv: any,
+    version?: string,
+    chain?: string,
+    signal?: AbortSignal,
+    api?: Map<string, ChainHandle>,
+) => {
+    // attributes of the chain that are included in all of its spans
+    const chainAttributes: Record<string, string | number> = chain ? { "chain.name": chain } : {};
+    tracer = withSpanAttributes(tracer, chainAttributes);
 
     // parse cli args and startup bot configuration
     const {
@@ -591,10 +791,12 @@ export const main = async (argv: any, version?: string) => {
         tokens,
         lastReadOrdersTimestamp,
         state,
+        store,
+        persistedState,
     } = await tracer.startActiveSpan("startup", async (startupSpan) => {
         const ctx = trace.setSpan(context.active(), startupSpan);
         try {
-            const result = await startup(argv, version, tracer, ctx);
+            const result = await startup(argv, version, tracer, ctx, chain);
             startupSpan.setStatus({ code: SpanStatusCode.OK });
             startupSpan.end();
             return result;
@@ -613,324 +815,619 @@ export const main = async (argv: any, version?: string) => {
         }
     });
 
+    chainAttributes["chain.id"] = config.chain.id;
+    state.signal = signal;
+
+    // handle of this chain that is inspected and controlled through the api
+    const handle: ChainHandle = {
+        round: 0,
+        paused: false,
+        refreshPools: false,
+        options,
+        config,
+        state,
+        orderbooksOwnersProfileMap,
+        tokens,
+    };
+    const handleName = chain ?? config.chain.id.toString();
+    api?.set(handleName, handle);
+
     // periodically fetch and set gas price in state (once every 20 seconds)
-    setInterval(() => getGasPrice(config, state), 20_000);
-
-    const lastReadOrdersMap = options.subgraph.map((v) => ({
-        sg: v,
-        skip: 0,
-    }));
-    const day = 24 * 60 * 60 * 1000;
-    let lastGasReset = Date.now() + day;
-    let lastInterval = Date.now() + poolUpdateInterval;
-    let lastUsedAccountIndex = config.accounts.length;
-    let avgGasCost: BigNumber | undefined;
-    let counter = 1;
-    const wgc: ViemClient[] = [];
-    const wgcBuffer: { address: string; count: number }[] = [];
-    const botMinBalance = ethers.utils.parseUnits(options.botMinBalance);
-
-    // run bot's processing orders in a loop
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-        await tracer.startActiveSpan(`round-${counter}`, async (roundSpan) => {
-            const roundCtx = trace.setSpan(context.active(), roundSpan);
-            const newMeta = await getMetaInfo(config, options.subgraph);
-            roundSpan.setAttributes({
-                ...newMeta,
-                "meta.mainAccount": config.mainAccount.account.address,
-                "meta.gitCommitHash": process?.env?.GIT_COMMIT ?? "N/A",
-                "meta.dockerTag": process?.env?.DOCKER_TAG ?? "N/A",
-            });
+    const gasPriceInterval = setInterval(() => getGasPrice(config, state), 20_000);
+    try {
+        const lastReadOrdersMap = options.subgraph.map((v) => ({
+            sg: v,
+            skip: persistedState?.lastReadOrders.find((e) => e.sg === v)?.skip ?? 0,
+        }));
+        const day = 24 * 60 * 60 * 1000;
+        let lastGasReset = persistedState?.lastGasReset ?? Date.now() + day;
+        let lastInterval = Date.now() + poolUpdateInterval;
+        let lastUsedAccountIndex = persistedState?.lastUsedAccountIndex ?? config.accounts.length;
+        let avgGasCost: BigNumber | undefined = persistedState?.avgGasCost
+            ? ethers.BigNumber.from(persistedState.avgGasCost)
+            : undefined;
+        let counter = 1;
+        let lastBlockNumber: bigint | undefined;
+        const wgc: ViemClient[] = [];
+        const wgcBuffer: { address: string; count: number }[] = persistedState?.wgcBuffer ?? [];
+        const botMinBalance = ethers.utils.parseUnits(options.botMinBalance);
 
-            await tracer.startActiveSpan(
-                "check-wallet-balance",
-                {},
-                roundCtx,
-                async (walletSpan) => {
-                    try {
-                        const botGasBalance = ethers.BigNumber.from(
-                            await config.viemClient.getBalance({
-                                address: config.mainAccount.account.address,
-                            }),
-                        );
-                        config.mainAccount.BALANCE = botGasBalance;
-                        if (botMinBalance.gt(botGasBalance)) {
-                            const header = `bot main wallet ${
-                                config.mainAccount.account.address
-                            } is low on gas, expected at least: ${
-                                options.botMinBalance
-                            }, current: ${ethers.utils.formatUnits(botGasBalance)}, `;
-                            const fill = config.accounts.length
-                                ? `that wallet is the one that funds the multi wallet, there are still ${
-                                      config.accounts.length + 1
-                                  } wallets with enough balance in circulation that clear orders, please consider toping up soon`
-                                : "it will still work with remaining gas as far as it can, please topup as soon as possible";
+        // restore the garbage wallets and owners' positions of the previous run
+        if (persistedState) {
+            if (options.mnemonic && persistedState.wgc.length) {
+                const wallets = await deriveAccounts(
+                    options.mnemonic,
+                    config,
+                    persistedState.wgc.map((v) => v.index),
+                );
+                wallets.forEach((v, i) => (v.BOUNTY = persistedState.wgc[i].bounty));
+                wgc.push(...wallets);
+            }
+            restoreOwnersLastIndex(orderbooksOwnersProfileMap, persistedState.ownersLastIndex);
+        }
+
+        // run bot's processing orders in a loop until shutdown is requested
+        while (!signal?.aborted) {
+            if (handle.paused) {
+                await sleep(1000, "", signal);
+                continue;
+            }
+            handle.round = counter;
+            const roundStart = Date.now();
+            await tracer.startActiveSpan(`round-${counter}`, async (roundSpan) => {
+                const roundCtx = trace.setSpan(context.active(), roundSpan);
+                const newMeta = await getMetaInfo(config, options.subgraph);
+                roundSpan.setAttributes({
+                    ...newMeta,
+                    "meta.mainAccount": config.mainAccount.account.address,
+                    "meta.gitCommitHash": process?.env?.GIT_COMMIT ?? "N/A",
+                    "meta.dockerTag": process?.env?.DOCKER_TAG ?? "N/A",
+                });
+
+                await tracer.startActiveSpan(
+                    "check-wallet-balance",
+                    {},
+                    roundCtx,
+                    async (walletSpan) => {
+                        try {
+                            const botGasBalance = ethers.BigNumber.from(
+                                await config.viemClient.getBalance({
+                                    address: config.mainAccount.account.address,
+                                }),
+                            );
+                            config.mainAccount.BALANCE = botGasBalance;
+                            if (botMinBalance.gt(botGasBalance)) {
+                                const header = `bot main wallet ${
+                                    config.mainAccount.account.address
+                                } is low on gas, expected at least: ${
+                                    options.botMinBalance
+                                }, current: ${ethers.utils.formatUnits(botGasBalance)}, `;
+                                const fill = config.accounts.length
+                                    ? `that wallet is the one that funds the multi wallet, there are still ${
+                                          config.accounts.length + 1
+                                      } wallets with enough balance in circulation that clear orders, please consider toping up soon`
+                                    : "it will still work with remaining gas as far as it can, please topup as soon as possible";
+                                walletSpan.setStatus({
+                                    code: SpanStatusCode.ERROR,
+                                    message: header + fill,
+                                });
+                                walletSpan.setAttribute(
+                                    "severity",
+                                    config.accounts.length
+                                        ? ErrorSeverity.MEDIUM
+                                        : ErrorSeverity.HIGH,
+                                );
+                            }
+                        } catch (error) {
                             walletSpan.setStatus({
                                 code: SpanStatusCode.ERROR,
-                                message: header + fill,
+                                message:
+                                    "Failed to check main wallet balance: " +
+                                    errorSnapshot("", error),
                             });
-                            walletSpan.setAttribute(
-                                "severity",
-                                config.accounts.length ? ErrorSeverity.MEDIUM : ErrorSeverity.HIGH,
-                            );
+                            walletSpan.setAttribute("severity", ErrorSeverity.LOW);
                         }
-                    } catch (error) {
-                        walletSpan.setStatus({
-                            code: SpanStatusCode.ERROR,
-                            message:
-                                "Failed to check main wallet balance: " + errorSnapshot("", error),
-                        });
-                        walletSpan.setAttribute("severity", ErrorSeverity.LOW);
-                    }
-                    walletSpan.end();
-                },
-            );
-            // remove pool memoizer cache on each interval
-            let update = false;
-            const now = Date.now();
-            if (lastInterval <= now) {
-                lastInterval = now + poolUpdateInterval;
-                update = true;
-            }
-            try {
-                const bundledOrders = prepareOrdersForRound(orderbooksOwnersProfileMap, true);
-                await rotateProviders(config, update);
-                roundSpan.setAttribute("details.rpc", config.rpc);
-                const roundResult = await arbRound(
-                    tracer,
-                    roundCtx,
-                    options,
-                    config,
-                    bundledOrders,
-                    state,
+                        walletSpan.end();
+                    },
                 );
-                let txs, foundOpp, didClear, roundAvgGasCost;
-                if (roundResult) {
-                    txs = roundResult.txs;
-                    foundOpp = roundResult.foundOpp;
-                    didClear = roundResult.didClear;
-                    roundAvgGasCost = roundResult.avgGasCost;
-                }
-                if (txs && txs.length) {
-                    roundSpan.setAttribute("txUrls", txs);
-                    roundSpan.setAttribute("foundOpp", true);
-                } else if (didClear) {
-                    roundSpan.setAttribute("foundOpp", true);
-                    roundSpan.setAttribute("didClear", true);
-                } else if (foundOpp) {
-                    roundSpan.setAttribute("foundOpp", true);
-                    roundSpan.setAttribute("didClear", false);
-                } else {
-                    roundSpan.setAttribute("foundOpp", false);
-                    roundSpan.setAttribute("didClear", false);
+                // remove pool memoizer cache on each interval
+                let update = false;
+                const now = Date.now();
+                if (lastInterval <= now || handle.refreshPools) {
+                    lastInterval = now + poolUpdateInterval;
+                    handle.refreshPools = false;
+                    update = true;
+
+                    // pools are refetched so the quarantined orders get another chance
+                    if (state.healthTracker) releaseQuarantinedOrders(state.healthTracker);
                 }
+                try {
+                    const bundledOrders = prepareOrdersForRound(
+                        orderbooksOwnersProfileMap,
+                        !options.scheduleStaleness,
+                    );
+                    await rotateProviders(config, update);
+                    roundSpan.setAttribute("details.rpc", config.rpc);
+                    const roundResult = await arbRound(
+                        tracer,
+                        roundCtx,
+                        options,
+                        config,
+                        bundledOrders,
+                        state,
+                    );
+                    let txs, foundOpp, didClear, roundAvgGasCost;
+                    if (roundResult) {
+                        txs = roundResult.txs;
+                        foundOpp = roundResult.foundOpp;
+                        didClear = roundResult.didClear;
+                        roundAvgGasCost = roundResult.avgGasCost;
+                    }
+                    if (txs && txs.length) {
+                        roundSpan.setAttribute("txUrls", txs);
+                        roundSpan.setAttribute("foundOpp", true);
+                    } else if (didClear) {
+                        roundSpan.setAttribute("foundOpp", true);
+                        roundSpan.setAttribute("didClear", true);
+                    } else if (foundOpp) {
+                        roundSpan.setAttribute("foundOpp", true);
+                        roundSpan.setAttribute("didClear", false);
+                    } else {
+                        roundSpan.setAttribute("foundOpp", false);
+                        roundSpan.setAttribute("didClear", false);
+                    }
 
-                // fecth account's balances
-                if (foundOpp && config.accounts.length) {
-                    try {
-                        const balances = await getBatchEthBalance(
-                            config.accounts.map((v) => v.account.address),
-                            config.viemClient as any as ViemClient,
-                        );
-                        config.accounts.forEach((v, i) => (v.BALANCE = balances[i]));
-                    } catch {
-                        /**/
+                    // fecth account's balances
+                    if (foundOpp && config.accounts.length) {
+                        try {
+                            const balances = await getBatchEthBalance(
+                                config.accounts.map((v) => v.account.address),
+                                config.viemClient as any as ViemClient,
+                            );
+                            config.accounts.forEach((v, i) => (v.BALANCE = balances[i]));
+                        } catch {
+                            /**/
+                        }
                     }
-                }
 
-                // keep avg gas cost
-                if (roundAvgGasCost) {
-                    const _now = Date.now();
-                    if (lastGasReset <= _now) {
-                        lastGasReset = _now + day;
-                        avgGasCost = undefined;
+                    // keep avg gas cost
+                    if (roundAvgGasCost) {
+                        const _now = Date.now();
+                        if (lastGasReset <= _now) {
+                            lastGasReset = _now + day;
+                            avgGasCost = undefined;
+                        }
+                        if (avgGasCost) {
+                            avgGasCost = avgGasCost.add(roundAvgGasCost).div(2);
+                        } else {
+                            avgGasCost = roundAvgGasCost;
+                        }
                     }
-                    if (avgGasCost) {
-                        avgGasCost = avgGasCost.add(roundAvgGasCost).div(2);
-                    } else {
-                        avgGasCost = roundAvgGasCost;
+                    if (avgGasCost && config.accounts.length) {
+                        // manage account by removing those that have ran out of gas
+                        // and issuing a new one into circulation
+                        lastUsedAccountIndex = await manageAccounts(
+                            config,
+                            options,
+                            avgGasCost,
+                            lastUsedAccountIndex,
+                            wgc,
+                            state,
+                            tracer,
+                            roundCtx,
+                        );
                     }
+
+                    // sweep tokens and wallets every 100 rounds, unless in dry run mode
+                    if (counter % 100 === 0 && !config.dryRun) {
+                        // try to sweep wallets that still have non transfered tokens to main wallet
+                        if (wgc.length) {
+                            for (let k = wgc.length - 1; k >= 0; k--) {
+                                try {
+                                    await sweepToMainWallet(
+                                        wgc[k],
+                                        config.mainAccount,
+                                        state,
+                                        config,
+                                        tracer,
+                                        roundCtx,
+                                    );
+                                    if (!wgc[k].BOUNTY.length) {
+                                        const index = wgcBuffer.findIndex(
+                                            (v) => v.address === wgc[k].account.address,
+                                        );
+                                        if (index > -1) wgcBuffer.splice(index, 1);
+                                        wgc.splice(k, 1);
+                                    } else {
+                                        // retry to sweep garbage wallet 3 times before letting it go
+                                        const index = wgcBuffer.findIndex(
+                                            (v) => v.address === wgc[k].account.address,
+                                        );
+                                        if (index > -1) {
+                                            wgcBuffer[index].count++;
+                                            if (wgcBuffer[index].count >= 2) {
+                                                wgcBuffer.splice(index, 1);
+                                                wgc.splice(k, 1);
+                                            }
+                                        } else {
+                                            wgcBuffer.push({
+                                                address: wgc[k].account.address,
+                                                count: 0,
+                                            });
+                                        }
+                                    }
+                                } catch {
+                                    /**/
+                                }
+                            }
+                        }
+                        // try to sweep main wallet's tokens back to eth
+                        try {
+                            await sweepToEth(config, state, tracer, roundCtx);
+                        } catch {
+                            /**/
+                        }
+                    }
+                    roundSpan.setStatus({ code: SpanStatusCode.OK });
+                } catch (error: any) {
+                    const snapshot = errorSnapshot("", error);
+                    roundSpan.setAttribute("severity", ErrorSeverity.HIGH);
+                    roundSpan.setAttribute("didClear", false);
+                    roundSpan.recordException(error);
+                    roundSpan.setStatus({ code: SpanStatusCode.ERROR, message: snapshot });
                 }
-                if (avgGasCost && config.accounts.length) {
-                    // manage account by removing those that have ran out of gas
-                    // and issuing a new one into circulation
-                    lastUsedAccountIndex = await manageAccounts(
-                        config,
-                        options,
-                        avgGasCost,
-                        lastUsedAccountIndex,
-                        wgc,
-                        state,
-                        tracer,
-                        roundCtx,
+                if (config.accounts.length) {
+                    const accountsWithBalance: Record<string, string> = {};
+                    config.accounts.forEach(
+                        (v) =>
+                            (accountsWithBalance[v.account.address] = ethers.utils.formatUnits(
+                                v.BALANCE,
+                            )),
                     );
+                    roundSpan.setAttribute(
+                        "circulatingAccounts",
+                        JSON.stringify(accountsWithBalance),
+                    );
+                    roundSpan.setAttribute("lastAccountIndex", lastUsedAccountIndex);
+                }
+                if (avgGasCost) {
+                    roundSpan.setAttribute("avgGasCost", ethers.utils.formatUnits(avgGasCost));
                 }
 
-                // sweep tokens and wallets every 100 rounds
-                if (counter % 100 === 0) {
-                    // try to sweep wallets that still have non transfered tokens to main wallet
-                    if (wgc.length) {
-                        for (let k = wgc.length - 1; k >= 0; k--) {
+                try {
+                    // handle order changes (add/remove)
+                    roundSpan.setAttribute(
+                        "watch-new-orders",
+                        JSON.stringify({
+                            hasRead: lastReadOrdersMap,
+                            startTime: lastReadOrdersTimestamp,
+                        }),
+                    );
+                    let ordersDidChange = false;
+                    const results = await Promise.allSettled(
+                        lastReadOrdersMap.map((v) =>
+                            getOrderChanges(v.sg, lastReadOrdersTimestamp, v.skip, roundSpan),
+                        ),
+                    );
+                    for (let i = 0; i < results.length; i++) {
+                        const res = results[i];
+                        if (res.status === "fulfilled") {
+                            if (res.value.addOrders.length || res.value.removeOrders.length) {
+                                ordersDidChange = true;
+                            }
+                            lastReadOrdersMap[i].skip += res.value.count;
                             try {
-                                await sweepToMainWallet(
-                                    wgc[k],
-                                    config.mainAccount,
-                                    state,
-                                    config,
-                                    tracer,
-                                    roundCtx,
+                                await handleAddOrderbookOwnersProfileMap(
+                                    orderbooksOwnersProfileMap,
+                                    res.value.addOrders.map((v) => v.order),
+                                    config.viemClient as any as ViemClient,
+                                    tokens,
+                                    options.ownerProfile,
+                                    roundSpan,
+                                );
+                            } catch {
+                                /**/
+                            }
+                            try {
+                                await handleRemoveOrderbookOwnersProfileMap(
+                                    orderbooksOwnersProfileMap,
+                                    res.value.removeOrders.map((v) => v.order),
+                                    roundSpan,
                                 );
-                                if (!wgc[k].BOUNTY.length) {
-                                    const index = wgcBuffer.findIndex(
-                                        (v) => v.address === wgc[k].account.address,
-                                    );
-                                    if (index > -1) wgcBuffer.splice(index, 1);
-                                    wgc.splice(k, 1);
-                                } else {
-                                    // retry to sweep garbage wallet 3 times before letting it go
-                                    const index = wgcBuffer.findIndex(
-                                        (v) => v.address === wgc[k].account.address,
-                                    );
-                                    if (index > -1) {
-                                        wgcBuffer[index].count++;
-                                        if (wgcBuffer[index].count >= 2) {
-                                            wgcBuffer.splice(index, 1);
-                                            wgc.splice(k, 1);
-                                        }
-                                    } else {
-                                        wgcBuffer.push({
-                                            address: wgc[k].account.address,
-                                            count: 0,
-                                        });
-                                    }
-                                }
                             } catch {
                                 /**/
                             }
                         }
                     }
-                    // try to sweep main wallet's tokens back to eth
-                    try {
-                        await sweepToEth(config, state, tracer, roundCtx);
-                    } catch {
-                        /**/
+
+                    // in case there are new orders or removed order, re evaluate owners limits
+                    if (ordersDidChange) {
+                        await downscaleProtection(
+                            orderbooksOwnersProfileMap,
+                            config.viemClient as any as ViemClient,
+                            options.ownerProfile,
+                        );
                     }
+                } catch {
+                    /**/
                 }
-                roundSpan.setStatus({ code: SpanStatusCode.OK });
-            } catch (error: any) {
-                const snapshot = errorSnapshot("", error);
-                roundSpan.setAttribute("severity", ErrorSeverity.HIGH);
-                roundSpan.setAttribute("didClear", false);
-                roundSpan.recordException(error);
-                roundSpan.setStatus({ code: SpanStatusCode.ERROR, message: snapshot });
-            }
-            if (config.accounts.length) {
-                const accountsWithBalance: Record<string, string> = {};
-                config.accounts.forEach(
-                    (v) =>
-                        (accountsWithBalance[v.account.address] = ethers.utils.formatUnits(
-                            v.BALANCE,
-                        )),
-                );
-                roundSpan.setAttribute("circulatingAccounts", JSON.stringify(accountsWithBalance));
-                roundSpan.setAttribute("lastAccountIndex", lastUsedAccountIndex);
-            }
-            if (avgGasCost) {
-                roundSpan.setAttribute("avgGasCost", ethers.utils.formatUnits(avgGasCost));
-            }
 
-            try {
-                // handle order changes (add/remove)
-                roundSpan.setAttribute(
-                    "watch-new-orders",
-                    JSON.stringify({
-                        hasRead: lastReadOrdersMap,
-                        startTime: lastReadOrdersTimestamp,
-                    }),
-                );
-                let ordersDidChange = false;
-                const results = await Promise.allSettled(
-                    lastReadOrdersMap.map((v) =>
-                        getOrderChanges(v.sg, lastReadOrdersTimestamp, v.skip, roundSpan),
-                    ),
-                );
-                for (let i = 0; i < results.length; i++) {
-                    const res = results[i];
-                    if (res.status === "fulfilled") {
-                        if (res.value.addOrders.length || res.value.removeOrders.length) {
-                            ordersDidChange = true;
-                        }
-                        lastReadOrdersMap[i].skip += res.value.count;
-                        try {
-                            await handleAddOrderbookOwnersProfileMap(
-                                orderbooksOwnersProfileMap,
-                                res.value.addOrders.map((v) => v.order),
-                                config.viemClient as any as ViemClient,
-                                tokens,
-                                options.ownerProfile,
-                                roundSpan,
-                            );
-                        } catch {
-                            /**/
-                        }
+                // checkpoint the state so it can be restored on restart
+                if (store) {
+                    await tracer.startActiveSpan("save-state", {}, roundCtx, async (span) => {
                         try {
-                            await handleRemoveOrderbookOwnersProfileMap(
-                                orderbooksOwnersProfileMap,
-                                res.value.removeOrders.map((v) => v.order),
-                                roundSpan,
-                            );
-                        } catch {
-                            /**/
+                            await store.save(chain ?? DEFAULT_STATE_KEY, {
+                                lastReadOrdersTimestamp,
+                                lastReadOrders: lastReadOrdersMap,
+                                avgGasCost: avgGasCost?.toString(),
+                                lastGasReset,
+                                lastUsedAccountIndex,
+                                accounts: config.accounts.map(getPersistedWallet),
+                                wgc: wgc.map(getPersistedWallet),
+                                wgcBuffer,
+                                ownersLastIndex: getOwnersLastIndex(orderbooksOwnersProfileMap),
+                            });
+                            span.setStatus({ code: SpanStatusCode.OK });
+                        } catch (error) {
+                            span.setAttribute("severity", ErrorSeverity.MEDIUM);
+                            span.setStatus({
+                                code: SpanStatusCode.ERROR,
+                                message: errorSnapshot("failed to save state", error),
+                            });
                         }
-                    }
+                        span.end();
+                    });
                 }
 
-                // in case there are new orders or removed order, re evaluate owners limits
-                if (ordersDidChange) {
-                    await downscaleProtection(
-                        orderbooksOwnersProfileMap,
-                        config.viemClient as any as ViemClient,
-                        options.ownerProfile,
+                // record round metrics before resetting the rpc records
+                incMetric(Metrics.rounds, { chain_id: config.chain.id });
+                recordWalletBalances(config);
+                recordRpcRecords(config.chain.id, config.rpcRecords);
+
+                // report rpcs performance for round
+                for (const rpc in config.rpcRecords) {
+                    await tracer.startActiveSpan("rpc-report", {}, roundCtx, async (span) => {
+                        const record = config.rpcRecords[rpc];
+                        span.setAttributes({
+                            "rpc-url": rpc,
+                            "request-count": record.req,
+                            "success-count": record.success,
+                            "failure-count": record.failure,
+                            "timeout-count": record.req - (record.success + record.failure),
+                        });
+                        record.req = 0;
+                        record.success = 0;
+                        record.failure = 0;
+                        record.cache = {};
+                        span.end();
+                    });
+                }
+
+                if (options.blockDriven) {
+                    // eslint-disable-next-line no-console
+                    console.log("Starting next round on new block...", "\n");
+                    roundSpan.end();
+
+                    // rounds start no sooner than the min gap and on a block newer than the
+                    // last one, or after --sleep seconds if no new block arrives meanwhile
+                    await sleep(
+                        Math.max(roundStart + options.minRoundGap - Date.now(), 0),
+                        "",
+                        signal,
                     );
+                    lastBlockNumber =
+                        (await waitForNewBlock(
+                            config.viemClient,
+                            lastBlockNumber,
+                            roundGap,
+                            signal,
+                        )) ?? lastBlockNumber;
+                } else {
+                    // eslint-disable-next-line no-console
+                    console.log(`Starting next round in ${roundGap / 1000} seconds...`, "\n");
+                    roundSpan.end();
+                    await sleep(roundGap, "", signal);
+                    // give otel some time to export
+                    await sleep(3000);
                 }
-            } catch {
-                /**/
-            }
+            });
+            counter++;
+        }
 
-            // report rpcs performance for round
-            for (const rpc in config.rpcRecords) {
-                await tracer.startActiveSpan("rpc-report", {}, roundCtx, async (span) => {
-                    const record = config.rpcRecords[rpc];
-                    span.setAttributes({
-                        "rpc-url": rpc,
-                        "request-count": record.req,
-                        "success-count": record.success,
-                        "failure-count": record.failure,
-                        "timeout-count": record.req - (record.success + record.failure),
-                    });
-                    record.req = 0;
-                    record.success = 0;
-                    record.failure = 0;
-                    record.cache = {};
-                    span.end();
-                });
-            }
+        // sweep the circulating wallets back to main wallet before exiting
+        if (options.sweepOnShutdown && !config.dryRun) {
+            await tracer.startActiveSpan("shutdown-sweep", async (span) => {
+                const ctx = trace.setSpan(context.active(), span);
+                for (const wallet of [...config.accounts, ...wgc]) {
+                    try {
+                        await sweepToMainWallet(
+                            wallet,
+                            config.mainAccount,
+                            state,
+                            config,
+                            tracer,
+                            ctx,
+                        );
+                    } catch {
+                        /**/
+                    }
+                }
+                span.end();
+            });
+        }
+    } finally {
+        clearInterval(gasPriceInterval);
+        api?.delete(handleName);
+    }
+};
 
-            // eslint-disable-next-line no-console
-            console.log(`Starting next round in ${roundGap / 1000} seconds...`, "\n");
-            roundSpan.end();
-            await sleep(roundGap);
-            // give otel some time to export
-            await sleep(3000);
-        });
-        counter++;
+/**
+ * Runs a one-shot command for the order specified by --order-hash, prints its result
+ * and exits, operates on the first of the specified chains
+ * @param argv - cli args
+ * @param command - The one-shot command to run
+ */
+export async function runOneShot(argv: any, version: string | undefined, command: OneShotCommand) {
+    const chain = (await getChains(argv, version))[0];
+    const { orderHash, ledger, since } = await getOptions(argv, version, chain);
+    if (command === "report") {
+        if (!ledger) throw `--ledger is required for "${command}" command`;
+        const reports = getLedgerReports(readLedger(ledger), since ? parseSince(since) : undefined);
+        // eslint-disable-next-line no-console
+        console.log(formatLedgerReports(reports));
+        return;
+    }
+    if (!orderHash) throw `--order-hash is required for "${command}" command`;
+
+    // nothing but the clear tx itself should get broadcasted
+    const { config, orderbooksOwnersProfileMap, state } = await startup(
+        argv,
+        version,
+        undefined,
+        undefined,
+        chain,
+        command === "clear" ? undefined : { dryRun: true },
+    );
+    const result = await runOneShotCommand(
+        command,
+        orderHash,
+        config,
+        orderbooksOwnersProfileMap,
+        state,
+    );
+    // eslint-disable-next-line no-console
+    console.log(result);
+}
+
+export const main = async (argv: any, version?: string) => {
+    const command = getOneShotCommand(argv, version);
+    if (command) return await runOneShot(argv, version, command);
+
+    // startup otel to collect span, logs, etc
+    // diag otel
+    diag.setLogger(new DiagConsoleLogger(), DiagLogLevel.ERROR);
+
+    const exporter = new OTLPTraceExporter(
+        process?.env?.HYPERDX_API_KEY
+            ? {
+                  url: "https://in-otel.hyperdx.io/v1/traces",
+                  headers: {
+                      authorization: process?.env?.HYPERDX_API_KEY,
+                  },
+                  compression: CompressionAlgorithm.GZIP,
+              }
+            : {
+                  compression: CompressionAlgorithm.GZIP,
+              },
+    );
+    const provider = new BasicTracerProvider({
+        resource: new Resource({
+            [SEMRESATTRS_SERVICE_NAME]: process?.env?.TRACER_SERVICE_NAME ?? "arb-bot",
+        }),
+    });
+    provider.addSpanProcessor(new BatchSpanProcessor(exporter));
+
+    // console spans in case hyperdx api is not defined
+    if (!process?.env?.HYPERDX_API_KEY) {
+        const consoleExporter = new ConsoleSpanExporter();
+        provider.addSpanProcessor(new SimpleSpanProcessor(consoleExporter));
     }
 
-    // flush and close the connection.
-    // eslint-disable-next-line no-unreachable
-    await exporter.shutdown();
-    await sleep(10000);
+    provider.register();
+    const tracer = provider.getTracer("arb-bot-tracer");
+
+    const chains = await getChains(argv, version);
+    const { shutdownTimeout, apiPort, apiHost, apiKey } = parseOptions(
+        await getOptions(argv, version, chains[0]),
+        ["shutdownTimeout", "apiPort", "apiHost", "apiKey"],
+    );
+
+    // start the status and control api if specified
+    const api = new Map<string, ChainHandle>();
+    const server =
+        apiPort !== undefined ? await startApi(api, apiPort, apiHost, apiKey) : undefined;
+
+    // on SIGINT/SIGTERM stop picking new orders and wait for the in-flight ones to settle
+    // until the deadline, a second signal or passing the deadline exits forcefully
+    const controller = new AbortController();
+    let deadline: NodeJS.Timeout | undefined;
+    let deadlineAt: number | undefined;
+    let forceShutdown: (reason: string) => void = () => {};
+    const forced = new Promise<never>((_, reject) => (forceShutdown = reject));
+    const onSignal = (signal: NodeJS.Signals) => {
+        if (controller.signal.aborted) {
+            forceShutdown(`received ${signal} during shutdown, exited forcefully`);
+            return;
+        }
+        // eslint-disable-next-line no-console
+        console.log(`Received ${signal}, shutting down...`);
+        controller.abort(signal);
+        deadlineAt = Date.now() + shutdownTimeout * 1000;
+        deadline = setTimeout(
+            () =>
+                forceShutdown(
+                    `shutdown deadline of ${shutdownTimeout} seconds exceeded, in-flight transactions may have not settled`,
+                ),
+            shutdownTimeout * 1000,
+        );
+    };
+    process.on("SIGINT", onSignal);
+    process.on("SIGTERM", onSignal);
+
+    const run = async () => {
+        if (chains.length > 1) {
+            // run each chain independently so a failure on one doesnt stop the others
+            const results = await Promise.allSettled(
+                chains.map((chain) =>
+                    runChain(tracer, argv, version, chain, controller.signal, api).catch(
+                        (error) => {
+                            tracer.startActiveSpan("chain-halted", {}, (span) => {
+                                span.setAttribute("chain.name", chain);
+                                span.setAttribute("severity", ErrorSeverity.HIGH);
+                                span.recordException(error);
+                                span.setStatus({
+                                    code: SpanStatusCode.ERROR,
+                                    message: errorSnapshot(`chain ${chain} halted`, error),
+                                });
+                                span.end();
+                            });
+                            return Promise.reject(error);
+                        },
+                    ),
+                ),
+            );
+            // only reaches here once all of the chains have halted or shut down
+            const errors = results
+                .map((v, i) =>
+                    v.status === "rejected" ? `${chains[i]}: ${errorSnapshot("", v.reason)}` : "",
+                )
+                .filter((v) => !!v);
+            if (errors.length) throw errors.join("\n");
+        } else {
+            await runChain(tracer, argv, version, chains[0], controller.signal, api);
+        }
+    };
+    try {
+        await Promise.race([run(), forced]);
+    } finally {
+        clearTimeout(deadline);
+        process.off("SIGINT", onSignal);
+        process.off("SIGTERM", onSignal);
+        server?.closeAllConnections();
+        server?.close();
+
+        // flush the spans queued in the span processors and close the exporter's connection,
+        // within what is left of the shutdown deadline
+        let flushTimer: NodeJS.Timeout | undefined;
+        const flushTimeout = Math.max(
+            (deadlineAt ?? Date.now() + shutdownTimeout * 1000) - Date.now(),
+            0,
+        );
+        await Promise.race([
+            provider.shutdown(),
+            new Promise<void>((resolve) => (flushTimer = setTimeout(resolve, flushTimeout))),
+        ]).finally(() => clearTimeout(flushTimer));
+    }
 };
 
 function getEnv(value: any): any {
@@ -0,0 +1,190 @@
+import { ethers } from "ethers";
+import { getQuoteGas } from "./gas";
+import { errorSnapshot } from "./error";
+import { quoteSingleOrder } from "./utils";
+import { recordLedgerEntry } from "./ledger";
+import { arbAbis, orderbookAbi } from "./abis";
+import { prepareOrdersForRound } from "./order";
+import { getSigner, getWriteSigner } from "./tx";
+import { processPair, ProcessPairHaltReason, ProcessPairReportStatus } from "./processOrders";
+import {
+    BotConfig,
+    BundledOrders,
+    OperationState,
+    ProcessPairResult,
+    OrderbooksOwnersProfileMap,
+} from "./types";
+
+/**
+ * One-shot cli commands that run once and exit, all but "report" operate on a single order
+ */
+export const ONE_SHOT_COMMANDS = ["quote", "find-opp", "clear", "report"] as const;
+export type OneShotCommand = (typeof ONE_SHOT_COMMANDS)[number];
+
+/**
+ * Runs a one-shot command for all the pairs of the given order and returns the human-readable
+ * result, "quote" only quotes the order, "find-opp" goes through finding an opportunity for it
+ * in dry run mode and "clear" also submits the transaction of the found opportunity
+ * @param command - The command to run
+ * @param orderHash - The order hash
+ * @param config - The configuration object
+ * @param orderbooksOwnersProfileMap - The orderbooks owners profile map that includes the order
+ * @param state - The operation state
+ */
+export async function runOneShotCommand(
+    command: Exclude<OneShotCommand, "report">,
+    orderHash: string,
+    config: BotConfig,
+    orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
+    state: OperationState,
+): Promise<string> {
+    if (command === "find-opp") config = { ...config, dryRun: true };
+
+    const bundledOrders = prepareOrdersForRound(orderbooksOwnersProfileMap, false);
+    const orderPairObjects = getOrderPairs(bundledOrders, orderHash);
+    if (!orderPairObjects.length) throw `found no active order with hash ${orderHash}`;
+
+    const output: string[] = [];
+    for (const orderPairObject of orderPairObjects) {
+        const pair = `${orderPairObject.buyTokenSymbol}/${orderPairObject.sellTokenSymbol}`;
+        output.push(
+            `order: ${orderHash}`,
+            `orderbook: ${orderPairObject.orderbook}`,
+            `pair: ${pair}`,
+        );
+        if (command === "quote") {
+            output.push(...(await quoteOrder(config, orderPairObject)));
+        } else {
+            const result = await processOrder(config, orderPairObject, bundledOrders, state, pair);
+            output.push(...formatResult(result));
+        }
+        output.push("");
+    }
+    return output.join("\n");
+}
+
+/**
+ * Gets the pairs of the given order from the bundled orders, each with only that order
+ */
+export function getOrderPairs(
+    bundledOrders: BundledOrders[][],
+    orderHash: string,
+): BundledOrders[] {
+    const result: BundledOrders[] = [];
+    for (const orderbookOrders of bundledOrders) {
+        for (const pairOrders of orderbookOrders) {
+            const takeOrder = pairOrders.takeOrders.find(
+                (v) => v.id.toLowerCase() === orderHash.toLowerCase(),
+            );
+            if (takeOrder) result.push({ ...pairOrders, takeOrders: [takeOrder] });
+        }
+    }
+    return result;
+}
+
+/**
+ * Quotes the order pair and returns the human-readable result
+ */
+async function quoteOrder(config: BotConfig, orderPairObject: BundledOrders): Promise<string[]> {
+    try {
+        await quoteSingleOrder(
+            orderPairObject,
+            config.rpc,
+            undefined,
+            await getQuoteGas(config, orderPairObject),
+        );
+        const quote = orderPairObject.takeOrders[0].quote!;
+        return [
+            `max output: ${ethers.utils.formatUnits(quote.maxOutput)}`,
+            `ratio: ${ethers.utils.formatUnits(quote.ratio)}`,
+        ];
+    } catch (error) {
+        return [errorSnapshot("failed to quote", error)];
+    }
+}
+
+/**
+ * Processes the order pair the same way as in a round and waits for it to settle
+ */
+async function processOrder(
+    config: BotConfig,
+    orderPairObject: BundledOrders,
+    bundledOrders: BundledOrders[][],
+    state: OperationState,
+    pair: string,
+): Promise<ProcessPairResult> {
+    const signer = await getSigner(config.accounts, config.mainAccount);
+    const settle = await processPair({
+        config,
+        orderPairObject,
+        viemClient: config.viemClient,
+        dataFetcher: config.dataFetcher,
+        signer,
+        writeSigner: await getWriteSigner(config, signer),
+        arb: new ethers.Contract(config.arbAddress, arbAbis),
+        genericArb: config.genericArbAddress
+            ? new ethers.Contract(config.genericArbAddress, arbAbis)
+            : undefined,
+        orderbook: new ethers.Contract(orderPairObject.orderbook, orderbookAbi),
+        pair,
+        orderbooksOrders: bundledOrders,
+        state,
+    });
+    let result: ProcessPairResult;
+    try {
+        result = await settle();
+    } catch (e: any) {
+        // halted results are rejected with their reason
+        if (!e?.reason) throw e;
+        result = e;
+    }
+    recordLedgerEntry(config, result, orderPairObject, pair);
+    return result;
+}
+
+/**
+ * Formats a process pair result to human-readable lines, the failure reasons
+ * of each clear mode are included in the details
+ */
+export function formatResult(result: ProcessPairResult): string[] {
+    const { report, reason, error, spanAttributes } = result;
+    const lines = [`status: ${ProcessPairReportStatus[report.status]}`];
+    if (report.clearMode) lines.push(`clear mode: ${report.clearMode}`);
+    if (report.estimatedProfit) {
+        lines.push(`estimated profit: ${ethers.utils.formatUnits(report.estimatedProfit)}`);
+    }
+    if (report.dryRun && report.rawtx) {
+        lines.push(`dry run tx: ${spanAttributes["details.rawTx"]}`);
+    }
+    if (report.txUrl) lines.push(`tx: ${report.txUrl}`);
+    if (report.clearedAmount) lines.push(`cleared amount: ${report.clearedAmount}`);
+    if (report.actualGasCost) lines.push(`actual gas cost: ${report.actualGasCost}`);
+    if (report.netProfit) {
+        lines.push(`net profit: ${ethers.utils.formatUnits(report.netProfit)}`);
+    }
+    if (reason) {
+        const header = `halted: ${ProcessPairHaltReason[reason]}`;
+        lines.push(error ? errorSnapshot(header, error) : header);
+    } else if (error) {
+        lines.push(errorSnapshot("error", error));
+    }
+
+    const route = spanAttributes["details.route"];
+    if (Array.isArray(route)) lines.push("route:", ...route.map((v) => `  ${v}`));
+
+    const details = Object.keys(spanAttributes)
+        .filter((key) => key !== "details.route" && key !== "details.rawTx")
+        .sort();
+    if (details.length) {
+        lines.push("details:");
+        details.forEach((key) => {
+            const value = spanAttributes[key];
+            lines.push(
+                `  ${key.replace(/^details\./, "")}: ${
+                    Array.isArray(value) ? value.join(", ") : value
+                }`,
+            );
+        });
+    }
+    return lines;
+}
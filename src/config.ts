@@ -1,6 +1,8 @@
 import { getSgOrderbooks } from "./sg";
 import { sendTransaction } from "./tx";
 import { WNATIVE } from "sushi/currency";
+import { withRateLimit } from "./rateLimit";
+import { createNonceManager } from "./nonce";
 import { ChainId, ChainKey } from "sushi/chain";
 import { DataFetcher, LiquidityProviders } from "sushi/router";
 import {
@@ -82,21 +84,7 @@ export async function createViemClient(
     const configuration = { rank: false, retryCount: 3 };
     const urls = rpcs?.filter((v) => typeof v === "string") ?? [];
     const topRpcs = urls.map((v) =>
-        v.startsWith("http")
-            ? http(v, {
-                  timeout,
-                  onFetchRequest: config?.onFetchRequest,
-                  onFetchResponse: config?.onFetchResponse,
-              })
-            : webSocket(v, {
-                  timeout,
-                  keepAlive: true,
-                  reconnect: true,
-              }),
-    );
-    const fallbacks = (fallbackRpcs[chainId] ?? [])
-        .filter((v) => !urls.includes(v))
-        .map((v) =>
+        withRateLimit(
             v.startsWith("http")
                 ? http(v, {
                       timeout,
@@ -108,6 +96,28 @@ export async function createViemClient(
                       keepAlive: true,
                       reconnect: true,
                   }),
+            v,
+            config?.rpcRateLimit,
+        ),
+    );
+    const fallbacks = (fallbackRpcs[chainId] ?? [])
+        .filter((v) => !urls.includes(v))
+        .map((v) =>
+            withRateLimit(
+                v.startsWith("http")
+                    ? http(v, {
+                          timeout,
+                          onFetchRequest: config?.onFetchRequest,
+                          onFetchResponse: config?.onFetchResponse,
+                      })
+                    : webSocket(v, {
+                          timeout,
+                          keepAlive: true,
+                          reconnect: true,
+                      }),
+                v,
+                config?.rpcRateLimit,
+            ),
         );
     const transport = !topRpcs.length
         ? fallback(fallbacks, configuration)
@@ -126,7 +136,7 @@ export async function createViemClient(
           }).extend(publicActions) as any as ViemClient);
 
     // set injected properties
-    client.BUSY = false;
+    client.NONCE = createNonceManager();
     client.sendTx = async (tx) => {
         return await sendTransaction(client, tx);
     };
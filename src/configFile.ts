@@ -0,0 +1,176 @@
+import fs from "fs";
+import { parse } from "yaml";
+import { OPTIONS_SCHEMA, OptionType } from "./options";
+
+/**
+ * Reads a YAML or JSON config file and returns its options for the given chain, values of
+ * the chain's section under "chains" take precedence over the top level ones
+ * @param path - Path to the config file
+ * @param chain - (optional) Name of the chain section to apply, falls back to the first of file's "chain" key
+ */
+export function readConfigFile(path: string, chain?: string): Record<string, any> {
+    return parseConfigFile(loadConfigFile(path), chain);
+}
+
+/**
+ * Reads the names of the chains specified by a config file's "chain" key
+ * @param path - Path to the config file
+ */
+export function readConfigFileChains(path: string): string[] {
+    const content = loadConfigFile(path);
+    return isObject(content) ? getFileChains(content.chain) : [];
+}
+
+/**
+ * Reads and parses a YAML or JSON config file
+ */
+function loadConfigFile(path: string): any {
+    let content: string;
+    try {
+        content = fs.readFileSync(path, { encoding: "utf8" });
+    } catch (error: any) {
+        throw `failed to read config file "${path}": ${error?.message ?? error}`;
+    }
+    let parsed: any;
+    try {
+        // keep hex values (such as addresses) as strings and integers as bigint so values
+        // like vault ids dont lose precision
+        parsed = /\.json$/i.test(path)
+            ? JSON.parse(content)
+            : parse(content, {
+                  intAsBigInt: true,
+                  customTags: (tags) =>
+                      tags.filter((v) => typeof v === "string" || v.format !== "HEX"),
+              });
+    } catch (error: any) {
+        throw `failed to parse config file "${path}": ${error?.message ?? error}`;
+    }
+    return parsed ?? {};
+}
+
+/**
+ * Validates and normalizes the parsed content of a config file
+ * @param content - The parsed config file content
+ * @param chain - (optional) Name of the chain section to apply, falls back to the first of content's "chain" key
+ */
+export function parseConfigFile(content: any, chain?: string): Record<string, any> {
+    if (!isObject(content)) throw "invalid config file, expected a map of options";
+    const { chains, chain: fileChain, ...rest } = content;
+    const options = normalizeSection(rest, "");
+
+    const fileChains = getFileChains(fileChain);
+    if (chains !== undefined && !isObject(chains)) {
+        throw 'invalid config file value for "chains", expected a map of chain sections';
+    }
+    const selectedChain = chain ?? fileChains[0];
+    if (selectedChain !== undefined) {
+        if (!chains || !isObject(chains[selectedChain])) {
+            throw `invalid config file, missing section "chains.${selectedChain}"`;
+        }
+        Object.assign(options, normalizeSection(chains[selectedChain], `chains.${selectedChain}.`));
+    } else if (chains) {
+        // validate all sections even if none is selected
+        for (const name in chains) {
+            if (!isObject(chains[name])) {
+                throw `invalid config file value for "chains.${name}", expected a map of options`;
+            }
+            normalizeSection(chains[name], `chains.${name}.`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Validates and normalizes a config file's "chain" key value to a list of chain names
+ */
+function getFileChains(value: any): string[] {
+    if (value === undefined || value === null) return [];
+    if (typeof value === "string") return [value];
+    if (Array.isArray(value) && value.length && value.every((v) => typeof v === "string")) {
+        return value;
+    }
+    throw 'invalid config file value for "chain", expected a string or list of strings';
+}
+
+/**
+ * Validates a config file section's keys and values and normalizes them
+ */
+function normalizeSection(section: Record<string, any>, prefix: string): Record<string, any> {
+    const result: Record<string, any> = {};
+    for (const key in section) {
+        const kind = OPTIONS_SCHEMA[key]?.type;
+        if (!kind || key === "config" || key === "chain")
+            throw `unknown config file key "${prefix}${key}"`;
+        const value = section[key];
+        if (value === undefined || value === null) continue;
+        result[key] = normalizeValue(value, kind, `${prefix}${key}`);
+    }
+    return result;
+}
+
+/**
+ * Validates a config file value and normalizes it to its cli flag equivalent form
+ */
+function normalizeValue(value: any, kind: OptionType, key: string): any {
+    switch (kind) {
+        case "string": {
+            if (typeof value === "string") return value;
+            if (typeof value === "number" || typeof value === "bigint") return value.toString();
+            throw `invalid config file value for "${key}", expected a string or number`;
+        }
+        case "boolean": {
+            if (typeof value === "boolean") return value;
+            throw `invalid config file value for "${key}", expected a boolean`;
+        }
+        case "list": {
+            if (typeof value === "string") {
+                return Array.from(value.matchAll(/[^,\s]+/g)).map((v) => v[0]);
+            }
+            if (Array.isArray(value) && value.every((v) => typeof v === "string")) return value;
+            throw `invalid config file value for "${key}", expected a string or list of strings`;
+        }
+        case "lps": {
+            if (typeof value === "string") return value;
+            if (Array.isArray(value) && value.every((v) => typeof v === "string")) {
+                return value.join(",");
+            }
+            throw `invalid config file value for "${key}", expected a string or list of strings`;
+        }
+        case "ownerProfile": {
+            if (Array.isArray(value) && value.every((v) => typeof v === "string")) return value;
+            if (isObject(value)) {
+                return Object.entries(value).map(([owner, limit]) => {
+                    if (!["string", "number", "bigint"].includes(typeof limit)) {
+                        throw `invalid config file value for "${key}.${owner}", expected an integer or "max"`;
+                    }
+                    return `${owner}=${limit}`;
+                });
+            }
+            throw `invalid config file value for "${key}", expected a map of owner to limit or list of "owner=limit"`;
+        }
+        case "selfFundOrders": {
+            if (typeof value === "string") return value;
+            if (Array.isArray(value)) {
+                return value
+                    .map((v, i) => {
+                        const fields = ["token", "vaultId", "threshold", "topupAmount"].map(
+                            (field) => {
+                                const item = v?.[field];
+                                if (!["string", "number", "bigint"].includes(typeof item)) {
+                                    throw `invalid config file value for "${key}[${i}].${field}", expected a string or number`;
+                                }
+                                return item.toString();
+                            },
+                        );
+                        return fields.join(",");
+                    })
+                    .join(";");
+            }
+            throw `invalid config file value for "${key}", expected a string or list of orders`;
+        }
+    }
+}
+
+function isObject(value: any): value is Record<string, any> {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
@@ -1,5 +1,6 @@
 import { ChainId } from "sushi";
 import { BigNumber } from "ethers";
+import { errorSnapshot } from "./error";
 import { getQuoteConfig } from "./utils";
 import { publicActionsL2 } from "viem/op-stack";
 import { encodeFunctionData, multicall3Abi, toHex } from "viem";
@@ -9,8 +10,12 @@ import { ArbitrumNodeInterfaceAbi, ArbitrumNodeInterfaceAddress, OrderbookQuoteA
 // default gas price for bsc chain, 1 gwei
 export const BSC_DEFAULT_GAS_PRICE = 1_000_000_000n as const;
 
+// number of recent blocks that the percentile priority fee is taken from
+export const FEE_HISTORY_BLOCKS = 10 as const;
+
 /**
- * Estimates gas cost of the given tx, also takes into account L1 gas cost if the chain is a special L2.
+ * Estimates gas cost of the given tx, also takes into account L1 gas cost if the chain is a special L2,
+ * if getting the L1 cost fails, its error is returned as l1Error and the L1 cost is left as 0
  */
 export async function estimateGasCost(
     tx: RawTx,
@@ -21,8 +26,15 @@ export async function estimateGasCost(
 ) {
     const gasPrice =
         tx.gasPrice ?? ((await signer.getGasPrice()) * BigInt(config.gasPriceMultiplier)) / 100n;
-    const gas = await signer.estimateGas(tx);
-    const result = {
+    const gas = await signer.estimateGas(getTypedTx(tx));
+    const result: {
+        gas: bigint;
+        gasPrice: bigint;
+        l1GasPrice: bigint;
+        l1Cost: bigint;
+        totalGasCost: bigint;
+        l1Error?: string;
+    } = {
         gas,
         gasPrice,
         l1GasPrice: 0n,
@@ -42,7 +54,9 @@ export async function estimateGasCost(
             result.l1GasPrice = l1GasPrice;
             result.l1Cost = l1Cost;
             result.totalGasCost += l1Cost;
-        } catch {}
+        } catch (e) {
+            result.l1Error = errorSnapshot("failed to get L1 fee", e);
+        }
     }
     return result;
 }
@@ -72,7 +86,9 @@ export function getTxFee(receipt: any, config: BotConfig): bigint {
 }
 
 /**
- * Fetches the gas price (L1 gas price as well if chain is special L2)
+ * Fetches the gas price (L1 gas price as well if chain is special L2), and the base and priority
+ * fees if EIP-1559 txs are enabled, if fetching the fees fails, the last fetched ones are kept
+ * and the error is set in the state as feeError until they are fetched again
  */
 export async function getGasPrice(config: BotConfig, state: OperationState) {
     const promises = [config.viemClient.getGasPrice()];
@@ -91,6 +107,121 @@ export async function getGasPrice(config: BotConfig, state: OperationState) {
     if (l1GasPriceResult?.status === "fulfilled") {
         state.l1GasPrice = l1GasPriceResult.value;
     }
+
+    // base fee is only available on the chains that support EIP-1559
+    if (config.priorityFee) {
+        try {
+            const block = await config.viemClient.getBlock({ blockTag: "latest" });
+            state.baseFee = block.baseFeePerGas ?? undefined;
+        } catch (e) {
+            state.feeError = errorSnapshot("failed to get base fee", e);
+            return;
+        }
+        if (state.baseFee !== undefined && config.priorityFee.type === "percentile") {
+            try {
+                const { reward = [] } = await config.viemClient.getFeeHistory({
+                    blockCount: FEE_HISTORY_BLOCKS,
+                    rewardPercentiles: [config.priorityFee.value],
+                });
+                state.priorityFee = reward.length
+                    ? reward.reduce((a, b) => a + b[0], 0n) / BigInt(reward.length)
+                    : 0n;
+            } catch (e) {
+                state.feeError = errorSnapshot("failed to get fee history", e);
+                return;
+            }
+        }
+        state.feeError = undefined;
+    }
+}
+
+/**
+ * Gets the EIP-1559 fees of a clear tx by the configured priority fee strategy, the max fee
+ * is capped so the tx's gas cost with gas coverage applied does not exceed its estimated
+ * profit, throws if that cap is below the network gas price, as then the tx is not profitable,
+ * if a gas price is bid for the tx, the fees are raised so the tx pays the bid as long as the
+ * base fee does not rise, returns undefined if EIP-1559 txs are not enabled or are not supported
+ * by the chain
+ * @param config - The bot config
+ * @param state - The operation state
+ * @param rawtx - The clear tx
+ * @param estimatedProfit - The tx's estimated profit in eth
+ * @param bidGasPrice - (optional) The gas price that is bid for the tx
+ */
+export function getTxFees(
+    config: BotConfig,
+    state: OperationState,
+    rawtx: RawTx,
+    estimatedProfit: BigNumber,
+    bidGasPrice?: bigint,
+): { maxFeePerGas: bigint; maxPriorityFeePerGas: bigint } | undefined {
+    if (!config.priorityFee || state.baseFee === undefined) return;
+    const gas = rawtx.gas ?? 0n;
+    const profit = estimatedProfit.toBigInt();
+
+    let priorityFee = 0n;
+    if (config.priorityFee.type === "fixed") {
+        priorityFee = config.priorityFee.value;
+    } else if (config.priorityFee.type === "percentile") {
+        priorityFee = state.priorityFee ?? 0n;
+    } else if (gas > 0n) {
+        priorityFee = (profit * BigInt(config.priorityFee.value)) / 100n / gas;
+    }
+
+    if (bidGasPrice !== undefined && bidGasPrice - state.baseFee > priorityFee) {
+        priorityFee = bidGasPrice - state.baseFee;
+    }
+
+    let maxFeePerGas = state.baseFee * 2n + priorityFee;
+    if (gas > 0n) {
+        const coverage = BigInt(Math.max(Number(config.gasCoveragePercentage), 100));
+        const cap = (profit * 100n) / coverage / gas;
+        if (cap < maxFeePerGas) maxFeePerGas = cap;
+    }
+    if (maxFeePerGas < state.gasPrice) {
+        throw `max fee per gas cap ${maxFeePerGas} is below the network gas price ${state.gasPrice}`;
+    }
+    return {
+        maxFeePerGas,
+        maxPriorityFeePerGas: priorityFee < maxFeePerGas ? priorityFee : maxFeePerGas,
+    };
+}
+
+/**
+ * Gets the gas price to bid for a found opportunity, that is the configured share of its
+ * estimated profit per gas, capped so its gas cost with gas coverage applied does not exceed
+ * the estimated profit, returns the given gas price if bidding is not enabled or if it is higher
+ * @param config - The bot config
+ * @param gas - The tx's gas limit
+ * @param gasPrice - The network gas price that the opportunity was found at
+ * @param estimatedProfit - The opportunity's estimated profit in eth
+ */
+export function getBidGasPrice(
+    config: BotConfig,
+    gas: bigint,
+    gasPrice: bigint,
+    estimatedProfit: BigNumber,
+): bigint {
+    if (!config.gasBid || gas <= 0n) return gasPrice;
+    const profit = estimatedProfit.toBigInt();
+    let bid = (profit * BigInt(config.gasBid)) / 100n / gas;
+    const coverage = BigInt(config.gasCoveragePercentage);
+    if (coverage > 0n) {
+        const cap = (profit * 100n) / coverage / gas;
+        if (cap < bid) bid = cap;
+    }
+    return bid > gasPrice ? bid : gasPrice;
+}
+
+/**
+ * Gets the typed tx of the given raw tx, EIP-1559 if it has EIP-1559 fees else legacy
+ */
+export function getTypedTx(rawtx: RawTx) {
+    const { gasPrice, maxFeePerGas, maxPriorityFeePerGas, ...tx } = rawtx;
+    if (maxFeePerGas !== undefined) {
+        return { ...tx, maxFeePerGas, maxPriorityFeePerGas, type: "eip1559" as const };
+    }
+    return { ...tx, gasPrice, type: "legacy" as const };
 }
 
 /**
@@ -0,0 +1,189 @@
+import { BundledOrders, ProcessPairResult } from "./types";
+import { getOrderPairKey, getTokenPairKey } from "./poolWatcher";
+import { ProcessPairHaltReason, ProcessPairReportStatus } from "./processOrders";
+
+/**
+ * Checks if a halt reason is counted as a hard failure, that is the order's eval reverts or
+ * its pair has no route to eth, they keep failing until the vaults or the pools change, the
+ * halt reasons are read on call as this module and processOrders import each other
+ */
+export function isHardFailure(reason?: ProcessPairHaltReason): boolean {
+    return (
+        reason === ProcessPairHaltReason.FailedToQuote ||
+        reason === ProcessPairHaltReason.FailedToGetEthPrice
+    );
+}
+
+/**
+ * Checks if a halt reason is counted as a soft failure, along with no opportunity results
+ */
+export function isSoftFailure(reason?: ProcessPairHaltReason): boolean {
+    return (
+        reason === ProcessPairHaltReason.FailedToGetPools ||
+        reason === ProcessPairHaltReason.TxReverted
+    );
+}
+
+/**
+ * Specifies the health status of an order
+ */
+export enum OrderHealthStatus {
+    Healthy = 1,
+    Backoff = 2,
+    Quarantined = 3,
+}
+
+/**
+ * Health of an order that has failed at least once since it last found an opportunity
+ */
+export type OrderHealth = {
+    /** Key of the order's token pair */
+    tokenPair: string;
+    /** Number of consecutive failures */
+    failures: number;
+    /** Number of consecutive hard failures */
+    hardFailures: number;
+    /** Unix timestamp in miliseconds that the order can be retried at */
+    retryAt: number;
+    /** If the order is quarantined, it stays so until its vaults or pools change */
+    quarantined: boolean;
+    /** The order's quote at its last failure, empty if it had none */
+    quote: string;
+};
+
+/**
+ * Keeps track of the orders' failures, backs off the failing ones exponentially and
+ * quarantines the ones that keep failing hard
+ */
+export type HealthTracker = {
+    /** Miliseconds that an order is backed off for after its first failure */
+    backoff: number;
+    /** Max miliseconds that an order is backed off for */
+    maxBackoff: number;
+    /** Number of consecutive hard failures that quarantines an order */
+    quarantineAfter: number;
+    /** Health of the failing orders, by their order pair key */
+    orders: Map<string, OrderHealth>;
+};
+
+/**
+ * Creates a new health tracker
+ * @param backoff - Miliseconds that an order is backed off for after its first failure
+ * @param maxBackoff - Max miliseconds that an order is backed off for
+ * @param quarantineAfter - Number of consecutive hard failures that quarantines an order
+ */
+export function createHealthTracker(
+    backoff: number,
+    maxBackoff: number,
+    quarantineAfter: number,
+): HealthTracker {
+    return { backoff, maxBackoff, quarantineAfter, orders: new Map() };
+}
+
+/**
+ * Gets the health status of a single order pair object, releases the order if its quote has
+ * changed since its last failure, as that means its vaults or its eval state have changed
+ * @param tracker - The health tracker
+ * @param orderPairObject - The single order pair object
+ * @param now - (optional) Current unix timestamp in miliseconds
+ */
+export function getOrderHealthStatus(
+    tracker: HealthTracker,
+    orderPairObject: BundledOrders,
+    now = Date.now(),
+): OrderHealthStatus {
+    const key = getOrderPairKey(orderPairObject);
+    const health = tracker.orders.get(key);
+    if (!health) return OrderHealthStatus.Healthy;
+
+    // the orders that failed to quote in this round have no quote to compare
+    const quote = orderPairObject.takeOrders[0].quote;
+    if (quote && getQuoteKey(orderPairObject) !== health.quote) {
+        tracker.orders.delete(key);
+        return OrderHealthStatus.Healthy;
+    }
+    if (health.quarantined) return OrderHealthStatus.Quarantined;
+    if (now < health.retryAt) return OrderHealthStatus.Backoff;
+    return OrderHealthStatus.Healthy;
+}
+
+/**
+ * Records the result of processing a single order pair object in its health, failures back
+ * off the order exponentially, consecutive hard failures quarantine it and an opportunity
+ * resets it, the results that are not caused by the order itself such as failed transactions
+ * leave its health as it is
+ * @param tracker - The health tracker
+ * @param orderPairObject - The single order pair object
+ * @param result - The settled process pair result, either resolved or rejected
+ * @param now - (optional) Current unix timestamp in miliseconds
+ * @returns true if the order got quarantined by this result
+ */
+export function recordOrderHealth(
+    tracker: HealthTracker,
+    orderPairObject: BundledOrders,
+    result: ProcessPairResult,
+    now = Date.now(),
+): boolean {
+    const key = getOrderPairKey(orderPairObject);
+    const isHard = isHardFailure(result.reason);
+    const isSoft =
+        isSoftFailure(result.reason) ||
+        (result.reason === undefined &&
+            result.report?.status === ProcessPairReportStatus.NoOpportunity);
+    if (!isHard && !isSoft) {
+        if (
+            result.reason === undefined &&
+            result.report?.status === ProcessPairReportStatus.FoundOpportunity
+        ) {
+            tracker.orders.delete(key);
+        }
+        return false;
+    }
+
+    const health: OrderHealth = tracker.orders.get(key) ?? {
+        tokenPair: getTokenPairKey(orderPairObject.buyToken, orderPairObject.sellToken),
+        failures: 0,
+        hardFailures: 0,
+        retryAt: 0,
+        quarantined: false,
+        quote: "",
+    };
+    health.failures++;
+    health.hardFailures = isHard ? health.hardFailures + 1 : 0;
+    health.retryAt =
+        now + Math.min(tracker.maxBackoff, tracker.backoff * 2 ** (health.failures - 1));
+    health.quote = getQuoteKey(orderPairObject);
+    tracker.orders.set(key, health);
+
+    if (!health.quarantined && health.hardFailures >= tracker.quarantineAfter) {
+        health.quarantined = true;
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Releases the quarantined orders whose pair's pools have changed, releases all
+ * of the quarantined orders if no pairs are given, such as when the pools are refetched
+ * @param tracker - The health tracker
+ * @param tokenPairs - (optional) The token pairs whose pools have changed
+ * @returns The number of released orders
+ */
+export function releaseQuarantinedOrders(tracker: HealthTracker, tokenPairs?: Set<string>): number {
+    let count = 0;
+    for (const [key, health] of tracker.orders) {
+        if (health.quarantined && (!tokenPairs || tokenPairs.has(health.tokenPair))) {
+            tracker.orders.delete(key);
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Gets the key of a single order pair object's quote, empty if it has none
+ */
+function getQuoteKey(orderPairObject: BundledOrders): string {
+    const quote = orderPairObject.takeOrders[0].quote;
+    return quote ? `${quote.maxOutput.toString()}/${quote.ratio.toString()}` : "";
+}
@@ -4,6 +4,8 @@ import { ChainId } from "sushi";
 import { versions } from "process";
 import { parseAbi, PublicClient } from "viem";
 import { processLps } from "./utils";
+import { CLEAR_MODES } from "./modes";
+import { parseOptions } from "./options";
 import { initAccounts } from "./account";
 import { processOrders } from "./processOrders";
 import { Context, Span } from "@opentelemetry/api";
@@ -93,6 +95,7 @@ export async function getOrderDetails(
  * @param walletKey - The wallet mnemonic phrase or private key
  * @param arbAddress - The Rain Arb contract address deployed on the network
  * @param options - (optional) Optional parameters, liquidity providers
+ * @param accountIndexes - (optional) Derivation indexes of the circulating wallets to restore
  * @returns The configuration object
  */
 export async function getConfig(
@@ -102,63 +105,16 @@ export async function getConfig(
     options: CliOptions,
     tracer?: Tracer,
     ctx?: Context,
+    accountIndexes?: number[],
 ): Promise<BotConfig> {
-    if (!ethers.utils.isAddress(arbAddress)) throw "invalid arb contract address";
-    if (options.genericArbAddress && !ethers.utils.isAddress(options.genericArbAddress)) {
-        throw "invalid generic arb contract address";
-    }
-
-    let timeout = 15_000;
-    if (options.timeout) {
-        if (typeof options.timeout === "number") {
-            if (!Number.isInteger(options.timeout) || options.timeout == 0)
-                throw "invalid timeout, must be an integer greater than 0";
-            else timeout = options.timeout * 1000;
-        } else if (typeof options.timeout === "string") {
-            if (/^\d+$/.test(options.timeout)) timeout = Number(options.timeout) * 1000;
-            else throw "invalid timeout, must be an integer greater than 0";
-            if (timeout == 0) throw "invalid timeout, must be an integer greater than 0";
-        } else throw "invalid timeout, must be an integer greater than 0";
-    }
-
-    let gasCoveragePercentage = "100";
-    if (options.gasCoverage) {
-        if (/^[0-9]+$/.test(options.gasCoverage)) {
-            gasCoveragePercentage = options.gasCoverage;
-        } else throw "invalid gas coverage percentage, must be an integer greater than equal 0";
-    }
-
-    let hops = 1;
-    if (options.hops) {
-        if (typeof options.hops === "number") {
-            hops = options.hops;
-            if (hops === 0) throw "invalid hops value, must be an integer greater than 0";
-        } else if (typeof options.hops === "string" && /^[0-9]+$/.test(options.hops)) {
-            hops = Number(options.hops);
-            if (hops === 0) throw "invalid hops value, must be an integer greater than 0";
-        } else throw "invalid hops value, must be an integer greater than 0";
-    }
-
-    let retries = 1;
-    if (options.retries) {
-        if (typeof options.retries === "number") {
-            retries = options.retries;
-            if (retries < 1 || retries > 3)
-                throw "invalid retries value, must be an integer between 1 - 3";
-        } else if (typeof options.retries === "string" && /^[0-9]+$/.test(options.retries)) {
-            retries = Number(options.retries);
-            if (retries < 1 || retries > 3)
-                throw "invalid retries value, must be an integer between 1 - 3";
-        } else throw "invalid retries value, must be an integer between 1 - 3";
-    }
-
-    let route: "single" | "multi" | undefined = "single";
-    if (options.route) {
-        const temp = options.route.toLowerCase();
-        if (temp === "full") route = undefined;
-        if (temp === "multi") route = "multi";
-        if (temp === "single") route = "single";
-    }
+    const { timeout, gasCoverage, hops, retries, route } = parseOptions(
+        { ...options, arbAddress },
+        ["arbAddress", "genericArbAddress", "timeout", "gasCoverage", "hops", "retries", "route"],
+    );
+    const unknownModes = options.clearModes?.filter(
+        (v) => !CLEAR_MODES.some((mode) => mode.name === v),
+    );
+    if (unknownModes?.length) throw `unknown clear mode(s): ${unknownModes.join(", ")}`;
 
     const chainId = (await getChainId(rpcUrls)) as ChainId;
     const config = getChainConfig(chainId) as any as BotConfig;
@@ -180,6 +136,7 @@ export async function getConfig(
     config.onFetchResponse = (response: Response) => {
         onFetchResponse(response.clone(), rpcRecords);
     };
+    config.rpcRateLimit = options.rpcRateLimit;
 
     const lps = processLps(options.lps);
     const viemClient = await createViemClient(
@@ -223,12 +180,12 @@ export async function getConfig(
     config.rpc = rpcUrls;
     config.arbAddress = arbAddress;
     config.genericArbAddress = options.genericArbAddress;
-    config.timeout = timeout;
+    config.timeout = (timeout ?? 15) * 1000;
     config.writeRpc = options.writeRpc;
     config.maxRatio = !!options.maxRatio;
     config.hops = hops;
     config.retries = retries;
-    config.gasCoveragePercentage = gasCoveragePercentage;
+    config.gasCoveragePercentage = gasCoverage;
     config.lps = lps;
     config.viemClient = viemClient as any as PublicClient;
     config.dataFetcher = dataFetcher;
@@ -236,13 +193,28 @@ export async function getConfig(
     config.selfFundOrders = options.selfFundOrders;
     config.publicRpc = options.publicRpc;
     config.walletKey = walletKey;
-    config.route = route;
+    config.route = route === "full" ? undefined : (route as "single" | "multi");
     config.rpcRecords = rpcRecords;
     config.gasPriceMultiplier = options.gasPriceMultiplier;
     config.gasLimitMultiplier = options.gasLimitMultiplier;
     config.txGas = options.txGas;
     config.quoteGas = options.quoteGas;
     config.rpOnly = options.rpOnly;
+    config.clearModes = options.clearModes;
+    config.dryRun = !!options.dryRun;
+    config.ledger = options.ledger;
+    config.concurrency = options.concurrency;
+    config.batchOrders = options.batchOrders;
+    config.priorityFee = options.priorityFee;
+    config.gasBid = options.gasBid;
+    config.txReplaceTimeout = options.txReplaceTimeout;
+    config.relay = options.relay;
+    config.relayMethod = options.relayMethod;
+    config.relayBlocks = options.relayBlocks;
+    // relays rate their senders by their auth key, so a random one is used if none is given
+    config.relayAuthKey = options.relay?.length
+        ? (options.relayAuthKey ?? ethers.Wallet.createRandom().privateKey)
+        : undefined;
     config.dispair = {
         interpreter,
         store,
@@ -250,7 +222,14 @@ export async function getConfig(
     };
 
     // init accounts
-    const { mainAccount, accounts } = await initAccounts(walletKey, config, options, tracer, ctx);
+    const { mainAccount, accounts } = await initAccounts(
+        walletKey,
+        config,
+        options,
+        tracer,
+        ctx,
+        accountIndexes,
+    );
     config.mainAccount = mainAccount;
     config.accounts = accounts;
 
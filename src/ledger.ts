@@ -0,0 +1,277 @@
+import fs from "fs";
+import { BigNumber, ethers } from "ethers";
+import { errorSnapshot } from "./error";
+import { ProcessPairHaltReason } from "./processOrders";
+import { BotConfig, BundledOrders, ProcessPairResult } from "./types";
+
+/**
+ * A record of an attempted clear in the ledger, values are in native token unless specified
+ */
+export type LedgerEntry = {
+    /** Unix timestamp in milliseconds */
+    timestamp: number;
+    chainId: number;
+    status: "mined" | "reverted" | "send_failed" | "mine_failed";
+    orderbook: string;
+    owner: string;
+    orders: string[];
+    pair: string;
+    mode?: string;
+    txHash?: string;
+    gasCost?: string;
+    /** Received bounty per token, in the token's decimals */
+    bounty: { token: string; symbol: string; amount: string }[];
+    /** Eth-valued income of the received bounty */
+    income?: string;
+    /** Eth-valued income minus gas cost */
+    netProfit?: string;
+    clearedAmount?: string;
+    /** Revert or failure reason */
+    error?: string;
+};
+
+/**
+ * Aggregated figures of ledger entries, pnl is the sum of mined clears' net profit minus the
+ * gas cost of reverted ones, mined clears whose income couldnt be valued only count their gas cost
+ */
+export type LedgerSummary = {
+    attempted: number;
+    mined: number;
+    reverted: number;
+    failed: number;
+    gasCost: BigNumber;
+    pnl: BigNumber;
+};
+
+/**
+ * Ledger summaries of a chain, in total and grouped by day, pair, owner and clear mode
+ */
+export type LedgerReport = {
+    total: LedgerSummary;
+    day: Record<string, LedgerSummary>;
+    pair: Record<string, LedgerSummary>;
+    owner: Record<string, LedgerSummary>;
+    mode: Record<string, LedgerSummary>;
+};
+
+/**
+ * Gets the ledger entry of a settled process pair result, either resolved or rejected,
+ * returns undefined if no transaction was attempted
+ * @param chainId - The chain id
+ * @param result - The process pair result
+ * @param orderPairObject - The processed order pair
+ * @param pair - The pair symbol
+ */
+export function getLedgerEntry(
+    chainId: number,
+    result: ProcessPairResult,
+    orderPairObject: BundledOrders,
+    pair: string,
+): LedgerEntry | undefined {
+    const { report, reason, error } = result;
+    if (!report || report.dryRun) return;
+
+    let status: LedgerEntry["status"];
+    if (reason === ProcessPairHaltReason.TxFailed) status = "send_failed";
+    else if (reason === ProcessPairHaltReason.TxMineFailed) status = "mine_failed";
+    else if (reason === ProcessPairHaltReason.TxReverted) status = "reverted";
+    else if (!reason && report.txUrl) status = "mined";
+    else return;
+
+    const entry: LedgerEntry = {
+        timestamp: Date.now(),
+        chainId,
+        status,
+        orderbook: orderPairObject.orderbook,
+        owner: orderPairObject.takeOrders[0].takeOrder.order.owner.toLowerCase(),
+        orders: orderPairObject.takeOrders.map((v) => v.id),
+        pair,
+        mode: report.clearMode,
+        txHash: report.txUrl?.split("/tx/")[1],
+        gasCost: report.actualGasCost,
+        bounty: [],
+        income: report.income ? ethers.utils.formatUnits(report.income) : undefined,
+        netProfit: report.netProfit ? ethers.utils.formatUnits(report.netProfit) : undefined,
+        clearedAmount: report.clearedAmount,
+    };
+    if (report.inputTokenIncome) {
+        entry.bounty.push({
+            token: orderPairObject.buyToken.toLowerCase(),
+            symbol: orderPairObject.buyTokenSymbol,
+            amount: report.inputTokenIncome,
+        });
+    }
+    if (report.outputTokenIncome) {
+        entry.bounty.push({
+            token: orderPairObject.sellToken.toLowerCase(),
+            symbol: orderPairObject.sellTokenSymbol,
+            amount: report.outputTokenIncome,
+        });
+    }
+    if (error) {
+        entry.error =
+            status === "reverted"
+                ? "snapshot" in error
+                    ? error.snapshot
+                    : errorSnapshot("transaction reverted onchain", error.err)
+                : errorSnapshot("", error);
+    }
+    return entry;
+}
+
+/**
+ * Appends the ledger entry of a settled process pair result to the ledger file if
+ * the ledger is enabled and a transaction was attempted
+ * @param config - The configuration object
+ * @param result - The process pair result
+ * @param orderPairObject - The processed order pair
+ * @param pair - The pair symbol
+ */
+export function recordLedgerEntry(
+    config: BotConfig,
+    result: ProcessPairResult,
+    orderPairObject: BundledOrders,
+    pair: string,
+) {
+    if (!config.ledger) return;
+    const entry = getLedgerEntry(config.chain.id, result, orderPairObject, pair);
+    if (entry) appendLedgerEntry(config.ledger, entry);
+}
+
+/**
+ * Appends an entry to the ledger file, each entry is a json line
+ * @param path - Path to the ledger file
+ * @param entry - The ledger entry
+ */
+export function appendLedgerEntry(path: string, entry: LedgerEntry) {
+    fs.appendFileSync(path, JSON.stringify(entry) + "\n");
+}
+
+/**
+ * Reads all the entries of a ledger file
+ * @param path - Path to the ledger file
+ */
+export function readLedger(path: string): LedgerEntry[] {
+    let content: string;
+    try {
+        content = fs.readFileSync(path, { encoding: "utf8" });
+    } catch (error: any) {
+        throw `failed to read ledger file "${path}": ${error?.message ?? error}`;
+    }
+    const entries: LedgerEntry[] = [];
+    content.split("\n").forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            throw `invalid ledger entry at line ${i + 1} of "${path}"`;
+        }
+    });
+    return entries;
+}
+
+/**
+ * Parses a since value to unix timestamp in milliseconds, the value is either a
+ * duration before now such as "30m", "12h" and "7d" or a date such as "2024-01-31"
+ * @param value - The since value
+ * @param now - (optional) Current unix timestamp in milliseconds
+ */
+export function parseSince(value: string, now = Date.now()): number {
+    const duration = /^(\d+)(m|h|d)$/.exec(value.trim());
+    if (duration) {
+        const unit = { m: 60_000, h: 3_600_000, d: 86_400_000 }[duration[2] as "m" | "h" | "d"];
+        return now - Number(duration[1]) * unit;
+    }
+    const timestamp = Date.parse(value);
+    if (isNaN(timestamp)) {
+        throw `invalid since value "${value}", expected a duration such as 7d or a date`;
+    }
+    return timestamp;
+}
+
+/**
+ * Aggregates the ledger entries into reports per chain id
+ * @param entries - The ledger entries
+ * @param since - (optional) Only include entries from this unix timestamp in milliseconds
+ */
+export function getLedgerReports(
+    entries: LedgerEntry[],
+    since?: number,
+): Record<number, LedgerReport> {
+    const reports: Record<number, LedgerReport> = {};
+    for (const entry of entries) {
+        if (since !== undefined && entry.timestamp < since) continue;
+        if (!reports[entry.chainId]) {
+            reports[entry.chainId] = {
+                total: newSummary(),
+                day: {},
+                pair: {},
+                owner: {},
+                mode: {},
+            };
+        }
+        const report = reports[entry.chainId];
+        const day = new Date(entry.timestamp).toISOString().slice(0, 10);
+        addToSummary(report.total, entry);
+        addToSummary(getSummary(report.day, day), entry);
+        addToSummary(getSummary(report.pair, entry.pair), entry);
+        addToSummary(getSummary(report.owner, entry.owner), entry);
+        addToSummary(getSummary(report.mode, entry.mode ?? "unknown"), entry);
+    }
+    return reports;
+}
+
+function getSummary(group: Record<string, LedgerSummary>, key: string): LedgerSummary {
+    if (!group[key]) group[key] = newSummary();
+    return group[key];
+}
+
+function newSummary(): LedgerSummary {
+    return {
+        attempted: 0,
+        mined: 0,
+        reverted: 0,
+        failed: 0,
+        gasCost: ethers.constants.Zero,
+        pnl: ethers.constants.Zero,
+    };
+}
+
+function addToSummary(summary: LedgerSummary, entry: LedgerEntry) {
+    const gasCost = ethers.utils.parseUnits(entry.gasCost ?? "0");
+    summary.attempted++;
+    summary.gasCost = summary.gasCost.add(gasCost);
+    if (entry.status === "mined") {
+        summary.mined++;
+        summary.pnl = summary.pnl.add(
+            entry.netProfit ? ethers.utils.parseUnits(entry.netProfit) : gasCost.mul(-1),
+        );
+    } else {
+        if (entry.status === "reverted") summary.reverted++;
+        else summary.failed++;
+        summary.pnl = summary.pnl.sub(gasCost);
+    }
+}
+
+/**
+ * Formats the ledger reports to human-readable text
+ */
+export function formatLedgerReports(reports: Record<number, LedgerReport>): string {
+    const format = (s: LedgerSummary) =>
+        `attempted: ${s.attempted}, mined: ${s.mined}, reverted: ${s.reverted}, failed: ${
+            s.failed
+        }, gas: ${ethers.utils.formatUnits(s.gasCost)}, pnl: ${ethers.utils.formatUnits(s.pnl)}`;
+    const lines: string[] = [];
+    for (const chainId in reports) {
+        const report = reports[chainId];
+        lines.push(`chain ${chainId}`, `  total: ${format(report.total)}`);
+        for (const group of ["day", "pair", "owner", "mode"] as const) {
+            lines.push(`  by ${group}:`);
+            Object.keys(report[group])
+                .sort()
+                .forEach((key) => lines.push(`    ${key}: ${format(report[group][key])}`));
+        }
+        lines.push("");
+    }
+    return lines.length ? lines.join("\n") : "no ledger entries found";
+}
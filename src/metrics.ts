@@ -0,0 +1,264 @@
+import { ethers } from "ethers";
+import { redactUrl } from "./options";
+import { ProcessPairHaltReason } from "./processOrders";
+import { BotConfig, ProcessPairResult, RpcRecord } from "./types";
+
+/**
+ * Content type of the prometheus text exposition format
+ */
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export type MetricLabels = Record<string, string | number>;
+
+type MetricSeries = {
+    labels: MetricLabels;
+    value: number;
+    /** Cumulative count of observations per bucket, only for histograms */
+    buckets?: number[];
+    /** Number of observations, only for histograms */
+    count?: number;
+};
+
+export type Metric = {
+    name: string;
+    help: string;
+    type: "counter" | "gauge" | "histogram";
+    /** Upper bounds of the histogram buckets, excluding +Inf */
+    buckets?: number[];
+    series: Map<string, MetricSeries>;
+};
+
+/**
+ * All the metrics of the bot, a metric's series are distinguished by their labels
+ */
+export const Metrics = {
+    rounds: defineMetric("arb_bot_rounds_total", "Number of processed rounds", "counter"),
+    opportunities: defineMetric(
+        "arb_bot_opportunities_total",
+        "Number of found opportunities per clear mode",
+        "counter",
+    ),
+    txs: defineMetric(
+        "arb_bot_txs_total",
+        "Number of transactions per status, sent, mined, reverted, send_failed or mine_failed",
+        "counter",
+    ),
+    netProfit: defineMetric(
+        "arb_bot_net_profit_native",
+        "Net profit of mined transactions in native token",
+        "histogram",
+        [-0.01, -0.001, 0, 0.001, 0.01, 0.1, 1, 10],
+    ),
+    gasSpent: defineMetric(
+        "arb_bot_gas_spent_native",
+        "Gas cost of mined and reverted transactions in native token",
+        "histogram",
+        [0.0001, 0.001, 0.01, 0.1, 1],
+    ),
+    quoteFailures: defineMetric(
+        "arb_bot_quote_failures_total",
+        "Number of orders that failed to get quoted",
+        "counter",
+    ),
+    rpcRequests: defineMetric("arb_bot_rpc_requests_total", "Number of rpc requests", "counter"),
+    rpcSuccesses: defineMetric(
+        "arb_bot_rpc_success_total",
+        "Number of successful rpc requests",
+        "counter",
+    ),
+    rpcFailures: defineMetric(
+        "arb_bot_rpc_failure_total",
+        "Number of failed rpc requests",
+        "counter",
+    ),
+    walletBalance: defineMetric(
+        "arb_bot_wallet_balance_native",
+        "Balance of the bot wallets in native token",
+        "gauge",
+    ),
+} as const;
+
+function defineMetric(
+    name: string,
+    help: string,
+    type: Metric["type"],
+    buckets?: number[],
+): Metric {
+    return { name, help, type, buckets, series: new Map() };
+}
+
+/**
+ * Gets the series of the given labels of a metric, creates it if it doesnt exist
+ */
+function getSeries(metric: Metric, labels: MetricLabels): MetricSeries {
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    let series = metric.series.get(key);
+    if (!series) {
+        series = { labels, value: 0 };
+        if (metric.type === "histogram") {
+            series.buckets = metric.buckets!.map(() => 0);
+            series.count = 0;
+        }
+        metric.series.set(key, series);
+    }
+    return series;
+}
+
+/**
+ * Increments a counter or gauge metric
+ * @param metric - The metric
+ * @param labels - The labels of the series
+ * @param value - (optional) Value to increment by, default is 1
+ */
+export function incMetric(metric: Metric, labels: MetricLabels, value = 1) {
+    getSeries(metric, labels).value += value;
+}
+
+/**
+ * Sets the value of a gauge metric
+ */
+export function setMetric(metric: Metric, labels: MetricLabels, value: number) {
+    getSeries(metric, labels).value = value;
+}
+
+/**
+ * Records an observation of a histogram metric
+ */
+export function observeMetric(metric: Metric, labels: MetricLabels, value: number) {
+    const series = getSeries(metric, labels);
+    series.value += value;
+    series.count!++;
+    metric.buckets!.forEach((bound, i) => {
+        if (value <= bound) series.buckets![i]++;
+    });
+}
+
+/**
+ * Removes the series of a metric that match all the given labels
+ */
+export function removeMetricSeries(metric: Metric, labels: MetricLabels) {
+    for (const [key, series] of metric.series) {
+        if (Object.entries(labels).every(([k, v]) => series.labels[k] === v)) {
+            metric.series.delete(key);
+        }
+    }
+}
+
+/**
+ * Removes all the recorded series of all the metrics
+ */
+export function resetMetrics() {
+    Object.values(Metrics).forEach((metric) => metric.series.clear());
+}
+
+/**
+ * Renders all the metrics in prometheus text exposition format
+ */
+export function renderMetrics(): string {
+    const lines: string[] = [];
+    for (const metric of Object.values(Metrics)) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+        for (const series of metric.series.values()) {
+            if (metric.type === "histogram") {
+                metric.buckets!.forEach((bound, i) => {
+                    lines.push(
+                        `${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${
+                            series.buckets![i]
+                        }`,
+                    );
+                });
+                lines.push(
+                    `${metric.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${
+                        series.count
+                    }`,
+                    `${metric.name}_sum${formatLabels(series.labels)} ${series.value}`,
+                    `${metric.name}_count${formatLabels(series.labels)} ${series.count}`,
+                );
+            } else {
+                lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+            }
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+function formatLabels(labels: MetricLabels): string {
+    const entries = Object.entries(labels);
+    if (!entries.length) return "";
+    const escape = (v: string) =>
+        v.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+    return `{${entries.map(([k, v]) => `${k}="${escape(v.toString())}"`).join(",")}}`;
+}
+
+/**
+ * Records the metrics of a settled process pair result, either resolved or rejected
+ * @param chainId - The chain id
+ * @param result - The process pair result
+ */
+export function recordProcessPairResult(chainId: number, result: ProcessPairResult) {
+    const labels = { chain_id: chainId };
+    const { report, reason, spanAttributes = {} } = result;
+    if (spanAttributes["foundOpp"]) {
+        incMetric(Metrics.opportunities, {
+            ...labels,
+            mode: report?.clearMode ?? "unknown",
+        });
+    }
+    if (reason === ProcessPairHaltReason.FailedToQuote) {
+        incMetric(Metrics.quoteFailures, labels);
+    }
+    if (!report) return;
+    if (report.txUrl) incMetric(Metrics.txs, { ...labels, status: "sent" });
+    if (reason === ProcessPairHaltReason.TxFailed) {
+        incMetric(Metrics.txs, { ...labels, status: "send_failed" });
+    } else if (reason === ProcessPairHaltReason.TxMineFailed) {
+        incMetric(Metrics.txs, { ...labels, status: "mine_failed" });
+    } else if (reason === ProcessPairHaltReason.TxReverted) {
+        incMetric(Metrics.txs, { ...labels, status: "reverted" });
+    } else if (report.txUrl && report.actualGasCost) {
+        incMetric(Metrics.txs, { ...labels, status: "mined" });
+        if (report.netProfit) {
+            observeMetric(
+                Metrics.netProfit,
+                labels,
+                Number(ethers.utils.formatUnits(report.netProfit)),
+            );
+        }
+    }
+    if (report.actualGasCost) {
+        observeMetric(Metrics.gasSpent, labels, Number(report.actualGasCost));
+    }
+}
+
+/**
+ * Records the rpc requests counts of a round, should be called before the records are reset
+ * @param chainId - The chain id
+ * @param rpcRecords - The rpc records
+ */
+export function recordRpcRecords(chainId: number, rpcRecords: Record<string, RpcRecord>) {
+    for (const url in rpcRecords) {
+        // urls are redacted as they may contain api keys
+        const labels = { chain_id: chainId, url: redactUrl(url) };
+        incMetric(Metrics.rpcRequests, labels, rpcRecords[url].req);
+        incMetric(Metrics.rpcSuccesses, labels, rpcRecords[url].success);
+        incMetric(Metrics.rpcFailures, labels, rpcRecords[url].failure);
+    }
+}
+
+/**
+ * Records the current balances of the main wallet and the circulating wallets, wallets that
+ * are no longer in circulation are removed
+ * @param config - The configuration object
+ */
+export function recordWalletBalances(config: BotConfig) {
+    const chainId = config.chain.id;
+    removeMetricSeries(Metrics.walletBalance, { chain_id: chainId });
+    [config.mainAccount, ...config.accounts].forEach((wallet) => {
+        if (!wallet.BALANCE) return;
+        setMetric(
+            Metrics.walletBalance,
+            { chain_id: chainId, address: wallet.account.address },
+            Number(ethers.utils.formatUnits(wallet.BALANCE)),
+        );
+    });
+}
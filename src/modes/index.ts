@@ -2,34 +2,16 @@ import { Contract } from "ethers";
 import { PublicClient } from "viem";
 import { DataFetcher } from "sushi";
 import { Token } from "sushi/currency";
+import { findOpp as findRingObOpp } from "./ringOrderbook";
 import { findOpp as findInterObOpp } from "./interOrderbook";
 import { findOpp as findIntraObOpp } from "./intraOrderbook";
 import { findOppWithRetries as findRpOpp } from "./routeProcessor";
 import { BotConfig, BundledOrders, ViemClient, DryrunResult, SpanAttrs } from "../types";
 
 /**
- * The main entrypoint for the main logic to find opps.
- * Find opps with different modes (RP, inter-ob) async, and returns the
- * span attributes and a built ready to send tx object if found any or the
- * the one that clears the most for the target order, or rejects if no opp
- * is found by returning the details in span attributes.
+ * Arguments that are passed to each clear mode to find an opp for an order
  */
-export async function findOpp({
-    orderPairObject,
-    dataFetcher,
-    arb,
-    genericArb,
-    fromToken,
-    toToken,
-    signer,
-    gasPrice,
-    config,
-    viemClient,
-    inputToEthPrice,
-    outputToEthPrice,
-    orderbooksOrders,
-    l1GasPrice,
-}: {
+export type ClearModeArgs = {
     config: BotConfig;
     orderPairObject: BundledOrders;
     viemClient: PublicClient;
@@ -44,57 +26,103 @@ export async function findOpp({
     toToken: Token;
     fromToken: Token;
     l1GasPrice: bigint;
-}): Promise<DryrunResult> {
-    const promises = [
-        findRpOpp({
-            orderPairObject,
-            dataFetcher,
-            fromToken,
-            toToken,
-            signer,
-            gasPrice,
-            arb,
-            ethPrice: inputToEthPrice,
-            config,
-            viemClient,
-            l1GasPrice,
-        }),
-        ...(!config.rpOnly
-            ? [
-                  findIntraObOpp({
-                      orderPairObject,
-                      signer,
-                      gasPrice,
-                      inputToEthPrice,
-                      outputToEthPrice,
-                      config,
-                      viemClient,
-                      orderbooksOrders,
-                      l1GasPrice,
-                  }),
-                  findInterObOpp({
-                      orderPairObject,
-                      signer,
-                      gasPrice,
-                      arb: genericArb!,
-                      inputToEthPrice,
-                      outputToEthPrice,
-                      config,
-                      viemClient,
-                      orderbooksOrders,
-                      l1GasPrice,
-                  }),
-              ]
-            : []),
-    ];
-    const allResults = await Promise.allSettled(promises);
+};
+
+/**
+ * A clear mode, that is a way of clearing an order that findOpp tries
+ */
+export type ClearMode = {
+    /** Name of the mode, recorded as the clear mode pick of its opps */
+    name: string;
+    /** Span attribute key that the mode's failure details are recorded under */
+    attrKey: string;
+    /** If the mode is enabled by the given config */
+    isEnabled: (config: BotConfig) => boolean;
+    /** Finds an opp for the order, rejects with the failure details if it finds none */
+    findOpp: (args: ClearModeArgs) => Promise<DryrunResult>;
+    /**
+     * (optional) If the mode can clear a batch of several orders in one tx,
+     * only such modes are tried for batches
+     */
+    batch?: boolean;
+    /** (optional) Picks the failure details from the rejected span attributes, defaults to all */
+    getFailureAttrs?: (spanAttributes: SpanAttrs) => any;
+};
+
+/**
+ * Registry of all of the clear modes, in order of their priority for reporting failures
+ */
+export const CLEAR_MODES: ClearMode[] = [
+    {
+        name: "rp4",
+        attrKey: "routeProcessor",
+        isEnabled: () => true,
+        batch: true,
+        findOpp: (args) =>
+            findRpOpp({
+                orderPairObject: args.orderPairObject,
+                dataFetcher: args.dataFetcher,
+                fromToken: args.fromToken,
+                toToken: args.toToken,
+                signer: args.signer,
+                gasPrice: args.gasPrice,
+                arb: args.arb,
+                ethPrice: args.inputToEthPrice,
+                config: args.config,
+                viemClient: args.viemClient,
+                l1GasPrice: args.l1GasPrice,
+            }),
+    },
+    {
+        name: "intra",
+        attrKey: "intraOrderbook",
+        isEnabled: (config) => !config.rpOnly,
+        findOpp: (args) => findIntraObOpp(args),
+        getFailureAttrs: (spanAttributes) => spanAttributes["intraOrderbook"],
+    },
+    {
+        name: "inter",
+        attrKey: "interOrderbook",
+        isEnabled: (config) => !config.rpOnly,
+        findOpp: (args) => findInterObOpp({ ...args, arb: args.genericArb! }),
+    },
+    {
+        name: "ring",
+        attrKey: "ringOrderbook",
+        isEnabled: (config) => !config.rpOnly,
+        findOpp: (args) => findRingObOpp({ ...args, arb: args.genericArb! }),
+    },
+];
+
+/**
+ * Gets the clear modes that are enabled by the given config, a mode is enabled if it is
+ * included in the config's clear modes, if any are specified, and its own check passes
+ * @param config - The bot config
+ */
+export function getEnabledClearModes(config: BotConfig): ClearMode[] {
+    return CLEAR_MODES.filter(
+        (mode) =>
+            (!config.clearModes || config.clearModes.includes(mode.name)) && mode.isEnabled(config),
+    );
+}
+
+/**
+ * The main entrypoint for the main logic to find opps.
+ * Find opps with the enabled clear modes async, and returns the
+ * span attributes and a built ready to send tx object if found any or the
+ * the one that clears the most for the target order, or rejects if no opp
+ * is found by returning the details in span attributes.
+ */
+export async function findOpp(args: ClearModeArgs): Promise<DryrunResult> {
+    const isBatch = args.orderPairObject.takeOrders.length > 1;
+    const modes = getEnabledClearModes(args.config).filter((mode) => !isBatch || mode.batch);
+    const allResults = await Promise.allSettled(modes.map((mode) => mode.findOpp(args)));
 
     if (allResults.some((v) => v.status === "fulfilled")) {
         // pick and return the highest profit
         allResults.forEach((v, i) => {
             if (v.status === "fulfilled") {
-                v.value.spanAttributes["clearModePick"] =
-                    i === 0 ? "rp4" : i === 1 ? "intra" : "inter";
+                v.value.spanAttributes["clearModePick"] = modes[i].name;
             }
         });
         const res = allResults.filter(
@@ -115,34 +143,21 @@ export async function findOpp({
             oppBlockNumber: undefined,
             noneNodeError: undefined,
         };
-        if ((allResults[0] as any)?.reason?.spanAttributes) {
-            spanAttributes["routeProcessor"] = JSON.stringify(
-                (allResults[0] as any).reason.spanAttributes,
-            );
-        }
-        if ((allResults[1] as any)?.reason?.spanAttributes) {
-            spanAttributes["intraOrderbook"] = JSON.stringify(
-                (allResults[1] as any).reason.spanAttributes["intraOrderbook"],
-            );
-        }
-        if ((allResults[2] as any)?.reason?.spanAttributes) {
-            spanAttributes["interOrderbook"] = JSON.stringify(
-                (allResults[2] as any).reason.spanAttributes,
-            );
-        }
-        if ((allResults[0] as any)?.reason?.value?.noneNodeError) {
-            result.noneNodeError = (allResults[0] as any).reason.value.noneNodeError;
-        } else if (
-            result.noneNodeError === undefined &&
-            (allResults[1] as any)?.reason?.value?.noneNodeError
-        ) {
-            result.noneNodeError = (allResults[1] as any).reason.value.noneNodeError;
-        } else if (
-            result.noneNodeError === undefined &&
-            (allResults[2] as any)?.reason?.value?.noneNodeError
-        ) {
-            result.noneNodeError = (allResults[2] as any).reason.value.noneNodeError;
-        }
+        allResults.forEach((v, i) => {
+            const reason = (v as PromiseRejectedResult).reason;
+            if (reason?.spanAttributes) {
+                const mode = modes[i];
+                spanAttributes[mode.attrKey] = JSON.stringify(
+                    mode.getFailureAttrs
+                        ? mode.getFailureAttrs(reason.spanAttributes)
+                        : reason.spanAttributes,
+                );
+            }
+            // the first mode's none node error is reported
+            if (result.noneNodeError === undefined && reason?.value?.noneNodeError) {
+                result.noneNodeError = reason.value.noneNodeError;
+            }
+        });
         throw result;
     }
 }
@@ -163,5 +178,6 @@ export function recordGasEstAttrs(
     if (config.isSpecialL2) {
         spanAttributes[`gasEst.${header}.l1Cost`] = estimation.l1Cost.toString();
         spanAttributes[`gasEst.${header}.l1GasPrice`] = estimation.l1GasPrice.toString();
+        if (estimation.l1Error) spanAttributes[`gasEst.${header}.l1Error`] = estimation.l1Error;
     }
 }
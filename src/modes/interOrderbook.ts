@@ -5,9 +5,15 @@ import { BigNumber, Contract, ethers } from "ethers";
 import { containsNodeError, errorSnapshot } from "../error";
 import { getBountyEnsureRainlang, parseRainlang } from "../task";
 import { BaseError, ExecutionRevertedError, PublicClient } from "viem";
-import { ONE18, scale18To, estimateProfit, withBigintSerializer } from "../utils";
+import { ONE18, scale18To, estimateProfit, promiseTimeout, withBigintSerializer } from "../utils";
 import { BotConfig, BundledOrders, ViemClient, DryrunResult, SpanAttrs } from "../types";
 
+/**
+ * Max miliseconds that an opposing orderbook's dryrun is waited for, so a slow
+ * orderbook does not hold back the opps found against the other ones
+ */
+export const OPPOSING_ORDERBOOK_TIMEOUT = 15_000 as const;
+
 /**
  * Executes a extimateGas call for an inter-orderbook arb() tx, to determine if the tx is successfull ot not
  */
@@ -43,6 +49,11 @@ export async function dryrun({
         spanAttributes,
     };
 
+    // determines if amount is partial, sized to the opposing orders liquidity, or not
+    const isPartial = !orderPairObject.takeOrders
+        .reduce((a, b) => a.add(b.quote!.maxOutput), ethers.constants.Zero)
+        .eq(maximumInputFixed);
+
     const maximumInput = scale18To(maximumInputFixed, orderPairObject.sellTokenDecimals);
     spanAttributes["maxInput"] = maximumInput.toString();
 
@@ -72,7 +83,7 @@ export async function dryrun({
     ]);
     const takeOrdersConfigStruct = {
         minimumInput: ethers.constants.One,
-        maximumInput: ethers.constants.MaxUint256,
+        maximumInput: isPartial ? maximumInput : ethers.constants.MaxUint256,
         maximumIORatio: ethers.constants.MaxUint256,
         orders: [orderPairObject.takeOrders[0].takeOrder],
         data: ethers.utils.defaultAbiCoder.encode(
@@ -257,7 +268,15 @@ export async function dryrun({
 }
 
 /**
- * Tries to find an opp by doing a binary search for the maxInput of an inter-orderbook arb tx
+ * Tries to find an opp against each of the other orderbooks and returns the most profitable one,
+ * the trade is sized to what the opposing orders of each orderbook can take, so the order's
+ * liquidity gets cleared one orderbook at a time, as the counter trade of an arb tx can only
+ * be routed to a single orderbook, the generic arb's callback approves only one spender of the
+ * order's output, so neither another orderbook nor a route can pull a split of it in the same tx,
+ * nesting the legs takeOrders2() like the ring mode does is no way around it, as a nested leg
+ * can only pay with what the previous leg's orderbook paid out, not with the order's output, so
+ * splitting the counter trade needs a change to the arb contract, each orderbook's dryrun is
+ * given up on after the timeout
  */
 export async function findOpp({
     orderPairObject,
@@ -270,6 +289,7 @@ export async function findOpp({
     viemClient,
     orderbooksOrders,
     l1GasPrice,
+    timeout = OPPOSING_ORDERBOOK_TIMEOUT,
 }: {
     config: BotConfig;
     orderPairObject: BundledOrders;
@@ -281,6 +301,7 @@ export async function findOpp({
     inputToEthPrice: string;
     outputToEthPrice: string;
     l1GasPrice?: bigint;
+    timeout?: number;
 }): Promise<DryrunResult> {
     if (!arb) throw undefined;
     const spanAttributes: SpanAttrs = {};
@@ -315,35 +336,39 @@ export async function findOpp({
         (a, b) => a.add(b.quote!.maxOutput),
         ethers.constants.Zero,
     );
-    try {
-        // try full maxoutput for all available orderbooks before trying binary search
-        return await Promise.any(
-            opposingOrderbookOrders.map((v) => {
-                // filter out the same owner orders
-                const opposingOrders = {
-                    ...v,
-                    takeOrders: v.takeOrders
-                        .filter(
-                            (e) =>
-                                e.takeOrder.order.owner.toLowerCase() !==
-                                    orderPairObject.takeOrders[0].takeOrder.order.owner.toLowerCase() &&
-                                e.quote &&
-                                e.quote.maxOutput.gt(0),
-                        )
-                        .sort((a, b) =>
-                            a.quote!.ratio.lt(b.quote!.ratio)
-                                ? -1
-                                : a.quote!.ratio.gt(b.quote!.ratio)
-                                  ? 1
-                                  : 0,
-                        ),
-                };
-                if (!opposingOrders.takeOrders.length) throw "";
-                return dryrun({
+    // try all available orderbooks and pick the most profitable one
+    const allResults = await Promise.allSettled(
+        opposingOrderbookOrders.map(async (v) => {
+            // filter out the same owner orders
+            const opposingOrders = {
+                ...v,
+                takeOrders: v.takeOrders
+                    .filter(
+                        (e) =>
+                            e.takeOrder.order.owner.toLowerCase() !==
+                                orderPairObject.takeOrders[0].takeOrder.order.owner.toLowerCase() &&
+                            e.quote &&
+                            e.quote.maxOutput.gt(0),
+                    )
+                    .sort((a, b) =>
+                        a.quote!.ratio.lt(b.quote!.ratio)
+                            ? -1
+                            : a.quote!.ratio.gt(b.quote!.ratio)
+                              ? 1
+                              : 0,
+                    ),
+            };
+            if (!opposingOrders.takeOrders.length) throw "";
+
+            // size the trade to what the opposing orders can take if they cannot take it all
+            const capacity = getOpposingCapacity(orderPairObject, opposingOrders);
+            if (capacity?.isZero()) throw "";
+            return promiseTimeout(
+                dryrun({
                     orderPairObject,
                     opposingOrders,
                     signer,
-                    maximumInput,
+                    maximumInput: capacity?.lt(maximumInput) ? capacity : maximumInput,
                     gasPrice,
                     arb,
                     inputToEthPrice,
@@ -351,11 +376,26 @@ export async function findOpp({
                     config,
                     viemClient,
                     l1GasPrice,
-                });
-            }),
-        );
-    } catch (e: any) {
-        for (const err of (e as AggregateError).errors) {
+                }),
+                timeout,
+                `timed out after ${timeout}ms`,
+            );
+        }),
+    );
+    const fulfilled = allResults.filter(
+        (v) => v.status === "fulfilled",
+    ) as PromiseFulfilledResult<DryrunResult>[];
+    if (fulfilled.length) {
+        return fulfilled.sort((a, b) =>
+            b.value.value!.estimatedProfit.lt(a.value.value!.estimatedProfit)
+                ? -1
+                : b.value.value!.estimatedProfit.gt(a.value.value!.estimatedProfit)
+                  ? 1
+                  : 0,
+        )[0].value;
+    } else {
+        const errors = (allResults as PromiseRejectedResult[]).map((v) => v.reason);
+        for (const err of errors) {
             allNoneNodeErrors.push(err?.value?.noneNodeError);
         }
         // maximumInput = maximumInput.div(2);
@@ -390,9 +430,10 @@ export async function findOpp({
         //     /**/
         // }
         const allOrderbooksAttributes: any = {};
-        for (let i = 0; i < e.errors.length; i++) {
-            allOrderbooksAttributes[opposingOrderbookOrders[i].orderbook] =
-                e.errors[i].spanAttributes;
+        for (let i = 0; i < errors.length; i++) {
+            allOrderbooksAttributes[opposingOrderbookOrders[i].orderbook] = errors[i]
+                ? (errors[i].spanAttributes ?? { error: errors[i] })
+                : undefined;
         }
         spanAttributes["againstOrderbooks"] = JSON.stringify(allOrderbooksAttributes);
         const noneNodeErrors = allNoneNodeErrors.filter((v) => !!v);
@@ -472,3 +513,22 @@ export async function binarySearch({
         return Promise.reject(result);
     }
 }
+
+/**
+ * Gets the max input of an order pair object that the given opposing orders can take, that is
+ * their total max output at the ratios that are covered by the order, returns undefined if
+ * the order's ratio is zero, as then any amount can be taken
+ */
+export function getOpposingCapacity(
+    orderPairObject: BundledOrders,
+    opposingOrders: BundledOrders,
+): BigNumber | undefined {
+    const ratio = orderPairObject.takeOrders[0].quote!.ratio;
+    if (ratio.isZero()) return;
+    const opposingMaxIORatio = ethers.BigNumber.from(`1${"0".repeat(36)}`).div(ratio);
+    const opposingMaxOutput = opposingOrders.takeOrders.reduce(
+        (a, b) => (b.quote!.ratio.lte(opposingMaxIORatio) ? a.add(b.quote!.maxOutput) : a),
+        ethers.constants.Zero,
+    );
+    return opposingMaxOutput.mul(ONE18).div(ratio);
+}
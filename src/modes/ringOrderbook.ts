@@ -0,0 +1,445 @@
+import { recordGasEstAttrs } from ".";
+import { orderbookAbi } from "../abis";
+import { estimateGasCost } from "../gas";
+import { BigNumber, Contract, ethers } from "ethers";
+import { containsNodeError, errorSnapshot } from "../error";
+import { getBountyEnsureRainlang, parseRainlang } from "../task";
+import { BaseError, ExecutionRevertedError, PublicClient } from "viem";
+import { ONE18, scale18To, estimateRingProfit, withBigintSerializer } from "../utils";
+import {
+    SpanAttrs,
+    BotConfig,
+    ViemClient,
+    DryrunResult,
+    BundledOrders,
+    TakeOrderDetails,
+} from "../types";
+
+/**
+ * Max number of orders in a ring, each order of a ring should be on a different orderbook
+ * as each leg is taken in the callback of the previous leg's orderbook
+ */
+export const MAX_RING_LEGS = 4 as const;
+
+/**
+ * Max number of rings that are tried for an order
+ */
+export const MAX_RING_ATTEMPTS = 3 as const;
+
+/**
+ * Headroom in basis points that is left on each leg's amount, so rounding cannot
+ * make a leg pay more than what the previous leg received
+ */
+export const RING_LEG_HEADROOM = 9_999 as const;
+
+/**
+ * A ring of single order pair objects, where each order buys what the previous one
+ * sells and the last one sells what the first one buys, the first one is the main order
+ */
+export type Ring = BundledOrders[];
+
+/**
+ * Executes a extimateGas call for a ring arb() tx, to determine if the tx is successfull ot not
+ */
+export async function dryrun({
+    ring,
+    signer,
+    maximumInput: maximumInputFixed,
+    gasPrice,
+    arb,
+    inputToEthPrice,
+    outputToEthPrice,
+    config,
+    viemClient,
+    l1GasPrice,
+}: {
+    config: BotConfig;
+    ring: Ring;
+    viemClient: PublicClient;
+    signer: ViemClient;
+    arb: Contract;
+    gasPrice: bigint;
+    inputToEthPrice: string;
+    outputToEthPrice: string;
+    maximumInput: BigNumber;
+    l1GasPrice?: bigint;
+}): Promise<DryrunResult> {
+    const spanAttributes: SpanAttrs = {};
+    const result: DryrunResult = {
+        value: undefined,
+        reason: undefined,
+        spanAttributes,
+    };
+    const orderPairObject = ring[0];
+    spanAttributes["ringOrders"] = ring.map((v) => v.takeOrders[0].id);
+    spanAttributes["ringOrderbooks"] = ring.map((v) => v.orderbook);
+
+    const amounts = getRingAmounts(ring, maximumInputFixed);
+    const isPartial = !orderPairObject.takeOrders[0].quote!.maxOutput.eq(amounts[0]);
+    const maximumInput = scale18To(amounts[0], orderPairObject.sellTokenDecimals);
+    spanAttributes["maxInput"] = maximumInput.toString();
+
+    // encode the legs takeOrders2() from the last one, each leg is taken
+    // in the callback of the previous leg's orderbook
+    const obInterface = new ethers.utils.Interface(orderbookAbi);
+    let data = "0x";
+    for (let i = ring.length - 1; i > 0; i--) {
+        const encodedFN = obInterface.encodeFunctionData("takeOrders2", [
+            {
+                minimumInput: ethers.constants.One,
+                maximumInput: scale18To(amounts[i], ring[i].sellTokenDecimals),
+                maximumIORatio: ethers.constants.MaxUint256,
+                orders: [ring[i].takeOrders[0].takeOrder],
+                data,
+            },
+        ]);
+        data = ethers.utils.defaultAbiCoder.encode(
+            ["address", "address", "bytes"],
+            [ring[i].orderbook, ring[i].orderbook, encodedFN],
+        );
+    }
+    const takeOrdersConfigStruct = {
+        minimumInput: ethers.constants.One,
+        maximumInput: isPartial ? maximumInput : ethers.constants.MaxUint256,
+        maximumIORatio: ethers.constants.MaxUint256,
+        orders: [orderPairObject.takeOrders[0].takeOrder],
+        data,
+    };
+
+    const task = {
+        evaluable: {
+            interpreter: config.dispair.interpreter,
+            store: config.dispair.store,
+            bytecode:
+                config.gasCoveragePercentage === "0"
+                    ? "0x"
+                    : await parseRainlang(
+                          await getBountyEnsureRainlang(
+                              ethers.utils.parseUnits(inputToEthPrice),
+                              ethers.utils.parseUnits(outputToEthPrice),
+                              ethers.constants.Zero,
+                              signer.account.address,
+                          ),
+                          config.viemClient,
+                          config.dispair,
+                      ),
+        },
+        signedContext: [],
+    };
+    const rawtx: any = {
+        data: arb.interface.encodeFunctionData("arb3", [
+            orderPairObject.orderbook,
+            takeOrdersConfigStruct,
+            task,
+        ]),
+        to: arb.address,
+        gasPrice,
+    };
+
+    // trying to find opp with doing gas estimation, once to get gas and calculate
+    // minimum sender output and second time to check the arb() with headroom
+    let gasLimit, blockNumber, l1Cost;
+    try {
+        blockNumber = Number(await viemClient.getBlockNumber());
+        spanAttributes["blockNumber"] = blockNumber;
+        const estimation = await estimateGasCost(rawtx, signer, config, l1GasPrice);
+        l1Cost = estimation.l1Cost;
+        gasLimit = ethers.BigNumber.from(estimation.gas).mul(config.gasLimitMultiplier).div(100);
+
+        // include dryrun headroom gas estimation in otel logs
+        recordGasEstAttrs(spanAttributes, estimation, config, true);
+    } catch (e) {
+        const isNodeError = containsNodeError(e as BaseError);
+        const errMsg = errorSnapshot("", e);
+        spanAttributes["stage"] = 1;
+        spanAttributes["isNodeError"] = isNodeError;
+        spanAttributes["error"] = errMsg;
+        spanAttributes["rawtx"] = JSON.stringify(
+            {
+                ...rawtx,
+                from: signer.account.address,
+            },
+            withBigintSerializer,
+        );
+        if (!isNodeError) {
+            result.value = {
+                noneNodeError: errMsg,
+                estimatedProfit: ethers.constants.Zero,
+            };
+        }
+        return Promise.reject(result);
+    }
+    let gasCost = gasLimit.mul(gasPrice).add(l1Cost);
+
+    // repeat the same process with heaedroom if gas
+    // coverage is not 0, 0 gas coverage means 0 minimum
+    // sender output which is already called above
+    if (config.gasCoveragePercentage !== "0") {
+        const headroom = (Number(config.gasCoveragePercentage) * 1.03).toFixed();
+        spanAttributes["gasEst.headroom.minBountyExpected"] = gasCost
+            .mul(headroom)
+            .div("100")
+            .toString();
+        task.evaluable.bytecode = await parseRainlang(
+            await getBountyEnsureRainlang(
+                ethers.utils.parseUnits(inputToEthPrice),
+                ethers.utils.parseUnits(outputToEthPrice),
+                gasCost.mul(headroom).div("100"),
+                signer.account.address,
+            ),
+            config.viemClient,
+            config.dispair,
+        );
+        rawtx.data = arb.interface.encodeFunctionData("arb3", [
+            orderPairObject.orderbook,
+            takeOrdersConfigStruct,
+            task,
+        ]);
+
+        try {
+            spanAttributes["blockNumber"] = blockNumber;
+            const estimation = await estimateGasCost(rawtx, signer, config, l1GasPrice);
+            gasLimit = ethers.BigNumber.from(estimation.gas)
+                .mul(config.gasLimitMultiplier)
+                .div(100);
+            if (gasLimit.isZero()) {
+                throw new ExecutionRevertedError({
+                    cause: new BaseError("RPC returned 0 for eth_estimateGas", {
+                        cause: new Error(
+                            "Failed to estimated gas, RPC returned 0 for eth_estimateGas call without rejection",
+                        ),
+                    }),
+                    message:
+                        "Failed to estimated gas, RPC returned 0 for eth_estimateGas call without rejection",
+                });
+            }
+            rawtx.gas = gasLimit.toBigInt();
+            gasCost = gasLimit.mul(gasPrice).add(estimation.l1Cost);
+
+            // include dryrun final gas estimation in otel logs
+            recordGasEstAttrs(spanAttributes, estimation, config, false);
+            task.evaluable.bytecode = await parseRainlang(
+                await getBountyEnsureRainlang(
+                    ethers.utils.parseUnits(inputToEthPrice),
+                    ethers.utils.parseUnits(outputToEthPrice),
+                    gasCost.mul(config.gasCoveragePercentage).div("100"),
+                    signer.account.address,
+                ),
+                config.viemClient,
+                config.dispair,
+            );
+            rawtx.data = arb.interface.encodeFunctionData("arb3", [
+                orderPairObject.orderbook,
+                takeOrdersConfigStruct,
+                task,
+            ]);
+            spanAttributes["gasEst.final.minBountyExpected"] = gasCost
+                .mul(config.gasCoveragePercentage)
+                .div("100")
+                .toString();
+        } catch (e) {
+            const isNodeError = containsNodeError(e as BaseError);
+            const errMsg = errorSnapshot("", e);
+            spanAttributes["stage"] = 2;
+            spanAttributes["isNodeError"] = isNodeError;
+            spanAttributes["error"] = errMsg;
+            spanAttributes["rawtx"] = JSON.stringify(
+                {
+                    ...rawtx,
+                    from: signer.account.address,
+                },
+                withBigintSerializer,
+            );
+            if (!isNodeError) {
+                result.value = {
+                    noneNodeError: errMsg,
+                    estimatedProfit: ethers.constants.Zero,
+                };
+            }
+            return Promise.reject(result);
+        }
+    }
+    rawtx.gas = gasLimit.toBigInt();
+
+    // if reached here, it means there was a success and found opp
+    spanAttributes["oppBlockNumber"] = blockNumber;
+    spanAttributes["foundOpp"] = true;
+    delete spanAttributes["blockNumber"];
+    result.value = {
+        rawtx,
+        maximumInput,
+        oppBlockNumber: blockNumber,
+        estimatedProfit: estimateRingProfit(
+            ring,
+            amounts,
+            ethers.utils.parseUnits(inputToEthPrice),
+        ),
+    };
+    return result;
+}
+
+/**
+ * Tries to find an opp by clearing the order in a ring of three or more orders of
+ * other orderbooks, tries the most profitable rings and returns the most profitable
+ * one that succeeds
+ */
+export async function findOpp({
+    orderPairObject,
+    signer,
+    gasPrice,
+    arb,
+    inputToEthPrice,
+    outputToEthPrice,
+    config,
+    viemClient,
+    orderbooksOrders,
+    l1GasPrice,
+}: {
+    config: BotConfig;
+    orderPairObject: BundledOrders;
+    viemClient: PublicClient;
+    signer: ViemClient;
+    arb: Contract;
+    orderbooksOrders: BundledOrders[][];
+    gasPrice: bigint;
+    inputToEthPrice: string;
+    outputToEthPrice: string;
+    l1GasPrice?: bigint;
+}): Promise<DryrunResult> {
+    if (!arb) throw undefined;
+    const spanAttributes: SpanAttrs = {};
+    const result: DryrunResult = {
+        value: undefined,
+        reason: undefined,
+        spanAttributes,
+    };
+
+    const maximumInput = orderPairObject.takeOrders[0].quote!.maxOutput;
+    const rings = findRings(orderPairObject, orderbooksOrders)
+        .map((ring) => ({ ring, amounts: getRingAmounts(ring, maximumInput) }))
+        .map((v) => ({
+            ...v,
+            profit: estimateRingProfit(v.ring, v.amounts, ethers.constants.WeiPerEther),
+        }))
+        .filter((v) => v.profit.gt(0))
+        .sort((a, b) => (b.profit.lt(a.profit) ? -1 : b.profit.gt(a.profit) ? 1 : 0))
+        .slice(0, MAX_RING_ATTEMPTS);
+    if (!rings.length) throw undefined;
+
+    const allResults = await Promise.allSettled(
+        rings.map(({ ring }) =>
+            dryrun({
+                ring,
+                signer,
+                maximumInput,
+                gasPrice,
+                arb,
+                inputToEthPrice,
+                outputToEthPrice,
+                config,
+                viemClient,
+                l1GasPrice,
+            }),
+        ),
+    );
+    const fulfilled = allResults.filter(
+        (v) => v.status === "fulfilled",
+    ) as PromiseFulfilledResult<DryrunResult>[];
+    if (fulfilled.length) {
+        return fulfilled.sort((a, b) =>
+            b.value.value!.estimatedProfit.lt(a.value.value!.estimatedProfit)
+                ? -1
+                : b.value.value!.estimatedProfit.gt(a.value.value!.estimatedProfit)
+                  ? 1
+                  : 0,
+        )[0].value;
+    } else {
+        const errors = (allResults as PromiseRejectedResult[]).map((v) => v.reason);
+        spanAttributes["againstRings"] = JSON.stringify(errors.map((v) => v.spanAttributes));
+        const noneNodeErrors = errors.map((v) => v?.value?.noneNodeError).filter((v) => !!v);
+        if (errors.length && noneNodeErrors.length / errors.length > 0.5) {
+            result.value = {
+                noneNodeError: noneNodeErrors[0],
+                estimatedProfit: ethers.constants.Zero,
+            };
+        }
+        return Promise.reject(result);
+    }
+}
+
+/**
+ * Finds the rings of three or more orders that the given order can be cleared in, each
+ * order of a ring is the cheapest order of its pair and orderbook that is not owned by
+ * the given order's owner
+ * @param orderPairObject - The main order
+ * @param orderbooksOrders - The orders of the round
+ */
+export function findRings(
+    orderPairObject: BundledOrders,
+    orderbooksOrders: BundledOrders[][],
+): Ring[] {
+    const rings: Ring[] = [];
+    const pairs = orderbooksOrders.flat();
+    const owner = orderPairObject.takeOrders[0].takeOrder.order.owner.toLowerCase();
+    const closingToken = orderPairObject.buyToken.toLowerCase();
+    const search = (ring: Ring, orderbooks: string[]) => {
+        const token = ring[ring.length - 1].sellToken.toLowerCase();
+        for (const pair of pairs) {
+            if (orderbooks.includes(pair.orderbook.toLowerCase())) continue;
+            if (pair.buyToken.toLowerCase() !== token) continue;
+            const order = getCheapestOrder(pair, owner);
+            if (!order) continue;
+
+            const leg = { ...pair, takeOrders: [order] };
+            if (pair.sellToken.toLowerCase() === closingToken) {
+                // two orders rings are inter-orderbook clears
+                if (ring.length > 1) rings.push([...ring, leg]);
+            } else if (ring.length + 1 < MAX_RING_LEGS) {
+                search([...ring, leg], [...orderbooks, pair.orderbook.toLowerCase()]);
+            }
+        }
+    };
+    search([orderPairObject], [orderPairObject.orderbook.toLowerCase()]);
+    return rings;
+}
+
+/**
+ * Gets the amounts that each order of a ring outputs, each order's output pays for the next
+ * order's input, the main order's amount is reduced if the other orders cannot take it all
+ * @param ring - The ring
+ * @param maximumInput - Max amount of the main order's output
+ * @returns The amount of each order's output, all in 18 fixed point decimals
+ */
+export function getRingAmounts(ring: Ring, maximumInput: BigNumber): BigNumber[] {
+    // from the last order, the max amount of the previous order's output that each order can take
+    let limit = ethers.constants.MaxUint256;
+    for (let i = ring.length - 1; i > 0; i--) {
+        const { maxOutput, ratio } = ring[i].takeOrders[0].quote!;
+        const legLimit = limit.lt(maxOutput) ? limit : maxOutput;
+        limit = legLimit.mul(ratio).div(ONE18).mul(10_000).div(RING_LEG_HEADROOM);
+    }
+    const amounts = [maximumInput.lt(limit) ? maximumInput : limit];
+    for (let i = 1; i < ring.length; i++) {
+        amounts.push(
+            amounts[i - 1]
+                .mul(ONE18)
+                .div(ring[i].takeOrders[0].quote!.ratio)
+                .mul(RING_LEG_HEADROOM)
+                .div(10_000),
+        );
+    }
+    return amounts;
+}
+
+/**
+ * Gets the cheapest quoted order of a pair that is not owned by the given owner
+ */
+function getCheapestOrder(pair: BundledOrders, owner: string): TakeOrderDetails | undefined {
+    let cheapest: TakeOrderDetails | undefined;
+    for (const order of pair.takeOrders) {
+        if (!order.quote || order.quote.maxOutput.isZero() || order.quote.ratio.isZero()) continue;
+        if (order.takeOrder.order.owner.toLowerCase() === owner) continue;
+        if (!cheapest || order.quote.ratio.lt(cheapest.quote!.ratio)) cheapest = order;
+    }
+    return cheapest;
+}
@@ -67,7 +67,7 @@ export async function dryrun({
     };
 
     // determines if amount is partial derived from binary search or not
-    const isPartial = !orderPairObject.takeOrders[0].quote!.maxOutput.eq(maximumInputFixed);
+    const isPartial = !getTotalMaxOutput(orderPairObject).eq(maximumInputFixed);
 
     const maximumInput = scale18To(maximumInputFixed, orderPairObject.sellTokenDecimals);
     spanAttributes["amountIn"] = ethers.utils.formatUnits(maximumInputFixed);
@@ -108,7 +108,7 @@ export async function dryrun({
         spanAttributes["route"] = routeVisual;
 
         // exit early if market price is lower than order quote ratio
-        if (price.lt(orderPairObject.takeOrders[0].quote!.ratio)) {
+        if (price.lt(getMaxRatio(orderPairObject))) {
             if (hasPriceMatch) hasPriceMatch.value = false;
             result.reason = RouteProcessorDryrunHaltReason.NoOpportunity;
             spanAttributes["error"] = "Order's ratio greater than market price";
@@ -375,11 +375,7 @@ export async function findOpp({
     const hasPriceMatch = {
         value: true,
     };
-    const initAmount = orderPairObject.takeOrders.reduce(
-        (a, b) => a.add(b.quote!.maxOutput),
-        ethers.constants.Zero,
-    );
-    const maximumInput = BigNumber.from(initAmount.toString());
+    const maximumInput = getTotalMaxOutput(orderPairObject);
     const allNoneNodeErrors: (string | undefined)[] = [];
     try {
         return await dryrun({
@@ -490,25 +486,25 @@ export async function findOppWithRetries({
         spanAttributes,
     };
 
-    const promises: Promise<DryrunResult>[] = [];
-    for (let i = 1; i < config.retries + 1; i++) {
-        promises.push(
-            findOpp({
-                mode: i,
-                orderPairObject,
-                dataFetcher,
-                fromToken,
-                toToken,
-                signer,
-                gasPrice,
-                arb,
-                ethPrice,
-                config,
-                viemClient,
-                l1GasPrice,
-            }),
-        );
-    }
+    // a batch of orders is cleared as a whole, so only the mode that takes all of them is tried
+    const isBatch = orderPairObject.takeOrders.length > 1;
+    const modes = isBatch ? [0] : Array.from({ length: config.retries }, (_, i) => i + 1);
+    const promises: Promise<DryrunResult>[] = modes.map((mode) =>
+        findOpp({
+            mode,
+            orderPairObject,
+            dataFetcher,
+            fromToken,
+            toToken,
+            signer,
+            gasPrice,
+            arb,
+            ethPrice,
+            config,
+            viemClient,
+            l1GasPrice,
+        }),
+    );
     const allPromises = await Promise.allSettled(promises);
     if (allPromises.some((v) => v.status === "fulfilled")) {
         let choice;
@@ -526,6 +522,9 @@ export async function findOppWithRetries({
                 }
             }
         }
+        if (isBatch) {
+            spanAttributes["batchOrders"] = orderPairObject.takeOrders.map((v) => v.id);
+        }
         result.value = choice;
         return result;
     } else {
@@ -573,7 +572,7 @@ export function findMaxInput({
     maximumInput: BigNumber;
 }): BigNumber | undefined {
     const result: BigNumber[] = [];
-    const ratio = orderPairObject.takeOrders[0].quote!.ratio;
+    const ratio = getMaxRatio(orderPairObject);
     const pcMap = dataFetcher.getCurrentPoolCodeMap(fromToken, toToken);
     const initAmount = scale18To(maximumInputFixed, fromToken.decimals).div(2);
     let maximumInput = BigNumber.from(initAmount.toString());
@@ -613,3 +612,86 @@ export function findMaxInput({
         return undefined;
     }
 }
+
+/**
+ * Combines the orders of a pair and orderbook into a single order pair object to be cleared
+ * in one tx, the orders are sorted by their ratio and are added as long as the market price
+ * for their total max output covers their ratio, this is done once per pair before its orders
+ * are processed so each order is cleared by at most one tx, returns undefined if batching is
+ * disabled or less than 2 orders can be combined
+ */
+export function findBatchOrders({
+    pairOrders,
+    dataFetcher,
+    fromToken,
+    toToken,
+    gasPrice,
+    config,
+}: {
+    config: BotConfig;
+    pairOrders: BundledOrders;
+    dataFetcher: DataFetcher;
+    gasPrice: bigint;
+    toToken: Token;
+    fromToken: Token;
+}): BundledOrders | undefined {
+    if (!config.batchOrders || config.batchOrders < 2) return;
+    const orders = pairOrders.takeOrders
+        .filter((v) => v.quote && !v.quote.maxOutput.isZero())
+        .sort((a, b) =>
+            a.quote!.ratio.lt(b.quote!.ratio) ? -1 : a.quote!.ratio.gt(b.quote!.ratio) ? 1 : 0,
+        );
+    if (orders.length < 2) return;
+
+    const pcMap = dataFetcher.getCurrentPoolCodeMap(fromToken, toToken);
+    const batch: BundledOrders["takeOrders"] = [];
+    let totalMaxOutput = ethers.constants.Zero;
+    for (const order of orders) {
+        if (batch.length >= config.batchOrders) break;
+        const amountIn = totalMaxOutput.add(order.quote!.maxOutput);
+        const route = Router.findBestRoute(
+            pcMap,
+            config.chain.id as ChainId,
+            fromToken,
+            scale18To(amountIn, pairOrders.sellTokenDecimals).toBigInt(),
+            toToken,
+            Number(gasPrice),
+            undefined,
+            RPoolFilter,
+            undefined,
+            config.route,
+        );
+        if (route.status == "NoWay") break;
+
+        // the next orders have greater ratios so they cannot be covered either
+        const amountOut = scale18(route.amountOutBI, pairOrders.buyTokenDecimals);
+        const price = amountOut.mul(ONE18).div(amountIn);
+        if (price.lt(order.quote!.ratio)) break;
+        batch.push(order);
+        totalMaxOutput = amountIn;
+    }
+
+    if (batch.length < 2) return;
+    return { ...pairOrders, takeOrders: batch };
+}
+
+/**
+ * Gets the total max output of the orders of an order pair object
+ */
+function getTotalMaxOutput(orderPairObject: BundledOrders): BigNumber {
+    return orderPairObject.takeOrders.reduce(
+        (a, b) => a.add(b.quote!.maxOutput),
+        ethers.constants.Zero,
+    );
+}
+
+/**
+ * Gets the greatest ratio of the orders of an order pair object, that is the
+ * market price that all of its orders can be cleared at
+ */
+function getMaxRatio(orderPairObject: BundledOrders): BigNumber {
+    return orderPairObject.takeOrders.reduce(
+        (a, b) => (b.quote!.ratio.gt(a) ? b.quote!.ratio : a),
+        ethers.constants.Zero,
+    );
+}
@@ -0,0 +1,112 @@
+import { BaseError, NonceTooHighError, NonceTooLowError } from "viem";
+
+/**
+ * Error messages of the rpcs that mean the local nonce is out of sync with the chain
+ */
+export const NONCE_ERRORS = [
+    "nonce too low",
+    "nonce too high",
+    "already known",
+    "replacement transaction underpriced",
+] as const;
+
+/**
+ * Tracks an account's nonces locally, so multiple txs of the account can be in flight
+ */
+export type NonceManager = {
+    /** The next nonce to use, undefined if it needs to be synced with the chain */
+    next?: number;
+    /** Nonces that are claimed and their txs are not yet sent */
+    inflight: Set<number>;
+    /** Nonces of the sent txs that are not yet mined, by their tx hash */
+    pending: Map<string, number>;
+    /** The ongoing sync with the chain, that concurrent claims wait for */
+    sync?: Promise<number>;
+};
+
+/**
+ * Creates a new nonce manager, it is synced with the chain on its first claim
+ */
+export function createNonceManager(): NonceManager {
+    return { inflight: new Set(), pending: new Map() };
+}
+
+/**
+ * Claims the next nonce of an account, syncs the manager with the chain first if it is not synced
+ * @param manager - The account's nonce manager
+ * @param getNonce - Gets the account's nonce from the chain, including its pending txs
+ */
+export async function claimNonce(
+    manager: NonceManager,
+    getNonce: () => Promise<number>,
+): Promise<number> {
+    while (manager.next === undefined) {
+        if (!manager.sync) {
+            manager.sync = getNonce().finally(() => (manager.sync = undefined));
+        }
+        const nonce = await manager.sync;
+        if (manager.next === undefined) manager.next = nonce;
+    }
+    const nonce = manager.next++;
+    manager.inflight.add(nonce);
+    return nonce;
+}
+
+/**
+ * Releases a claimed nonce once its tx is sent or has failed to be sent, the nonce of a failed tx
+ * is rolled back if it is the last claimed one, else it leaves a gap that blocks the later txs,
+ * so the manager is resynced with the chain whose pending nonce is then the gap's nonce, the
+ * manager is also resynced on nonce errors as they mean the local nonce is out of sync
+ * @param manager - The account's nonce manager
+ * @param nonce - The claimed nonce
+ * @param error - (optional) The error if the tx failed to be sent
+ */
+export function releaseNonce(manager: NonceManager, nonce: number, error?: unknown) {
+    manager.inflight.delete(nonce);
+    if (error === undefined) return;
+    if (!isNonceError(error) && manager.next === nonce + 1) {
+        manager.next = nonce;
+    } else {
+        manager.next = undefined;
+    }
+}
+
+/**
+ * Keeps a released nonce as pending once its tx is sent, until it is settled
+ * @param manager - The account's nonce manager
+ * @param nonce - The nonce of the sent tx
+ * @param hash - The hash of the sent tx
+ */
+export function setNoncePending(manager: NonceManager, nonce: number, hash: string) {
+    manager.pending.set(hash.toLowerCase(), nonce);
+}
+
+/**
+ * Settles a pending nonce once its tx, or its replacement, is mined
+ * @param manager - The account's nonce manager
+ * @param hash - The hash of the sent tx
+ */
+export function settleNonce(manager: NonceManager, hash: string) {
+    manager.pending.delete(hash.toLowerCase());
+}
+
+/**
+ * Gets the number of txs of an account that are being sent or are not yet mined
+ */
+export function getInflightCount(manager: NonceManager): number {
+    return manager.inflight.size + manager.pending.size;
+}
+
+/**
+ * Checks if the given error means that the tx's nonce is out of sync with the chain
+ */
+export function isNonceError(error: unknown): boolean {
+    if (
+        error instanceof BaseError &&
+        error.walk((e) => e instanceof NonceTooLowError || e instanceof NonceTooHighError)
+    ) {
+        return true;
+    }
+    const msg = (error instanceof Error ? error.message : String(error)).toLowerCase();
+    return NONCE_ERRORS.some((v) => msg.includes(v));
+}
@@ -0,0 +1,498 @@
+import { isAddress } from "viem";
+import { CliOptions, PriorityFeeStrategy, SelfFundOrder } from "./types";
+
+/**
+ * Type of an option's value, also determines how it is read from a config file
+ */
+export type OptionType = "string" | "list" | "boolean" | "lps" | "ownerProfile" | "selfFundOrders";
+
+/**
+ * Specifies how an option is parsed, coerced and validated
+ */
+export type OptionSchema = {
+    /** Type of the option's value */
+    type: OptionType;
+    /** Parses and coerces the given value, throws the error message if it is invalid */
+    parse?: (value: any) => any;
+    /** Error message if the option is required but is not specified */
+    required?: string;
+    /** Default value when the option is not specified */
+    default?: any;
+    /** If the value should be redacted when printed, "url" only redacts url path and query */
+    secret?: true | "url";
+};
+
+/**
+ * Declarative schema of all cli options
+ */
+export const OPTIONS_SCHEMA: Record<string, OptionSchema> = {
+    key: {
+        type: "string",
+        secret: true,
+        parse: (value) => {
+            if (typeof value === "string" && /^(0x)?[a-fA-F0-9]{64}$/.test(value)) return value;
+            throw "invalid wallet private key";
+        },
+    },
+    mnemonic: {
+        type: "string",
+        secret: true,
+        parse: (value) => {
+            if (typeof value === "string") return value;
+            throw "invalid mnemonic, must be a string";
+        },
+    },
+    walletCount: {
+        type: "string",
+        parse: integer("invalid --wallet-count, it should be an integer greater than equal 0"),
+    },
+    topupAmount: {
+        type: "string",
+        parse: decimal("invalid --topup-amount, it should be an number greater than equal 0"),
+    },
+    rpc: {
+        type: "list",
+        secret: "url",
+        required: "undefined RPC URL",
+        parse: list("invalid RPC URL(s), must be a list of urls"),
+    },
+    writeRpc: {
+        type: "list",
+        secret: "url",
+        parse: (value) => list(`Invalid write rpcs: ${value}`)(value),
+    },
+    arbAddress: {
+        type: "string",
+        required: "undefined arb contract address",
+        parse: address("invalid arb contract address"),
+    },
+    genericArbAddress: {
+        type: "string",
+        parse: address("invalid generic arb contract address"),
+    },
+    orderbookAddress: {
+        type: "string",
+        parse: address("invalid orderbook contract address"),
+    },
+    subgraph: {
+        type: "list",
+        secret: "url",
+        parse: list("invalid subgraph URL(s), must be a list of urls"),
+    },
+    lps: {
+        type: "lps",
+        parse: list("invalid liquidity providers, must be a list of names"),
+    },
+    gasCoverage: {
+        type: "string",
+        default: "100",
+        parse: (value) =>
+            integer("invalid gas coverage percentage, must be an integer greater than equal 0")(
+                value,
+            ).toString(),
+    },
+    orderHash: { type: "string" },
+    orderOwner: { type: "string" },
+    sleep: {
+        type: "string",
+        default: 10,
+        parse: integer("invalid sleep value, must be an integer greater than equal 0"),
+    },
+    maxRatio: { type: "boolean", default: false, parse: boolean("invalid maxRatio value") },
+    timeout: {
+        type: "string",
+        parse: integer("invalid timeout, must be an integer greater than 0", 1),
+    },
+    hops: {
+        type: "string",
+        default: 1,
+        parse: integer("invalid hops value, must be an integer greater than 0", 1),
+    },
+    retries: {
+        type: "string",
+        default: 1,
+        parse: integer("invalid retries value, must be an integer between 1 - 3", 1, 3),
+    },
+    poolUpdateInterval: {
+        type: "string",
+        default: 0,
+        parse: integer(
+            "invalid poolUpdateInterval value, must be an integer greater than equal zero",
+        ),
+    },
+    botMinBalance: {
+        type: "string",
+        required:
+            "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+        parse: decimal(
+            "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+        ),
+    },
+    selfFundOrders: { type: "selfFundOrders", parse: parseSelfFundOrders },
+    ownerProfile: { type: "ownerProfile", parse: parseOwnerProfile },
+    publicRpc: { type: "boolean", default: false, parse: boolean("invalid publicRpc value") },
+    route: {
+        type: "string",
+        default: "single",
+        parse: (value) => {
+            const route = typeof value === "string" ? value.toLowerCase() : undefined;
+            if (route === "single" || route === "multi" || route === "full") return route;
+            throw "invalid route value, must be one of 'single', 'multi' or 'full'";
+        },
+    },
+    gasPriceMultiplier: {
+        type: "string",
+        default: 107,
+        parse: integer("invalid gasPriceMultiplier value, must be an integer greater than zero", 1),
+    },
+    gasLimitMultiplier: {
+        type: "string",
+        default: 100,
+        parse: integer("invalid gasLimitMultiplier value, must be an integer greater than zero", 1),
+    },
+    txGas: {
+        type: "string",
+        parse: (value) => {
+            if (typeof value === "string" && /^[0-9]+%?$/.test(value)) return value;
+            throw "invalid txGas value, must be an integer greater than zero optionally with appended percentage sign to apply as percentage to original gas";
+        },
+    },
+    quoteGas: {
+        type: "string",
+        default: 1_000_000n,
+        parse: (value) => {
+            try {
+                const gas = BigInt(value);
+                if (gas >= 0n) return gas;
+            } catch {}
+            throw "invalid quoteGas value, must be an integer greater than equal zero";
+        },
+    },
+    rpOnly: { type: "boolean", default: false, parse: boolean("invalid rpOnly value") },
+    clearModes: {
+        type: "list",
+        parse: list("invalid clearModes value, must be a list of clear mode names"),
+    },
+    dispair: {
+        type: "string",
+        required: "undefined dispair address",
+        parse: address("expected dispair (ExpressionDeployer contract) address"),
+    },
+    config: { type: "string" },
+    chain: { type: "string" },
+    printConfig: { type: "boolean", default: false, parse: boolean("invalid printConfig value") },
+    dryRun: { type: "boolean", default: false, parse: boolean("invalid dryRun value") },
+    sweepOnShutdown: {
+        type: "boolean",
+        default: false,
+        parse: boolean("invalid sweepOnShutdown value"),
+    },
+    shutdownTimeout: {
+        type: "string",
+        default: 60,
+        parse: integer("invalid shutdownTimeout value, must be an integer greater than 0", 1),
+    },
+    apiPort: {
+        type: "string",
+        parse: integer("invalid apiPort value, must be an integer between 0 - 65535", 0, 65535),
+    },
+    apiHost: { type: "string", default: "127.0.0.1" },
+    apiKey: { type: "string", secret: true },
+    stateStore: { type: "string" },
+    ledger: { type: "string" },
+    blockDriven: { type: "boolean", default: false, parse: boolean("invalid blockDriven value") },
+    minRoundGap: {
+        type: "string",
+        default: 1000,
+        parse: integer("invalid minRoundGap value, must be an integer greater than equal 0"),
+    },
+    watchPools: { type: "boolean", default: false, parse: boolean("invalid watchPools value") },
+    watchPoolsMaxIdle: {
+        type: "string",
+        default: 60,
+        parse: integer("invalid watchPoolsMaxIdle value, must be an integer greater than equal 0"),
+    },
+    concurrency: {
+        type: "string",
+        default: 1,
+        parse: integer("invalid concurrency value, must be an integer greater than 0", 1),
+    },
+    rpcRateLimit: {
+        type: "string",
+        parse: integer("invalid rpcRateLimit value, must be an integer greater than 0", 1),
+    },
+    scheduleStaleness: {
+        type: "string",
+        parse: integer("invalid scheduleStaleness value, must be an integer greater than 0", 1),
+    },
+    orderBackoff: {
+        type: "string",
+        parse: integer("invalid orderBackoff value, must be an integer greater than 0", 1),
+    },
+    orderBackoffMax: {
+        type: "string",
+        default: 3600,
+        parse: integer("invalid orderBackoffMax value, must be an integer greater than 0", 1),
+    },
+    quarantineAfter: {
+        type: "string",
+        default: 3,
+        parse: integer("invalid quarantineAfter value, must be an integer greater than 0", 1),
+    },
+    batchOrders: {
+        type: "string",
+        default: 1,
+        parse: integer("invalid batchOrders value, must be an integer greater than 0", 1),
+    },
+    priorityFee: { type: "string", parse: parsePriorityFee },
+    gasBid: {
+        type: "string",
+        parse: integer("invalid gasBid value, must be an integer between 1 - 100", 1, 100),
+    },
+    txReplaceTimeout: {
+        type: "string",
+        parse: integer("invalid txReplaceTimeout value, must be an integer greater than 0", 1),
+    },
+    relay: {
+        type: "list",
+        secret: "url",
+        parse: list("invalid relay URL(s), must be a list of urls"),
+    },
+    relayMethod: {
+        type: "string",
+        default: "private",
+        parse: (value) => {
+            const method = typeof value === "string" ? value.toLowerCase() : undefined;
+            if (method === "bundle" || method === "private") return method;
+            throw "invalid relayMethod value, must be one of 'bundle' or 'private'";
+        },
+    },
+    relayBlocks: {
+        type: "string",
+        default: 3,
+        parse: integer("invalid relayBlocks value, must be an integer greater than 0", 1),
+    },
+    relayAuthKey: {
+        type: "string",
+        secret: true,
+        parse: (value) => {
+            if (typeof value === "string" && /^(0x)?[a-fA-F0-9]{64}$/.test(value)) return value;
+            throw "invalid relay auth key, must be a private key";
+        },
+    },
+};
+
+/**
+ * Parses, coerces and validates the given options against the options schema and applies
+ * the defaults, all of the errors are reported at once as a single error message each on
+ * a separate line
+ * @param options - The options to parse
+ * @param keys - (optional) Only parse these keys, defaults to all of the schema keys
+ */
+export function parseOptions(options: Record<string, any>, keys?: string[]): CliOptions {
+    const errors: string[] = [];
+    const result: Record<string, any> = { ...options };
+    const all = !keys;
+    if (!keys) {
+        keys = Object.keys(OPTIONS_SCHEMA);
+        if ((!options.key && !options.mnemonic) || (options.key && options.mnemonic)) {
+            errors.push("undefined wallet, only one of key or mnemonic should be specified");
+        }
+        if (options.mnemonic && (!options.walletCount || !options.topupAmount)) {
+            errors.push(
+                "--wallet-count and --toptup-amount are required when using mnemonic option",
+            );
+        }
+    }
+    for (const key of keys) {
+        const schema = OPTIONS_SCHEMA[key];
+        const value = options[key];
+        if (value === undefined || value === null || value === "") {
+            if (schema.required) errors.push(schema.required);
+            else if (schema.default !== undefined) result[key] = schema.default;
+            else delete result[key];
+            continue;
+        }
+        try {
+            result[key] = schema.parse ? schema.parse(value) : value;
+        } catch (error) {
+            errors.push(error as string);
+        }
+    }
+    // wallet and topup options are only applicable with mnemonic
+    if (all && !options.mnemonic) {
+        delete result.walletCount;
+        delete result.topupAmount;
+    }
+    if (errors.length) throw errors.join("\n");
+    return result as CliOptions;
+}
+
+/**
+ * Returns a copy of the given options with the secret values redacted, suitable for printing
+ * @param options - The options to redact
+ */
+export function redactOptions(options: Record<string, any>): Record<string, any> {
+    const result: Record<string, any> = {};
+    for (const key in options) {
+        const value = options[key];
+        const secret = OPTIONS_SCHEMA[key]?.secret;
+        if (value === undefined) continue;
+        if (secret === true) result[key] = "***";
+        else if (secret === "url") {
+            result[key] = Array.isArray(value) ? value.map(redactUrl) : redactUrl(value);
+        } else if (typeof value === "bigint") result[key] = value.toString();
+        else result[key] = value;
+    }
+    return result;
+}
+
+/**
+ * Redacts the path and query of a url as they may contain api keys
+ */
+export function redactUrl(url: string): string {
+    try {
+        const parsed = new URL(url);
+        return parsed.pathname === "/" && !parsed.search ? parsed.origin : parsed.origin + "/***";
+    } catch {
+        return "***";
+    }
+}
+
+/**
+ * Creates a parser for integer options
+ */
+function integer(error: string, min = 0, max?: number) {
+    return (value: any): number => {
+        let result: number | undefined;
+        if (typeof value === "number") result = value;
+        else if (typeof value === "string" && /^[0-9]+$/.test(value)) result = Number(value);
+        if (
+            result === undefined ||
+            !Number.isInteger(result) ||
+            result < min ||
+            (max !== undefined && result > max)
+        ) {
+            throw error;
+        }
+        return result;
+    };
+}
+
+/**
+ * Creates a parser for decimal number options, the value is kept as string
+ */
+function decimal(error: string) {
+    return (value: any): string => {
+        if (typeof value === "number" && value >= 0) return value.toString();
+        if (typeof value === "string" && /^[0-9]+(\.[0-9]+)?$/.test(value)) return value;
+        throw error;
+    };
+}
+
+/**
+ * Creates a parser for address options
+ */
+function address(error: string) {
+    return (value: any): string => {
+        if (typeof value === "string" && isAddress(value, { strict: false })) return value;
+        throw error;
+    };
+}
+
+/**
+ * Creates a parser for boolean options
+ */
+function boolean(error: string) {
+    return (value: any): boolean => {
+        if (typeof value === "boolean") return value;
+        if (typeof value === "string" && /^(true|false)$/i.test(value)) {
+            return value.toLowerCase() === "true";
+        }
+        throw error;
+    };
+}
+
+/**
+ * Creates a parser for list options, accepts a list of strings or a comma separated string
+ */
+function list(error: string) {
+    return (value: any): string[] => {
+        if (typeof value === "string") {
+            return Array.from(value.matchAll(/[^,\s]+/g)).map((v) => v[0]);
+        }
+        if (Array.isArray(value) && value.every((v) => typeof v === "string")) return value;
+        throw error;
+    };
+}
+
+/**
+ * Parses priority fee strategy in form of "fixed:<wei>", "percentile:<0-100>" or "profit:<0-100>"
+ */
+function parsePriorityFee(value: any): PriorityFeeStrategy {
+    // already parsed
+    if (typeof value === "object" && value !== null && "type" in value) return value;
+    const error =
+        "invalid priorityFee value, must be in form of 'fixed:<wei>', 'percentile:<0-100>' or 'profit:<0-100>'";
+    const match =
+        typeof value === "string" ? /^(fixed|percentile|profit):([0-9]+)$/.exec(value) : null;
+    if (!match) throw error;
+    if (match[1] === "fixed") return { type: "fixed", value: BigInt(match[2]) };
+    const percentage = integer(error, 0, 100)(match[2]);
+    return { type: match[1] as "percentile" | "profit", value: percentage };
+}
+
+/**
+ * Parses owner profiles in form of list of "ownerAddress=limitValue"
+ */
+function parseOwnerProfile(value: any): Record<string, number> {
+    if (!Array.isArray(value)) {
+        // already parsed
+        if (typeof value === "object") return value;
+        throw "Invalid owner profile, must be in form of 'ownerAddress=limitValue'";
+    }
+    const profiles: Record<string, number> = {};
+    value.forEach((v: string) => {
+        const parsed = v.split("=");
+        if (parsed.length !== 2) {
+            throw "Invalid owner profile, must be in form of 'ownerAddress=limitValue'";
+        }
+        if (!isAddress(parsed[0], { strict: false })) {
+            throw `Invalid owner address: ${parsed[0]}`;
+        }
+        if (!/^(0x[0-9a-fA-F]+|[0-9]+)$/.test(parsed[1]) && parsed[1] !== "max") {
+            throw "Invalid owner profile limit, must be an integer gte 0";
+        }
+        if (parsed[1] === "max") {
+            profiles[parsed[0].toLowerCase()] = Number.MAX_SAFE_INTEGER;
+        } else {
+            const limit = BigInt(parsed[1]);
+            profiles[parsed[0].toLowerCase()] =
+                limit >= BigInt(Number.MAX_SAFE_INTEGER) ? Number.MAX_SAFE_INTEGER : Number(limit);
+        }
+    });
+    return profiles;
+}
+
+/**
+ * Parses self fund orders in form of "token,vaultId,threshold,toptupamount;..."
+ */
+function parseSelfFundOrders(value: any): SelfFundOrder[] {
+    // already parsed
+    if (Array.isArray(value)) return value;
+    if (typeof value !== "string") {
+        throw "Invalid self fund orders, must be in form of 'token,vaultId,threshold,toptupamount;...'";
+    }
+    return Array.from(value.matchAll(/[^;]+/g)).map((v) => {
+        const matches = Array.from(v[0].matchAll(/[^,]+/g)).map((e) => e[0]);
+        if (matches.length !== 4) {
+            throw "Invalid self fund orders, must be in form of 'token,vaultId,threshold,toptupamount;...'";
+        }
+        return {
+            token: matches[0].toLowerCase(),
+            vaultId: matches[1],
+            threshold: matches[2],
+            topupAmount: matches[3],
+        };
+    });
+}
@@ -266,6 +266,23 @@ export async function handleRemoveOrderbookOwnersProfileMap(
     }
 }
 
+/**
+ * Removes an order from the owner profile map by its hash regardless of its orderbook and owner
+ * @returns true if the order was found and removed
+ */
+export function removeOrderFromOwnersProfileMap(
+    orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
+    orderHash: string,
+): boolean {
+    let removed = false;
+    for (const [, ownersProfileMap] of orderbooksOwnersProfileMap) {
+        for (const [, ownerProfile] of ownersProfileMap) {
+            if (ownerProfile.orders.delete(orderHash.toLowerCase())) removed = true;
+        }
+    }
+    return removed;
+}
+
 /**
  * Get a map of per owner orders per orderbook
  * @param ordersDetails - Order details queried from subgraph
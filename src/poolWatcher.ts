@@ -0,0 +1,179 @@
+import { PublicClient } from "viem";
+import { BundledOrders } from "./types";
+
+/**
+ * Max number of blocks to read the logs of, if more blocks have passed since the
+ * last read then all of the orders are re-processed instead
+ */
+export const MAX_WATCH_BLOCK_RANGE = 1_000n;
+
+/**
+ * Max number of addresses to read the logs of in a single request
+ */
+export const WATCH_ADDRESSES_BATCH_SIZE = 200;
+
+/**
+ * Keeps track of the pools that back each pair and the orders that were processed, so
+ * that only the orders whose pools or orderbook have emitted logs since then are re-processed
+ */
+export type PoolWatcher = {
+    /** The last block that the logs are read up to */
+    lastBlock?: bigint;
+    /** Max miliseconds an unchanged order is skipped for */
+    maxIdle: number;
+    /** Addresses of the pools that back each token pair */
+    pools: Map<string, Set<string>>;
+    /** The processed orders that have not changed since, by their order pair key */
+    processed: Map<string, { orderbook: string; tokenPair: string; time: number }>;
+    /** Token pairs whose pools have changed since their pools were last fetched */
+    changedPairs: Set<string>;
+};
+
+/**
+ * Creates a new pool watcher
+ * @param maxIdle - Max miliseconds an unchanged order is skipped for, as an order's quote
+ * can change without any onchain activity, for example when it depends on time
+ */
+export function createPoolWatcher(maxIdle: number): PoolWatcher {
+    return {
+        maxIdle,
+        pools: new Map(),
+        processed: new Map(),
+        changedPairs: new Set(),
+    };
+}
+
+/**
+ * Gets the key of a token pair regardless of its direction
+ */
+export function getTokenPairKey(tokenA: string, tokenB: string): string {
+    return [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join("/");
+}
+
+/**
+ * Gets the key of a single order pair object
+ */
+export function getOrderPairKey(orderPairObject: BundledOrders): string {
+    return [
+        orderPairObject.orderbook,
+        orderPairObject.takeOrders[0].id,
+        orderPairObject.buyToken,
+        orderPairObject.sellToken,
+    ]
+        .join("/")
+        .toLowerCase();
+}
+
+/**
+ * Checks if a single order pair object needs to be processed, that is if it was never processed,
+ * or its pools or orderbook have changed since, or it has been skipped for max idle time
+ * @param watcher - The pool watcher
+ * @param orderPairObject - The single order pair object
+ * @param now - (optional) Current unix timestamp in miliseconds
+ */
+export function isOrderPairChanged(
+    watcher: PoolWatcher,
+    orderPairObject: BundledOrders,
+    now = Date.now(),
+): boolean {
+    const processed = watcher.processed.get(getOrderPairKey(orderPairObject));
+    return !processed || now - processed.time >= watcher.maxIdle;
+}
+
+/**
+ * Records a single order pair object as processed along with the pools that back its pair
+ * @param watcher - The pool watcher
+ * @param orderPairObject - The single order pair object
+ * @param pools - Addresses of the pools that back the pair
+ * @param now - (optional) Current unix timestamp in miliseconds
+ */
+export function markOrderPairProcessed(
+    watcher: PoolWatcher,
+    orderPairObject: BundledOrders,
+    pools: string[],
+    now = Date.now(),
+) {
+    const tokenPair = getTokenPairKey(orderPairObject.buyToken, orderPairObject.sellToken);
+    watcher.pools.set(tokenPair, new Set(pools.map((v) => v.toLowerCase())));
+    watcher.processed.set(getOrderPairKey(orderPairObject), {
+        orderbook: orderPairObject.orderbook.toLowerCase(),
+        tokenPair,
+        time: now,
+    });
+}
+
+/**
+ * Reads the logs of the watched pools and the given orderbooks since the last read and
+ * forgets the processed orders that are affected by them, so they are re-processed, if the
+ * logs cannot be read all of the orders are forgotten and their pools are refetched
+ * @param watcher - The pool watcher
+ * @param client - The viem client
+ * @param orderbooks - The orderbooks whose vault changes affect their orders
+ * @returns The addresses that have emitted logs since the last read
+ */
+export async function updatePoolWatcher(
+    watcher: PoolWatcher,
+    client: PublicClient,
+    orderbooks: string[],
+): Promise<string[]> {
+    const fromBlock = watcher.lastBlock === undefined ? undefined : watcher.lastBlock + 1n;
+    watcher.lastBlock = undefined;
+
+    let blockNumber: bigint;
+    const changed = new Set<string>();
+    try {
+        blockNumber = await client.getBlockNumber();
+        if (fromBlock === undefined || blockNumber - fromBlock >= MAX_WATCH_BLOCK_RANGE) {
+            forgetAll(watcher);
+        } else if (blockNumber >= fromBlock) {
+            const addresses = new Set(orderbooks.map((v) => v.toLowerCase()));
+            watcher.pools.forEach((pools) => pools.forEach((v) => addresses.add(v)));
+            const list = Array.from(addresses);
+            for (let i = 0; i < list.length; i += WATCH_ADDRESSES_BATCH_SIZE) {
+                const logs = await client.getLogs({
+                    address: list.slice(i, i + WATCH_ADDRESSES_BATCH_SIZE) as `0x${string}`[],
+                    fromBlock,
+                    toBlock: blockNumber,
+                });
+                logs.forEach((log) => changed.add(log.address.toLowerCase()));
+            }
+        }
+    } catch (error) {
+        forgetAll(watcher);
+        throw error;
+    }
+    watcher.lastBlock = blockNumber;
+
+    if (changed.size) {
+        for (const [tokenPair, pools] of watcher.pools) {
+            for (const pool of pools) {
+                if (changed.has(pool)) {
+                    watcher.changedPairs.add(tokenPair);
+                    break;
+                }
+            }
+        }
+        for (const [key, processed] of watcher.processed) {
+            if (changed.has(processed.orderbook) || watcher.changedPairs.has(processed.tokenPair)) {
+                watcher.processed.delete(key);
+            }
+        }
+    }
+
+    // forget the orders that are idle and the pools that are no longer used
+    const now = Date.now();
+    const tokenPairs = new Set<string>();
+    for (const [key, processed] of watcher.processed) {
+        if (now - processed.time >= watcher.maxIdle) watcher.processed.delete(key);
+        else tokenPairs.add(processed.tokenPair);
+    }
+    for (const tokenPair of watcher.pools.keys()) {
+        if (!tokenPairs.has(tokenPair)) watcher.pools.delete(tokenPair);
+    }
+    return Array.from(changed);
+}
+
+function forgetAll(watcher: PoolWatcher) {
+    watcher.processed.clear();
+    watcher.pools.forEach((_, tokenPair) => watcher.changedPairs.add(tokenPair));
+}
@@ -1,16 +1,18 @@
-import { ChainId } from "sushi";
 import { findOpp } from "./modes";
-import { getQuoteGas } from "./gas";
 import { PublicClient } from "viem";
 import { Token } from "sushi/currency";
-import { createViemClient } from "./config";
+import { PoolCode } from "sushi/router";
 import { fundOwnedOrders } from "./account";
+import { recordLedgerEntry } from "./ledger";
 import { arbAbis, orderbookAbi } from "./abis";
-import { getSigner, handleTransaction } from "./tx";
-import { privateKeyToAccount } from "viem/accounts";
+import { rebuildBountyEnsureTask } from "./task";
+import { recordProcessPairResult } from "./metrics";
 import { BigNumber, Contract, ethers } from "ethers";
 import { Tracer } from "@opentelemetry/sdk-trace-base";
+import { findBatchOrders } from "./modes/routeProcessor";
 import { Context, SpanStatusCode } from "@opentelemetry/api";
+import { getQuoteGas, getTxFees, getBidGasPrice } from "./gas";
+import { getSigner, getWriteSigner, handleTransaction } from "./tx";
 import { ErrorSeverity, errorSnapshot, isTimeout, KnownErrors } from "./error";
 import {
     Report,
@@ -23,12 +25,27 @@ import {
     OperationState,
     ProcessPairResult,
 } from "./types";
+import {
+    getTokenPairKey,
+    updatePoolWatcher,
+    isOrderPairChanged,
+    markOrderPairProcessed,
+} from "./poolWatcher";
+import { scheduleOrders, recordOrderAttempt } from "./scheduler";
+import {
+    OrderHealthStatus,
+    recordOrderHealth,
+    getOrderHealthStatus,
+    releaseQuarantinedOrders,
+} from "./health";
 import {
     toNumber,
     getEthPrice,
     routeExists,
     PoolBlackList,
     getMarketQuote,
+    runConcurrently,
+    batchQuoteOrders,
     checkOwnedOrders,
     quoteSingleOrder,
 } from "./utils";
@@ -76,7 +93,7 @@ export const processOrders = async (
 
     // instantiating arb contract
     const arb = new ethers.Contract(config.arbAddress, arbAbis);
-    let genericArb;
+    let genericArb: Contract | undefined;
     if (config.genericArbAddress) {
         genericArb = new ethers.Contract(config.genericArbAddress, arbAbis);
     }
@@ -86,7 +103,9 @@ export const processOrders = async (
         try {
             const ownedOrders = await checkOwnedOrders(config, bundledOrders);
             if (ownedOrders.length) {
-                const failedFundings = await fundOwnedOrders(ownedOrders, config, state);
+                const failedFundings = config.dryRun
+                    ? []
+                    : await fundOwnedOrders(ownedOrders, config, state);
                 const emptyOrders = ownedOrders.filter((v) => v.vaultBalance.isZero());
                 if (failedFundings.length || emptyOrders.length) {
                     const message: string[] = [];
@@ -148,6 +167,73 @@ export const processOrders = async (
         span.end();
     });
 
+    // find the orders whose pools or orderbook have changed since they were last processed
+    const poolWatcher = state.poolWatcher;
+    const healthTracker = state.healthTracker;
+    if (poolWatcher) {
+        await tracer.startActiveSpan("watch-pools", {}, ctx, async (span) => {
+            try {
+                const orderbooks = new Set(bundledOrders.flat().map((v) => v.orderbook));
+                const changed = await updatePoolWatcher(
+                    poolWatcher,
+                    viemClient,
+                    Array.from(orderbooks),
+                );
+                span.setAttribute("details.changedAddresses", changed);
+                if (healthTracker)
+                    releaseQuarantinedOrders(healthTracker, poolWatcher.changedPairs);
+                span.setStatus({ code: SpanStatusCode.OK });
+            } catch (error: any) {
+                if (healthTracker) releaseQuarantinedOrders(healthTracker);
+                span.setAttribute("severity", ErrorSeverity.LOW);
+                span.setStatus({
+                    code: SpanStatusCode.ERROR,
+                    message: errorSnapshot(
+                        "Failed to read pools logs, all orders are processed",
+                        error,
+                    ),
+                });
+                span.recordException(error);
+            }
+            span.end();
+        });
+    }
+
+    // quote all of the round's orders in batches at once
+    await tracer.startActiveSpan("quote-orders", {}, ctx, async (span) => {
+        try {
+            const failedBatches = await batchQuoteOrders(
+                config,
+                bundledOrders,
+                (config as any).isTest ? (config as any).quoteRpc : config.rpc,
+            );
+            const orders = bundledOrders.flat().flatMap((v) => v.takeOrders);
+            span.setAttributes({
+                "details.orders": orders.length,
+                "details.zeroOutputOrders": orders
+                    .filter((v) => v.quote?.maxOutput.isZero())
+                    .map((v) => v.id),
+            });
+            if (failedBatches) {
+                span.setAttribute("severity", ErrorSeverity.LOW);
+                span.setStatus({
+                    code: SpanStatusCode.ERROR,
+                    message: `${failedBatches} batches failed to quote, their orders are quoted one by one`,
+                });
+            } else {
+                span.setStatus({ code: SpanStatusCode.OK });
+            }
+        } catch (error: any) {
+            span.setAttribute("severity", ErrorSeverity.LOW);
+            span.setStatus({
+                code: SpanStatusCode.ERROR,
+                message: errorSnapshot("Failed to batch quote orders", error),
+            });
+            span.recordException(error);
+        }
+        span.end();
+    });
+
     const txGasCosts: BigNumber[] = [];
     const reports: Report[] = [];
     const results: {
@@ -155,11 +241,16 @@ export const processOrders = async (
         pair: string;
         orderPairObject: BundledOrders;
     }[] = [];
+    let tasks: { orderPairObject: BundledOrders; task: () => Promise<void> }[] = [];
+    const backoffOrders: string[] = [];
+    const quarantinedOrders: string[] = [];
     for (const orderbookOrders of bundledOrders) {
         for (const pairOrders of orderbookOrders) {
             // instantiating orderbook contract
             const orderbook = new ethers.Contract(pairOrders.orderbook, orderbookAbi);
+            const pair = `${pairOrders.buyTokenSymbol}/${pairOrders.sellTokenSymbol}`;
 
+            const pairObjects: BundledOrders[] = [];
             for (let i = 0; i < pairOrders.takeOrders.length; i++) {
                 const orderPairObject = {
                     orderbook: pairOrders.orderbook,
@@ -172,72 +263,179 @@ export const processOrders = async (
                     takeOrders: [pairOrders.takeOrders[i]],
                 };
 
-                // await for first available signer to get free
-                const signer = await getSigner(accounts, mainAccount, true);
-
-                const writeSigner = config.writeRpc
-                    ? await createViemClient(
-                          config.chain.id as ChainId,
-                          config.writeRpc,
-                          false,
-                          privateKeyToAccount(
-                              signer.account.getHdKey
-                                  ? (ethers.utils.hexlify(
-                                        signer.account.getHdKey().privateKey!,
-                                    ) as `0x${string}`)
-                                  : ((config.walletKey.startsWith("0x")
-                                        ? config.walletKey
-                                        : "0x" + config.walletKey) as `0x${string}`),
-                          ),
-                          config.timeout,
-                          undefined,
-                          config,
-                      )
-                    : undefined;
-
-                const pair = `${pairOrders.buyTokenSymbol}/${pairOrders.sellTokenSymbol}`;
-                const span = tracer.startSpan(`checkpoint_${pair}`, undefined, ctx);
-                span.setAttributes({
-                    "details.pair": pair,
-                    "details.orderHash": orderPairObject.takeOrders[0].id,
-                    "details.orderbook": orderbook.address,
-                    "details.sender": signer.account.address,
-                    "details.owner": orderPairObject.takeOrders[0].takeOrder.order.owner,
-                });
+                // skip the orders that have nothing to offer, the orders that failed
+                // to quote in the batch quote are quoted again one by one
+                if (orderPairObject.takeOrders[0].quote?.maxOutput.isZero()) continue;
 
-                // call process pair and save the settlement fn
-                // to later settle without needing to pause if
-                // there are more signers available
-                const settle = await processPair({
-                    config,
-                    orderPairObject,
-                    viemClient,
-                    dataFetcher,
-                    signer,
-                    writeSigner,
-                    arb,
-                    genericArb,
-                    orderbook,
-                    pair,
-                    orderbooksOrders: bundledOrders,
-                    state,
-                });
-                results.push({ settle, pair, orderPairObject });
-                span.end();
+                // skip the orders that are backed off or quarantined for failing repeatedly
+                if (healthTracker) {
+                    const status = getOrderHealthStatus(healthTracker, orderPairObject);
+                    if (status === OrderHealthStatus.Backoff) {
+                        backoffOrders.push(orderPairObject.takeOrders[0].id);
+                        continue;
+                    }
+                    if (status === OrderHealthStatus.Quarantined) {
+                        quarantinedOrders.push(orderPairObject.takeOrders[0].id);
+                        continue;
+                    }
+                }
+
+                if (poolWatcher) {
+                    // skip the order if nothing has changed since it was last processed
+                    if (!isOrderPairChanged(poolWatcher, orderPairObject)) continue;
+
+                    // refetch the pair's pools if they have changed since they were fetched
+                    const tokenPair = getTokenPairKey(pairOrders.buyToken, pairOrders.sellToken);
+                    if (poolWatcher.changedPairs.delete(tokenPair)) {
+                        const p1 = `${pairOrders.buyTokenSymbol}/${pairOrders.sellTokenSymbol}`;
+                        const p2 = `${pairOrders.sellTokenSymbol}/${pairOrders.buyTokenSymbol}`;
+                        for (const p of [p1, p2]) {
+                            const index = dataFetcher.fetchedPairPools.indexOf(p);
+                            if (index > -1) dataFetcher.fetchedPairPools.splice(index, 1);
+                        }
+                    }
+                }
+                pairObjects.push(orderPairObject);
+            }
+
+            // combine the pair's orders into a single batch once its pools are fetched, the
+            // batched orders are then processed only as a part of the batch
+            const batch = dataFetcher.fetchedPairPools.includes(pair)
+                ? findBatchOrders({
+                      pairOrders: {
+                          ...pairOrders,
+                          takeOrders: pairObjects.map((v) => v.takeOrders[0]),
+                      },
+                      dataFetcher,
+                      ...getPairTokens(config, pairOrders),
+                      gasPrice: state.gasPrice,
+                      config,
+                  })
+                : undefined;
+            const toProcess = batch
+                ? [batch, ...pairObjects.filter((v) => !batch.takeOrders.includes(v.takeOrders[0]))]
+                : pairObjects;
+
+            for (const orderPairObject of toProcess) {
+                const quoted = !!orderPairObject.takeOrders[0].quote;
+                const task = async () => {
+                    // stop picking new orders once shutdown is requested, the
+                    // already processed ones still get settled below
+                    if (state.signal?.aborted) return;
+
+                    // await for first available signer to get free
+                    const signer = await getSigner(accounts, mainAccount, true);
+
+                    const writeSigner = await getWriteSigner(config, signer);
+
+                    const span = tracer.startSpan(`checkpoint_${pair}`, undefined, ctx);
+                    span.setAttributes({
+                        "details.pair": pair,
+                        "details.orderHash": orderPairObject.takeOrders[0].id,
+                        "details.orderbook": orderbook.address,
+                        "details.sender": signer.account.address,
+                        "details.owner": orderPairObject.takeOrders[0].takeOrder.order.owner,
+                    });
+
+                    // call process pair and save the settlement fn
+                    // to later settle without needing to pause if
+                    // there are more signers available
+                    const settle = await processPair({
+                        config,
+                        orderPairObject,
+                        viemClient,
+                        dataFetcher,
+                        signer,
+                        writeSigner,
+                        arb,
+                        genericArb,
+                        orderbook,
+                        pair,
+                        orderbooksOrders: bundledOrders,
+                        state,
+                        quoted,
+                    });
+                    results.push({ settle, pair, orderPairObject });
+                    span.end();
+                };
+                tasks.push({ orderPairObject, task });
             }
         }
     }
 
+    if (healthTracker) {
+        const span = tracer.startSpan("order-health", undefined, ctx);
+        span.setAttributes({
+            "details.backoffOrders": backoffOrders,
+            "details.quarantinedOrders": quarantinedOrders,
+        });
+        span.setStatus({ code: SpanStatusCode.OK });
+        span.end();
+    }
+
+    // rank the orders by their expected value and leave out the ones that have none
+    const scheduler = state.scheduler;
+    if (scheduler) {
+        const scheduled = scheduleOrders(scheduler, tasks);
+        const span = tracer.startSpan("schedule-orders", undefined, ctx);
+        span.setAttributes({
+            "details.scheduled": scheduled.length,
+            "details.deferred": tasks.length - scheduled.length,
+        });
+        span.setStatus({ code: SpanStatusCode.OK });
+        span.end();
+        tasks = scheduled;
+    }
+
+    // process the orders concurrently, the settlement fns are
+    // pushed in the order that their processing finishes
+    await runConcurrently(
+        tasks.map((v) => v.task),
+        config.concurrency ?? 1,
+    );
+
     for (const { settle, pair, orderPairObject } of results) {
         // instantiate a span for this pair
         const span = tracer.startSpan(`order_${pair}`, undefined, ctx);
         span.setAttribute("details.owner", orderPairObject.takeOrders[0].takeOrder.order.owner);
+
+        // record the settled result in metrics and ledger
+        const record = (result: ProcessPairResult) => {
+            recordProcessPairResult(config.chain.id, result);
+            try {
+                recordLedgerEntry(config, result, orderPairObject, pair);
+            } catch (error) {
+                span.setAttribute(
+                    "details.ledgerError",
+                    errorSnapshot("failed to record ledger entry", error),
+                );
+            }
+        };
         try {
             // settle the process results
             // this will return the report of the operation and in case
             // there was a revert tx, it will try to simulate it and find
             // the root cause as well
             const result = await settle();
+            record(result);
+            for (const singleOrderPairObject of splitOrderPairObject(orderPairObject)) {
+                if (scheduler) recordOrderAttempt(scheduler, singleOrderPairObject, result);
+                if (
+                    healthTracker &&
+                    recordOrderHealth(healthTracker, singleOrderPairObject, result)
+                ) {
+                    span.setAttribute("details.quarantined", true);
+                }
+
+                // failed orders are not marked so they are retried on next round
+                if (poolWatcher) {
+                    markOrderPairProcessed(
+                        poolWatcher,
+                        singleOrderPairObject,
+                        getPairPools(config, singleOrderPairObject),
+                    );
+                }
+            }
 
             // keep track of avg gas cost
             if (result.gasCost) {
@@ -259,7 +457,12 @@ export const processOrders = async (
                     span.setStatus({ code: SpanStatusCode.OK, message: "no opportunity" });
                 }
             } else if (result.report.status === ProcessPairReportStatus.FoundOpportunity) {
-                span.setStatus({ code: SpanStatusCode.OK, message: "found opportunity" });
+                span.setStatus({
+                    code: SpanStatusCode.OK,
+                    message: result.report.dryRun
+                        ? "found opportunity, dry run"
+                        : "found opportunity",
+                });
             } else {
                 // set the span status to unexpected error
                 span.setAttribute("severity", ErrorSeverity.HIGH);
@@ -268,6 +471,13 @@ export const processOrders = async (
         } catch (e: any) {
             // set the span attributes with the values gathered at processPair()
             span.setAttributes(e.spanAttributes);
+            if (e.report) record(e);
+            for (const singleOrderPairObject of splitOrderPairObject(orderPairObject)) {
+                if (scheduler) recordOrderAttempt(scheduler, singleOrderPairObject, e);
+                if (healthTracker && recordOrderHealth(healthTracker, singleOrderPairObject, e)) {
+                    span.setAttribute("details.quarantined", true);
+                }
+            }
 
             // record otel span status based on reported reason
             if (e.reason) {
@@ -415,6 +625,8 @@ export async function processPair(args: {
     pair: string;
     orderbooksOrders: BundledOrders[][];
     state: OperationState;
+    /** If the order is already quoted by the round's batch quote */
+    quoted?: boolean;
 }): Promise<() => Promise<ProcessPairResult>> {
     const {
         config,
@@ -429,6 +641,7 @@ export async function processPair(args: {
         pair,
         orderbooksOrders,
         state,
+        quoted,
     } = args;
     const isE2eTest = (config as any).isTest;
     const spanAttributes: SpanAttrs = {};
@@ -463,12 +676,14 @@ export async function processPair(args: {
     });
 
     try {
-        await quoteSingleOrder(
-            orderPairObject,
-            isE2eTest ? (config as any).quoteRpc : config.rpc,
-            undefined,
-            isE2eTest ? config.quoteGas : await getQuoteGas(config, orderPairObject),
-        );
+        if (!quoted) {
+            await quoteSingleOrder(
+                orderPairObject,
+                isE2eTest ? (config as any).quoteRpc : config.rpc,
+                undefined,
+                isE2eTest ? config.quoteGas : await getQuoteGas(config, orderPairObject),
+            );
+        }
         if (orderPairObject.takeOrders[0].quote?.maxOutput.isZero()) {
             result.report = {
                 status: ProcessPairReportStatus.ZeroOutput,
@@ -599,7 +814,7 @@ export async function processPair(args: {
     }
 
     // execute process to find opp through different modes
-    let rawtx, oppBlockNumber, estimatedProfit;
+    let rawtx, oppBlockNumber, estimatedProfit, clearMode;
     try {
         const findOppResult = await findOpp({
             orderPairObject,
@@ -618,6 +833,7 @@ export async function processPair(args: {
             l1GasPrice: state.l1GasPrice,
         });
         ({ rawtx, oppBlockNumber, estimatedProfit } = findOppResult.value!);
+        clearMode = findOppResult.spanAttributes["clearModePick"] as string | undefined;
 
         if (!rawtx || !oppBlockNumber) throw "undefined tx/block number";
 
@@ -699,6 +915,8 @@ export async function processPair(args: {
         tokenPair: pair,
         buyToken: orderPairObject.buyToken,
         sellToken: orderPairObject.sellToken,
+        estimatedProfit,
+        clearMode,
     };
     spanAttributes["foundOpp"] = true;
 
@@ -714,6 +932,65 @@ export async function processPair(args: {
         spanAttributes["details.blockNumberError"] = errorSnapshot("failed to get block number", e);
     }
 
+    // bid a share of the estimated profit as gas price, the bounty ensure task is rebuilt
+    // so its minimum expected bounty covers the higher gas cost, else the tx would revert
+    const bidGasPrice = getBidGasPrice(config, rawtx.gas ?? 0n, state.gasPrice, estimatedProfit);
+    let isBid = false;
+    if (bidGasPrice > state.gasPrice) {
+        try {
+            const l1Cost = BigNumber.from(spanAttributes["details.gasEst.final.l1Cost"] ?? 0);
+            const minimumExpected = BigNumber.from(rawtx.gas!)
+                .mul(bidGasPrice)
+                .add(l1Cost)
+                .mul(config.gasCoveragePercentage)
+                .div(100);
+            const rebuilt = await rebuildBountyEnsureTask(
+                rawtx,
+                inputToEthPrice,
+                outputToEthPrice,
+                minimumExpected,
+                signer.account.address,
+                config,
+            );
+            if (rebuilt || config.gasCoveragePercentage === "0") {
+                rawtx.gasPrice = bidGasPrice;
+                isBid = true;
+                spanAttributes["details.gasBid"] = bidGasPrice.toString();
+                spanAttributes["details.gasBid.minBountyExpected"] = minimumExpected.toString();
+            }
+        } catch (e) {
+            // dont reject if bidding fails, the tx is sent with the gas price it was found at
+            spanAttributes["details.gasBidError"] = errorSnapshot("failed to bid gas price", e);
+        }
+    }
+
+    // send as EIP-1559 tx if enabled and supported by the chain, with the bid carried over to
+    // its fees, the tx is skipped if its estimated profit cannot cover the network gas price
+    if (state.feeError) spanAttributes["details.feeError"] = state.feeError;
+    let fees;
+    try {
+        fees = getTxFees(config, state, rawtx, estimatedProfit, isBid ? bidGasPrice : undefined);
+    } catch (e) {
+        spanAttributes["foundOpp"] = false;
+        spanAttributes["details.txFeesSkip"] = errorSnapshot("skipped the clear", e);
+        result.report = {
+            status: ProcessPairReportStatus.NoOpportunity,
+            tokenPair: pair,
+            buyToken: orderPairObject.buyToken,
+            sellToken: orderPairObject.sellToken,
+        };
+        return async () => {
+            return result;
+        };
+    }
+    if (fees) {
+        delete rawtx.gasPrice;
+        rawtx.maxFeePerGas = fees.maxFeePerGas;
+        rawtx.maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+        spanAttributes["details.maxFeePerGas"] = fees.maxFeePerGas.toString();
+        spanAttributes["details.maxPriorityFeePerGas"] = fees.maxPriorityFeePerGas.toString();
+    }
+
     // handle the found transaction opportunity
     return handleTransaction(
         signer,
@@ -732,3 +1009,48 @@ export async function processPair(args: {
         writeSigner,
     );
 }
+
+/**
+ * Gets the addresses of the pools that back the given pair in the data fetcher
+ */
+export function getPairPools(config: BotConfig, orderPairObject: BundledOrders): string[] {
+    try {
+        const { fromToken, toToken } = getPairTokens(config, orderPairObject);
+        return Array.from(
+            config.dataFetcher.getCurrentPoolCodeMap(fromToken, toToken).values(),
+        ).map((v: PoolCode) => v.pool.address.toLowerCase());
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Gets the sell (from) and buy (to) tokens of an order pair object
+ */
+export function getPairTokens(
+    config: BotConfig,
+    orderPairObject: BundledOrders,
+): { fromToken: Token; toToken: Token } {
+    return {
+        fromToken: new Token({
+            chainId: config.chain.id,
+            decimals: orderPairObject.sellTokenDecimals,
+            address: orderPairObject.sellToken,
+            symbol: orderPairObject.sellTokenSymbol,
+        }),
+        toToken: new Token({
+            chainId: config.chain.id,
+            decimals: orderPairObject.buyTokenDecimals,
+            address: orderPairObject.buyToken,
+            symbol: orderPairObject.buyTokenSymbol,
+        }),
+    };
+}
+
+/**
+ * Splits an order pair object into single order pair objects, one for each of its orders,
+ * so the result of a batch of orders is recorded for each of them
+ */
+export function splitOrderPairObject(orderPairObject: BundledOrders): BundledOrders[] {
+    return orderPairObject.takeOrders.map((v) => ({ ...orderPairObject, takeOrders: [v] }));
+}
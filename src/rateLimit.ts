@@ -0,0 +1,64 @@
+import { Transport } from "viem";
+
+/**
+ * Spaces out the requests sent to an rpc so they stay under its rate limit
+ */
+export type RateLimiter = {
+    /** Miliseconds between two consecutive requests */
+    interval: number;
+    /** Unix timestamp in miliseconds that the next request can be sent at */
+    next: number;
+};
+
+/**
+ * Rate limiters of the rpcs, shared by all of the clients that use the same rpc
+ */
+const rateLimiters: Map<string, RateLimiter> = new Map();
+
+/**
+ * Gets the rate limiter of an rpc, creates it if it doesnt exist yet
+ * @param url - The rpc url
+ * @param limit - Max number of requests per second
+ */
+export function getRateLimiter(url: string, limit: number): RateLimiter {
+    let limiter = rateLimiters.get(url);
+    if (!limiter) {
+        limiter = { interval: 0, next: 0 };
+        rateLimiters.set(url, limiter);
+    }
+    limiter.interval = 1000 / limit;
+    return limiter;
+}
+
+/**
+ * Waits until a request can be sent without going over the rate limit and reserves its slot
+ * @param limiter - The rate limiter
+ */
+export async function waitForRateLimit(limiter: RateLimiter): Promise<void> {
+    const now = Date.now();
+    const slot = Math.max(now, limiter.next);
+    limiter.next = slot + limiter.interval;
+    if (slot > now) await new Promise((resolve) => setTimeout(resolve, slot - now));
+}
+
+/**
+ * Wraps a viem transport so its requests go through the rpc's rate limiter, returns
+ * the transport as is if no limit is specified
+ * @param transport - The viem transport
+ * @param url - The transport's rpc url
+ * @param limit - (optional) Max number of requests per second
+ */
+export function withRateLimit<T extends Transport>(transport: T, url: string, limit?: number): T {
+    if (!limit) return transport;
+    const limiter = getRateLimiter(url, limit);
+    return ((params: Parameters<Transport>[0]) => {
+        const result = transport(params);
+        return {
+            ...result,
+            request: async (...args: Parameters<typeof result.request>) => {
+                await waitForRateLimit(limiter);
+                return result.request(...args);
+            },
+        };
+    }) as T;
+}
@@ -0,0 +1,287 @@
+import axios from "axios";
+import { ethers } from "ethers";
+import { sleep } from "./utils";
+import { redactUrl } from "./options";
+import { errorSnapshot } from "./error";
+import { BotConfig, ViemClient } from "./types";
+import { keccak256, TransactionReceipt, TransactionReceiptNotFoundError } from "viem";
+
+/**
+ * Method of submitting txs to private relays, either as a single tx bundle
+ * with eth_sendBundle or as a private tx with eth_sendPrivateTransaction
+ */
+export type RelayMethod = "bundle" | "private";
+
+/**
+ * Max miliseconds that a relayed tx is waited for before it is sent to the public mempool,
+ * in case the chain's block number cannot be read
+ */
+export const RELAY_WAIT_TIMEOUT = 180_000 as const;
+
+/**
+ * Statuses of a private tx that mean it will not be included by the relay
+ */
+export const RELAY_FAILED_STATUSES = ["FAILED", "CANCELLED"] as const;
+
+/**
+ * Max number of errors that are recorded while waiting for a relayed tx
+ */
+export const MAX_RELAY_ERRORS = 10 as const;
+
+/**
+ * A tx that is submitted to the private relays
+ */
+export type RelayedTx = {
+    /** The signed tx */
+    signedTx: `0x${string}`;
+    /** Hash of the tx */
+    hash: `0x${string}`;
+    /** Nonce of the tx */
+    nonce: number;
+    /** Last block that the tx is targeted for, it is sent to public mempool after that */
+    maxBlockNumber: bigint;
+    /** The submitted bundles of the tx if it was submitted as bundles */
+    bundles: RelayedBundle[];
+};
+
+/**
+ * A bundle that is submitted to a relay for a single target block
+ */
+export type RelayedBundle = {
+    /** The relay url */
+    url: string;
+    /** The bundle's target block */
+    blockNumber: bigint;
+    /** The bundle's hash that is returned by the relay */
+    bundleHash: string;
+};
+
+/**
+ * Sends a flashbots style json rpc request to a private relay, the request body is signed
+ * with the relay auth key in the X-Flashbots-Signature header
+ * @param url - The relay url
+ * @param method - The json rpc method
+ * @param params - The json rpc params
+ * @param authKey - Private key that the request body is signed with
+ * @param timeout - (optional) Request timeout in miliseconds
+ */
+export async function relayRequest(
+    url: string,
+    method: string,
+    params: any[],
+    authKey: string,
+    timeout?: number,
+): Promise<any> {
+    const body = JSON.stringify({ jsonrpc: "2.0", id: 1, method, params });
+    const wallet = new ethers.Wallet(authKey);
+    const signature = await wallet.signMessage(ethers.utils.id(body));
+    const res = await axios.post(url, body, {
+        headers: {
+            "Content-Type": "application/json",
+            "X-Flashbots-Signature": `${wallet.address}:${signature}`,
+        },
+        timeout,
+    });
+    if (res?.data?.error) throw res.data.error.message ?? JSON.stringify(res.data.error);
+    return res?.data?.result;
+}
+
+/**
+ * Signs the given tx and submits it to all of the configured relays, targeting the next
+ * blocks up until the configured number of relay blocks, rejects if all of the relays fail
+ * @param signer - The signer that signs the tx
+ * @param tx - The tx with its nonce
+ * @param config - The bot config
+ * @param spanAttributes - The span attributes that the submission is recorded in
+ */
+export async function sendRelayedTx(
+    signer: ViemClient,
+    tx: any,
+    config: BotConfig,
+    spanAttributes: any,
+): Promise<RelayedTx> {
+    const request = await signer.prepareTransactionRequest({ ...tx, account: signer.account });
+    const signedTx = await signer.signTransaction(request as any);
+    const blockNumber = await signer.getBlockNumber();
+    const maxBlockNumber = blockNumber + BigInt(config.relayBlocks ?? 1);
+
+    const bundles: RelayedBundle[] = [];
+    const results = await Promise.allSettled(
+        config.relay!.map(async (url) => {
+            if (config.relayMethod === "bundle") {
+                // a bundle targets a single block, so one is sent for each block of the range
+                const requests = [];
+                for (let block = blockNumber + 1n; block <= maxBlockNumber; block++) {
+                    requests.push(
+                        relayRequest(
+                            url,
+                            "eth_sendBundle",
+                            [{ txs: [signedTx], blockNumber: ethers.utils.hexValue(block) }],
+                            config.relayAuthKey!,
+                            config.timeout,
+                        ).then((result) => {
+                            if (result?.bundleHash) {
+                                bundles.push({
+                                    url,
+                                    blockNumber: block,
+                                    bundleHash: result.bundleHash,
+                                });
+                            }
+                            return result;
+                        }),
+                    );
+                }
+                return await Promise.all(requests);
+            } else {
+                return await relayRequest(
+                    url,
+                    "eth_sendPrivateTransaction",
+                    [{ tx: signedTx, maxBlockNumber: ethers.utils.hexValue(maxBlockNumber) }],
+                    config.relayAuthKey!,
+                    config.timeout,
+                );
+            }
+        }),
+    );
+    const errors = results
+        .map((v, i) => (v.status === "rejected" ? `${i}: ${String(v.reason)}` : undefined))
+        .filter((v) => v !== undefined);
+    spanAttributes["details.relay.method"] = config.relayMethod ?? "private";
+    spanAttributes["details.relay.maxBlockNumber"] = maxBlockNumber.toString();
+    if (errors.length) spanAttributes["details.relay.errors"] = errors;
+    if (errors.length === results.length) throw `failed to submit tx to relays: ${errors[0]}`;
+
+    return { signedTx, hash: keccak256(signedTx), nonce: tx.nonce, maxBlockNumber, bundles };
+}
+
+/**
+ * Polls the relays for the status of a relayed tx, that is the stats of its bundles that
+ * target the given block or earlier, or its private tx status, the statuses are recorded
+ * in the span attributes along with the errors of the requests
+ * @param relayedTx - The relayed tx
+ * @param blockNumber - The current block number
+ * @param config - The bot config
+ * @param spanAttributes - The span attributes that the statuses are recorded in
+ * @returns true if all of the relays report the tx as failed, so it wont be included by them
+ */
+export async function pollRelayedTxStatus(
+    relayedTx: RelayedTx,
+    blockNumber: bigint,
+    config: BotConfig,
+    spanAttributes: any,
+): Promise<boolean> {
+    const statuses: Record<string, any> = {};
+    const errors: string[] = [];
+    if (config.relayMethod === "bundle") {
+        const bundles = relayedTx.bundles.filter((v) => v.blockNumber <= blockNumber);
+        await Promise.all(
+            bundles.map(async ({ url, blockNumber, bundleHash }) => {
+                try {
+                    statuses[`${redactUrl(url)}/${blockNumber}`] = await relayRequest(
+                        url,
+                        "flashbots_getBundleStatsV2",
+                        [{ bundleHash, blockNumber: ethers.utils.hexValue(blockNumber) }],
+                        config.relayAuthKey!,
+                        config.timeout,
+                    );
+                } catch (e) {
+                    errors.push(`${redactUrl(url)}/${blockNumber}: ${errorSnapshot("", e)}`);
+                }
+            }),
+        );
+    } else {
+        await Promise.all(
+            config.relay!.map(async (url) => {
+                try {
+                    statuses[redactUrl(url)] = await relayRequest(
+                        url,
+                        "eth_getPrivateTransactionStatus",
+                        [relayedTx.hash],
+                        config.relayAuthKey!,
+                        config.timeout,
+                    );
+                } catch (e) {
+                    errors.push(`${redactUrl(url)}: ${errorSnapshot("", e)}`);
+                }
+            }),
+        );
+    }
+    if (Object.keys(statuses).length) {
+        spanAttributes["details.relay.status"] = JSON.stringify(statuses);
+    }
+    if (errors.length) spanAttributes["details.relay.statusErrors"] = errors;
+
+    // bundles' stats only tell about their simulation and delivery to builders
+    if (config.relayMethod === "bundle") return false;
+    return (
+        errors.length === 0 &&
+        Object.values(statuses).every((v) =>
+            (RELAY_FAILED_STATUSES as readonly string[]).includes(v?.status),
+        )
+    );
+}
+
+/**
+ * Polls the chain for a relayed tx's receipt until its last targeted block, and on each new
+ * block polls the relays for its status, if it is not included by then, or the relays report
+ * it as failed, or the wait timeout is passed, it is sent to the public mempool and undefined
+ * is returned so its receipt is waited for as any other tx, the errors that occur while polling
+ * are recorded in the span attributes
+ * @param relayedTx - The relayed tx
+ * @param viemClient - The viem client
+ * @param config - The bot config
+ * @param spanAttributes - The span attributes that the polling and the fallback are recorded in
+ * @param pollInterval - (optional) Miliseconds between the polls, defaults to 1 second
+ * @param timeout - (optional) Max miliseconds to wait for the tx before the fallback
+ */
+export async function waitForRelayedTx(
+    relayedTx: RelayedTx,
+    viemClient: ViemClient,
+    config: BotConfig,
+    spanAttributes: any,
+    pollInterval = 1_000,
+    timeout: number = RELAY_WAIT_TIMEOUT,
+): Promise<TransactionReceipt | undefined> {
+    const deadline = Date.now() + timeout;
+    const errors: string[] = [];
+    const recordError = (e: unknown) => {
+        if (errors.length < MAX_RELAY_ERRORS) errors.push(errorSnapshot("", e));
+        spanAttributes["details.relay.pollErrors"] = errors;
+    };
+    let lastBlock: bigint | undefined;
+    let reason = "timeout";
+    while (Date.now() < deadline) {
+        try {
+            return await viemClient.getTransactionReceipt({ hash: relayedTx.hash });
+        } catch (e) {
+            if (!(e instanceof TransactionReceiptNotFoundError)) recordError(e);
+        }
+        try {
+            const blockNumber = await viemClient.getBlockNumber();
+            if (blockNumber > relayedTx.maxBlockNumber) {
+                reason = "missed target blocks";
+                break;
+            }
+            if (blockNumber !== lastBlock) {
+                lastBlock = blockNumber;
+                if (await pollRelayedTxStatus(relayedTx, blockNumber, config, spanAttributes)) {
+                    reason = "failed on relays";
+                    break;
+                }
+            }
+        } catch (e) {
+            recordError(e);
+        }
+        await sleep(pollInterval);
+    }
+
+    // fallback to public mempool, if this fails such as when
+    // the tx got included meanwhile, its receipt is still waited for
+    spanAttributes["details.relay.fallback"] = reason;
+    try {
+        await viemClient.sendRawTransaction({ serializedTransaction: relayedTx.signedTx });
+    } catch (e) {
+        spanAttributes["details.relay.fallbackError"] = errorSnapshot("", e);
+    }
+    return undefined;
+}
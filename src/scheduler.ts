@@ -0,0 +1,147 @@
+import { ethers } from "ethers";
+import { getOrderPairKey } from "./poolWatcher";
+import { BundledOrders, ProcessPairResult } from "./types";
+import { ProcessPairHaltReason, ProcessPairReportStatus } from "./processOrders";
+
+/**
+ * Score of the orders that were never attempted or have become stale, above any other score
+ */
+export const STALE_ORDER_SCORE = 1_000_000 as const;
+
+/**
+ * Recent history of an order's attempts
+ */
+export type OrderHistory = {
+    /** Unix timestamp in miliseconds of the last attempt */
+    lastAttempt: number;
+    /** Max output of the order's quote at the last attempt */
+    lastQuote: number;
+    /** Unix timestamp in miliseconds of the last attempt that found an opportunity */
+    lastFoundOpp?: number;
+    /** Unix timestamp in miliseconds of the last attempt that its transaction reverted */
+    lastRevert?: number;
+};
+
+/**
+ * Ranks the orders of a round by their expected value from their recent history
+ */
+export type Scheduler = {
+    /** Max miliseconds an order can go without being attempted */
+    staleness: number;
+    /** History of the attempted orders, by their order pair key */
+    history: Map<string, OrderHistory>;
+    /** Latest known token to eth price of the tokens, by their lowercased address */
+    ethPrices: Map<string, number>;
+};
+
+/**
+ * Creates a new scheduler
+ * @param staleness - Max miliseconds an order can go without being attempted
+ */
+export function createScheduler(staleness: number): Scheduler {
+    return { staleness, history: new Map(), ethPrices: new Map() };
+}
+
+/**
+ * Scores a quoted single order pair object by its recent history, the orders that were never
+ * attempted or have become stale get the highest scores, the rest are scored by their quote value
+ * in eth with the sell token's last known eth price (0 if unknown), if their last attempt found an
+ * opportunity or reverted and the time since their last attempt, returns undefined if the order
+ * has no expected value, that is if its last attempt found no opportunity and its quote has not
+ * grown since then, so it can wait until it becomes stale
+ * @param scheduler - The scheduler
+ * @param orderPairObject - The single order pair object
+ * @param now - (optional) Current unix timestamp in miliseconds
+ */
+export function getOrderScore(
+    scheduler: Scheduler,
+    orderPairObject: BundledOrders,
+    now = Date.now(),
+): number | undefined {
+    const history = scheduler.history.get(getOrderPairKey(orderPairObject));
+    if (!history) return STALE_ORDER_SCORE * 2;
+
+    const age = (now - history.lastAttempt) / scheduler.staleness;
+    if (age >= 1) return STALE_ORDER_SCORE + age;
+
+    // the orders that failed to quote are scored by their last quote and are never deferred
+    const quoted = !!orderPairObject.takeOrders[0].quote;
+    const quote = quoted ? getQuoteSize(orderPairObject) : history.lastQuote;
+    const foundOpp = history.lastFoundOpp === history.lastAttempt;
+    const reverted = history.lastRevert === history.lastAttempt;
+    if (!foundOpp && quoted && quote <= history.lastQuote) return;
+
+    // pairs of different tokens are only comparable by their value in eth, in wei
+    const ethPrice = scheduler.ethPrices.get(orderPairObject.sellToken.toLowerCase()) ?? 0;
+    let score = Math.log10(1 + quote * ethPrice * 1e18) + age;
+    if (foundOpp) score += 2;
+    if (reverted) score -= 1;
+    return score;
+}
+
+/**
+ * Ranks the given items by their orders' score, highest first, and leaves out
+ * the ones that have no expected value
+ * @param scheduler - The scheduler
+ * @param items - The items to schedule, each with its single order pair object
+ * @param now - (optional) Current unix timestamp in miliseconds
+ */
+export function scheduleOrders<T extends { orderPairObject: BundledOrders }>(
+    scheduler: Scheduler,
+    items: T[],
+    now = Date.now(),
+): T[] {
+    // forget the orders that have not been attempted for long, they are as good as new
+    for (const [key, { lastAttempt }] of scheduler.history) {
+        if (now - lastAttempt >= scheduler.staleness * 10) scheduler.history.delete(key);
+    }
+    return items
+        .map((item) => ({ item, score: getOrderScore(scheduler, item.orderPairObject, now) }))
+        .filter((v) => v.score !== undefined)
+        .sort((a, b) => (a.score! > b.score! ? -1 : a.score! < b.score! ? 1 : 0))
+        .map((v) => v.item);
+}
+
+/**
+ * Records an attempt of a single order pair object in its history and the
+ * token to eth prices of its tokens if the attempt got them
+ * @param scheduler - The scheduler
+ * @param orderPairObject - The single order pair object
+ * @param result - The settled process pair result, either resolved or rejected
+ * @param now - (optional) Current unix timestamp in miliseconds
+ */
+export function recordOrderAttempt(
+    scheduler: Scheduler,
+    orderPairObject: BundledOrders,
+    result: ProcessPairResult,
+    now = Date.now(),
+) {
+    const key = getOrderPairKey(orderPairObject);
+    const history: OrderHistory = {
+        ...scheduler.history.get(key),
+        lastAttempt: now,
+        lastQuote: getQuoteSize(orderPairObject),
+    };
+    if (result.reason === ProcessPairHaltReason.TxReverted) {
+        history.lastRevert = now;
+    } else if (result.report?.status === ProcessPairReportStatus.FoundOpportunity) {
+        history.lastFoundOpp = now;
+    }
+    scheduler.history.set(key, history);
+
+    const prices: [string, any][] = [
+        [orderPairObject.buyToken, result.spanAttributes?.["details.inputToEthPrice"]],
+        [orderPairObject.sellToken, result.spanAttributes?.["details.outputToEthPrice"]],
+    ];
+    for (const [token, price] of prices) {
+        if (Number(price) > 0) scheduler.ethPrices.set(token.toLowerCase(), Number(price));
+    }
+}
+
+/**
+ * Gets the max output of a single order pair object's quote as a number, in sell token units
+ */
+function getQuoteSize(orderPairObject: BundledOrders): number {
+    const quote = orderPairObject.takeOrders[0].quote;
+    return quote ? Number(ethers.utils.formatUnits(quote.maxOutput)) : 0;
+}
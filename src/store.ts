@@ -0,0 +1,143 @@
+import fs from "fs";
+import { getAccountIndex } from "./account";
+import { OrderbooksOwnersProfileMap, TokenDetails, ViemClient } from "./types";
+
+/**
+ * A wallet derived from the mnemonic phrase by its derivation index along with its tokens to sweep
+ */
+export type PersistedWallet = {
+    index: number;
+    bounty: TokenDetails[];
+};
+
+/**
+ * State of a running chain that is checkpointed after each round and restored on startup
+ */
+export type PersistedState = {
+    /** Start timestamp of reading the subgraphs' order changes */
+    lastReadOrdersTimestamp: number;
+    /** Number of order changes already read from each subgraph since the start timestamp */
+    lastReadOrders: { sg: string; skip: number }[];
+    /** Average gas cost of arb txs in wei */
+    avgGasCost?: string;
+    /** Timestamp of next avg gas cost reset */
+    lastGasReset: number;
+    /** The last derivation index used for wallets */
+    lastUsedAccountIndex: number;
+    /** The circulating wallets */
+    accounts: PersistedWallet[];
+    /** The wallets that are kept to be swept later */
+    wgc: PersistedWallet[];
+    /** Number of sweep retries of the garbage wallets */
+    wgcBuffer: { address: string; count: number }[];
+    /** Round-robin position of each owner's orders per orderbook */
+    ownersLastIndex: Record<string, Record<string, number>>;
+};
+
+/**
+ * Key of a chain's state when it is not one of the config file chains
+ */
+export const DEFAULT_STATE_KEY = "default";
+
+/**
+ * A store that persists the state of the running chains, each chain by its key
+ */
+export type StateStore = {
+    load: (key: string) => Promise<PersistedState | undefined>;
+    save: (key: string, state: PersistedState) => Promise<void>;
+};
+
+/**
+ * Available state store types by their name, a store type can be added by
+ * registering its factory that takes the store location
+ */
+export const StateStores: Record<string, (location: string) => StateStore> = {
+    file: createFileStateStore,
+};
+
+/**
+ * Gets the state store of the given location, the location is either "<type>://<location>" of
+ * one of the registered store types or a json file path
+ * @param location - The store location
+ */
+export function getStateStore(location: string): StateStore {
+    const match = /^([a-z][a-z0-9+-]*):\/\/(.+)$/i.exec(location);
+    if (!match) return createFileStateStore(location);
+    const factory = StateStores[match[1].toLowerCase()];
+    if (!factory) throw `unknown state store type "${match[1]}"`;
+    return factory(match[2]);
+}
+
+/**
+ * Creates a state store that keeps the states of all chains in a single json file, the file
+ * is written as a whole to a temp file first and then renamed so it is never left half written
+ * @param path - Path to the json file
+ */
+export function createFileStateStore(path: string): StateStore {
+    const read = (): Record<string, PersistedState> => {
+        let content: string;
+        try {
+            content = fs.readFileSync(path, { encoding: "utf8" });
+        } catch (error: any) {
+            if (error?.code === "ENOENT") return {};
+            throw `failed to read state file "${path}": ${error?.message ?? error}`;
+        }
+        try {
+            return JSON.parse(content);
+        } catch (error: any) {
+            throw `failed to parse state file "${path}": ${error?.message ?? error}`;
+        }
+    };
+    return {
+        load: async (key) => read()[key],
+        save: async (key, state) => {
+            // read and write synchronously so chains sharing the file dont overwrite each other
+            const content = { ...read(), [key]: state };
+            fs.writeFileSync(path + ".tmp", JSON.stringify(content, null, 2));
+            fs.renameSync(path + ".tmp", path);
+        },
+    };
+}
+
+/**
+ * Gets the persisted form of a wallet that is derived from the mnemonic phrase
+ */
+export function getPersistedWallet(wallet: ViemClient): PersistedWallet {
+    return { index: getAccountIndex(wallet), bounty: wallet.BOUNTY };
+}
+
+/**
+ * Gets the round-robin position of each owner's orders per orderbook
+ * @param orderbooksOwnersProfileMap - The orderbooks owners profile map
+ */
+export function getOwnersLastIndex(
+    orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
+): Record<string, Record<string, number>> {
+    const result: Record<string, Record<string, number>> = {};
+    for (const [orderbook, ownersProfileMap] of orderbooksOwnersProfileMap) {
+        result[orderbook] = {};
+        for (const [owner, ownerProfile] of ownersProfileMap) {
+            result[orderbook][owner] = ownerProfile.lastIndex;
+        }
+    }
+    return result;
+}
+
+/**
+ * Restores the round-robin position of the owners' orders that are still watched
+ * @param orderbooksOwnersProfileMap - The orderbooks owners profile map
+ * @param ownersLastIndex - The persisted owners' positions
+ */
+export function restoreOwnersLastIndex(
+    orderbooksOwnersProfileMap: OrderbooksOwnersProfileMap,
+    ownersLastIndex: Record<string, Record<string, number>>,
+) {
+    for (const orderbook in ownersLastIndex) {
+        const ownersProfileMap = orderbooksOwnersProfileMap.get(orderbook);
+        if (!ownersProfileMap) continue;
+        for (const owner in ownersLastIndex[orderbook]) {
+            const ownerProfile = ownersProfileMap.get(owner);
+            if (ownerProfile) ownerProfile.lastIndex = ownersLastIndex[orderbook][owner];
+        }
+    }
+}
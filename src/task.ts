@@ -1,8 +1,8 @@
 import fs from "fs";
-import { deployerAbi } from "./abis";
 import { BigNumber, utils } from "ethers";
-import { Dispair, ViemClient } from "./types";
+import { arbAbis, deployerAbi } from "./abis";
 import { parseAbi, PublicClient, stringToHex } from "viem";
+import { BotConfig, Dispair, RawTx, ViemClient } from "./types";
 import { MetaStore, RainDocument } from "@rainlanguage/dotrain";
 
 export const metaStore = new MetaStore(false);
@@ -96,3 +96,55 @@ export async function parseRainlang(
         args: [stringToHex(rainlang)],
     });
 }
+
+/**
+ * Rebuilds the bounty ensure task of the given arb3() tx with a new minimum expected bounty,
+ * returns false if the tx is not an arb3() tx or has no task, such as with 0 gas coverage
+ * @param rawtx - The arb3() tx
+ * @param inputToEthPrice - Input token to Eth price
+ * @param outputToEthPrice - Output token to Eth price
+ * @param minimumExpected - The new minimum expected bounty
+ * @param sender - The msg sender
+ * @param config - The bot config
+ */
+export async function rebuildBountyEnsureTask(
+    rawtx: RawTx,
+    inputToEthPrice: string,
+    outputToEthPrice: string,
+    minimumExpected: BigNumber,
+    sender: string,
+    config: BotConfig,
+): Promise<boolean> {
+    const arbInterface = new utils.Interface(arbAbis);
+    let args: utils.Result;
+    try {
+        args = arbInterface.decodeFunctionData("arb3", rawtx.data);
+    } catch {
+        return false;
+    }
+    if (args.task.evaluable.bytecode === "0x") return false;
+
+    const bytecode = await parseRainlang(
+        await getBountyEnsureRainlang(
+            utils.parseUnits(inputToEthPrice),
+            utils.parseUnits(outputToEthPrice),
+            minimumExpected,
+            sender,
+        ),
+        config.viemClient,
+        config.dispair,
+    );
+    rawtx.data = arbInterface.encodeFunctionData("arb3", [
+        args.orderBook,
+        args.takeOrders,
+        {
+            evaluable: {
+                interpreter: args.task.evaluable.interpreter,
+                store: args.task.evaluable.store,
+                bytecode,
+            },
+            signedContext: args.task.signedContext,
+        },
+    ]) as `0x${string}`;
+    return true;
+}
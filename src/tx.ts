@@ -1,11 +1,24 @@
+import { ChainId } from "sushi";
 import { Token } from "sushi/currency";
 import { Contract, ethers } from "ethers";
-import { getL1Fee, getTxFee } from "./gas";
+import { createViemClient } from "./config";
 import { addWatchedToken } from "./account";
+import { privateKeyToAccount } from "viem/accounts";
+import { getL1Fee, getTxFee, getTypedTx } from "./gas";
 import { containsNodeError, handleRevert } from "./error";
+import { RelayedTx, sendRelayedTx, waitForRelayedTx } from "./relay";
 import { ProcessPairHaltReason, ProcessPairReportStatus } from "./processOrders";
 import { BotConfig, BundledOrders, ProcessPairResult, RawTx, ViemClient } from "./types";
-import { Account, BaseError, Chain, SendTransactionParameters, TransactionReceipt } from "viem";
+import { claimNonce, settleNonce, releaseNonce, setNoncePending, getInflightCount } from "./nonce";
+import {
+    Chain,
+    Account,
+    BaseError,
+    NonceTooLowError,
+    TransactionReceipt,
+    SendTransactionParameters,
+    WaitForTransactionReceiptTimeoutError,
+} from "viem";
 import {
     sleep,
     toNumber,
@@ -14,8 +27,25 @@ import {
     getTotalIncome,
     withBigintSerializer,
     getActualClearAmount,
+    BLOCK_POLLING_INTERVAL,
 } from "./utils";
 
+/**
+ * Max number of times that a stuck tx is replaced
+ */
+export const MAX_TX_REPLACEMENTS = 3 as const;
+
+/**
+ * Percentage that the fees of a stuck tx are bumped to on each replacement,
+ * nodes require at least 10% higher fees to accept a replacement
+ */
+export const TX_REPLACEMENT_FEE_BUMP = 120n as const;
+
+/**
+ * Max miliseconds that a sent tx's nonce is counted as pending before it is settled
+ */
+export const PENDING_NONCE_TIMEOUT = 300_000 as const;
+
 /**
  * Handles the given transaction, starts by sending the transaction and
  * then tries to get the receipt and process that in async manner, returns
@@ -37,21 +67,37 @@ export async function handleTransaction(
     config: BotConfig,
     writeSigner?: ViemClient,
 ): Promise<() => Promise<ProcessPairResult>> {
+    // in dry run mode only record the would-be tx in report instead of submitting it
+    if (config.dryRun) {
+        rawtx.gas = getTxGas(config, rawtx.gas!);
+        const from = (writeSigner ?? signer).account.address;
+        spanAttributes["details.dryRun"] = true;
+        spanAttributes["details.rawTx"] = JSON.stringify({ ...rawtx, from }, withBigintSerializer);
+        result.report = {
+            ...result.report,
+            dryRun: true,
+            rawtx: { ...rawtx, from },
+        };
+        return async () => result;
+    }
+
     // submit the tx
+    const sender = writeSigner ?? signer;
     let txhash: `0x${string}`, txUrl: string;
+    let relayedTx: RelayedTx | undefined;
+    let nonce: number;
     let time = 0;
     const sendTx = async () => {
         rawtx.gas = getTxGas(config, rawtx.gas!);
-        txhash =
-            writeSigner !== undefined
-                ? await writeSigner.sendTx({
-                      ...rawtx,
-                      type: "legacy",
-                  })
-                : await signer.sendTx({
-                      ...rawtx,
-                      type: "legacy",
-                  });
+        const tx = getTypedTx(rawtx);
+        if (config.relay?.length) {
+            relayedTx = await sendPrivateTransaction(sender, tx, config, spanAttributes);
+            ({ hash: txhash, nonce } = relayedTx);
+        } else {
+            ({ hash: txhash, nonce } = await sendWithNonce(sender, (nonce) =>
+                sender.sendTx({ ...tx, nonce }),
+            ));
+        }
         txUrl = config.chain.blockExplorers?.default.url + "/tx/" + txhash;
         time = Date.now();
         // eslint-disable-next-line no-console
@@ -85,6 +131,25 @@ export async function handleTransaction(
 
     // start getting tx receipt in background and return the settler fn
     const receiptPromise = (async () => {
+        if (relayedTx) {
+            const receipt = await waitForRelayedTx(relayedTx, viemClient, config, spanAttributes);
+            if (receipt) return receipt;
+        }
+        if (config.txReplaceTimeout) {
+            const receipt = await waitForReceiptOrReplace(
+                txhash!,
+                nonce!,
+                rawtx,
+                sender,
+                viemClient,
+                spanAttributes,
+                config,
+            );
+            // the mined tx can be any of the replacements
+            txhash = receipt.transactionHash;
+            txUrl = config.chain.blockExplorers?.default.url + "/tx/" + txhash;
+            return receipt;
+        }
         try {
             return await viemClient.waitForTransactionReceipt({
                 hash: txhash!,
@@ -145,6 +210,158 @@ export async function handleTransaction(
     };
 }
 
+/**
+ * Waits for the receipt of a sent tx, if it is not mined within the configured timeout it is
+ * re-simulated and replaced with the same nonce and bumped fees, either by the same tx if its
+ * opportunity is still there, or by a 0 value self transfer that cancels it if it is gone,
+ * each replacement is recorded in the span attributes, rejects if a cancel tx gets mined,
+ * the nonce is the one that the tx was sent with, as the tx may not yet be known to the rpc,
+ * any of the txs sent with the nonce can get mined, so all of them are checked before each
+ * replacement, and a nonce too low error on a replacement means one of them is mined
+ */
+export async function waitForReceiptOrReplace(
+    txhash: `0x${string}`,
+    nonce: number,
+    rawtx: RawTx,
+    signer: ViemClient,
+    viemClient: ViemClient,
+    spanAttributes: any,
+    config: BotConfig,
+): Promise<TransactionReceipt> {
+    const replacements: Record<string, any>[] = [];
+    // every tx sent with the nonce, any one of them can be the one that gets mined
+    const hashes: `0x${string}`[] = [txhash];
+    const cancelHashes: string[] = [];
+    const checkReceipt = (receipt: TransactionReceipt) => {
+        if (cancelHashes.includes(receipt.transactionHash.toLowerCase())) {
+            throw "tx was cancelled as its opportunity was gone";
+        }
+        return receipt;
+    };
+    let tx: any = getTypedTx(rawtx);
+    let cancelled = false;
+    for (let i = 0; ; i++) {
+        try {
+            const receipt = await viemClient.waitForTransactionReceipt({
+                hash: txhash,
+                confirmations: 1,
+                timeout: i < MAX_TX_REPLACEMENTS ? config.txReplaceTimeout! * 1000 : 120_000,
+            });
+            return checkReceipt(receipt);
+        } catch (e) {
+            if (!(e instanceof WaitForTransactionReceiptTimeoutError)) throw e;
+        }
+
+        // an earlier tx of the nonce may have been mined instead of the last one
+        const minedReceipt = await getMinedReceipt(hashes, viemClient);
+        if (minedReceipt) return checkReceipt(minedReceipt);
+        if (i >= MAX_TX_REPLACEMENTS) {
+            throw new WaitForTransactionReceiptTimeoutError({ hash: txhash });
+        }
+
+        // the opportunity is gone if the tx reverts on simulation
+        if (!cancelled) {
+            try {
+                await signer.estimateGas(getTypedTx(rawtx));
+            } catch (e) {
+                cancelled = containsNodeError(e as BaseError);
+            }
+        }
+        const fees = bumpTxFees(tx);
+        if (cancelled) {
+            const cancelTx: any = {
+                to: signer.account.address,
+                data: "0x",
+                value: 0n,
+                type: tx.type,
+                ...fees,
+            };
+            // estimated as some chains, such as L2s with L1 data fees, need more than 21k gas
+            tx = { ...cancelTx, gas: await signer.estimateGas(cancelTx) };
+        } else {
+            tx = { ...tx, ...fees };
+        }
+        try {
+            txhash = await signer.sendTx({ ...tx, nonce });
+        } catch (e) {
+            // nonce is used, so one of the sent txs got mined meanwhile
+            if (!isNonceTooLow(e)) throw e;
+            return checkReceipt(await waitForMinedReceipt(hashes, viemClient));
+        }
+        hashes.push(txhash);
+        if (cancelled) cancelHashes.push(txhash.toLowerCase());
+        replacements.push({
+            type: cancelled ? "cancel" : "speedup",
+            txUrl: config.chain.blockExplorers?.default.url + "/tx/" + txhash,
+            ...fees,
+        });
+        spanAttributes["details.txReplacements"] = JSON.stringify(
+            replacements,
+            withBigintSerializer,
+        );
+    }
+}
+
+/**
+ * Gets the receipt of the first of the given txs that is mined, if any
+ */
+async function getMinedReceipt(
+    hashes: `0x${string}`[],
+    viemClient: ViemClient,
+): Promise<TransactionReceipt | undefined> {
+    for (const hash of hashes) {
+        try {
+            return await viemClient.getTransactionReceipt({ hash });
+        } catch {
+            /**/
+        }
+    }
+}
+
+/**
+ * Polls for the receipt of the one of the given txs that is known to be mined, as
+ * the read rpc can be behind the one that rejected their nonce
+ */
+async function waitForMinedReceipt(
+    hashes: `0x${string}`[],
+    viemClient: ViemClient,
+    timeout = 120_000,
+): Promise<TransactionReceipt> {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const receipt = await getMinedReceipt(hashes, viemClient);
+        if (receipt) return receipt;
+        if (Date.now() >= deadline) {
+            throw new WaitForTransactionReceiptTimeoutError({ hash: hashes[hashes.length - 1] });
+        }
+        await sleep(BLOCK_POLLING_INTERVAL);
+    }
+}
+
+/**
+ * Checks if the given error is a nonce too low error, that is the nonce is already used
+ */
+function isNonceTooLow(error: any): boolean {
+    if (error instanceof BaseError && error.walk((e) => e instanceof NonceTooLowError)) {
+        return true;
+    }
+    return /nonce too low/i.test(error?.message ?? String(error));
+}
+
+/**
+ * Bumps the fees of the given typed tx by the replacement fee bump
+ */
+function bumpTxFees(tx: any): Record<string, bigint> {
+    const bump = (v: bigint) => (v * TX_REPLACEMENT_FEE_BUMP) / 100n;
+    if (tx.type === "eip1559") {
+        return {
+            maxFeePerGas: bump(tx.maxFeePerGas),
+            maxPriorityFeePerGas: bump(tx.maxPriorityFeePerGas),
+        };
+    }
+    return { gasPrice: bump(tx.gasPrice) };
+}
+
 /**
  * Handles the tx receipt
  */
@@ -301,43 +518,96 @@ export async function handleReceipt(
 }
 
 /**
- * A wrapper for sending transactions that handles nonce and keeps
- * signer busy while the transaction is being sent
+ * A wrapper for sending transactions that claims the tx's nonce from the signer's nonce
+ * manager, so multiple txs of a signer can be in flight, the txs that already have a
+ * nonce, such as replacements, are sent with their own nonce
  */
 export async function sendTransaction<chain extends Chain, account extends Account>(
     signer: ViemClient,
     tx: SendTransactionParameters<chain, account>,
 ): Promise<`0x${string}`> {
-    // make sure signer is free
-    await pollSigners([signer]);
+    if (typeof tx.nonce === "number") return await signer.sendTransaction(tx as any);
 
-    // start sending tranaction process
-    signer.BUSY = true;
+    const { hash } = await sendWithNonce(signer, (nonce) =>
+        signer.sendTransaction({ ...(tx as any), nonce }),
+    );
+    return hash;
+}
+
+/**
+ * Claims a nonce from the signer's nonce manager and sends a tx with it by the given fn,
+ * resolves with the sent tx's hash along with its nonce that is kept as pending until the
+ * tx is mined, the nonce is released if the tx fails to be sent
+ * @param signer - The signer whose nonce is claimed
+ * @param send - Sends the tx with the given nonce and resolves with its hash
+ */
+export async function sendWithNonce(
+    signer: ViemClient,
+    send: (nonce: number) => Promise<`0x${string}`>,
+): Promise<{ hash: `0x${string}`; nonce: number }> {
+    const nonce = await claimNonce(signer.NONCE, () => getNonce(signer));
     try {
-        const nonce = await getNonce(signer);
-        const result = await signer.sendTransaction({ ...(tx as any), nonce });
-        signer.BUSY = false;
-        return result;
+        const hash = await send(nonce);
+        releaseNonce(signer.NONCE, nonce);
+        trackPendingNonce(signer, nonce, hash);
+        return { hash, nonce };
     } catch (error) {
-        signer.BUSY = false;
+        releaseNonce(signer.NONCE, nonce, error);
         throw error;
     }
 }
 
 /**
- * A wrapper fn to get an signer's nonce at latest mined block
+ * Sends a tx privately through the configured relays, its nonce is claimed from the
+ * signer's nonce manager, same as the txs that are sent to the public mempool
+ */
+export async function sendPrivateTransaction(
+    signer: ViemClient,
+    tx: any,
+    config: BotConfig,
+    spanAttributes: any,
+): Promise<RelayedTx> {
+    let relayedTx: RelayedTx;
+    await sendWithNonce(signer, async (nonce) => {
+        relayedTx = await sendRelayedTx(signer, { ...tx, nonce }, config, spanAttributes);
+        return relayedTx.hash;
+    });
+    return relayedTx!;
+}
+
+/**
+ * Keeps a sent tx's nonce as pending in the background until the tx is mined, viem
+ * resolves the receipt of its replacement if it gets replaced, it is settled anyway
+ * after the pending nonce timeout so a dropped tx is not counted forever
+ */
+async function trackPendingNonce(signer: ViemClient, nonce: number, hash: `0x${string}`) {
+    setNoncePending(signer.NONCE, nonce, hash);
+    try {
+        await signer.waitForTransactionReceipt({
+            hash,
+            confirmations: 1,
+            timeout: PENDING_NONCE_TIMEOUT,
+        });
+    } catch {
+        /**/
+    }
+    settleNonce(signer.NONCE, hash);
+}
+
+/**
+ * A wrapper fn to get an signer's nonce including its pending txs
  */
 export async function getNonce(client: ViemClient): Promise<number> {
     if (!client?.account?.address) throw "undefined account";
     return await client.getTransactionCount({
         address: client.account.address,
-        blockTag: "latest",
+        blockTag: "pending",
     });
 }
 
 /**
- * Returns the first available signer by polling the
- * signers until first one becomes available
+ * Returns the signer with the least txs being sent or not yet mined, as the signers' nonces
+ * are managed locally, a signer can have multiple txs in flight and is never waited for
  */
 export async function getSigner(
     accounts: ViemClient[],
@@ -348,22 +618,36 @@ export async function getSigner(
         shuffleArray(accounts);
     }
     const accs = accounts.length ? accounts : [mainAccount];
-    return await pollSigners(accs);
+    return accs.reduce((a, b) => (getInflightCount(b.NONCE) < getInflightCount(a.NONCE) ? b : a));
 }
 
 /**
- * Polls an array of given signers in 30ms intervals
- * until the first one becomes free for consumption
+ * Creates a signer client for the given signer's account that submits the transactions
+ * through the configured write rpcs, returns undefined if no write rpc is configured,
+ * it shares the signer's nonce manager as both send txs of the same account
  */
-export async function pollSigners(accounts: ViemClient[]): Promise<ViemClient> {
-    for (;;) {
-        const acc = accounts.find((v) => !v.BUSY);
-        if (acc) {
-            return acc;
-        } else {
-            await sleep(30);
-        }
-    }
+export async function getWriteSigner(
+    config: BotConfig,
+    signer: ViemClient,
+): Promise<ViemClient | undefined> {
+    if (!config.writeRpc) return undefined;
+    const writeSigner = await createViemClient(
+        config.chain.id as ChainId,
+        config.writeRpc,
+        false,
+        privateKeyToAccount(
+            signer.account.getHdKey
+                ? (ethers.utils.hexlify(signer.account.getHdKey().privateKey!) as `0x${string}`)
+                : ((config.walletKey.startsWith("0x")
+                      ? config.walletKey
+                      : "0x" + config.walletKey) as `0x${string}`),
+        ),
+        config.timeout,
+        undefined,
+        config,
+    );
+    writeSigner.NONCE = signer.NONCE;
+    return writeSigner;
 }
 
 /**
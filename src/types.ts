@@ -1,5 +1,10 @@
 import { BigNumber } from "ethers";
+import { RelayMethod } from "./relay";
 import { Token } from "sushi/currency";
+import { NonceManager } from "./nonce";
+import { Scheduler } from "./scheduler";
+import { HealthTracker } from "./health";
+import { PoolWatcher } from "./poolWatcher";
 import { AttributeValue } from "@opentelemetry/api";
 import { DataFetcher, LiquidityProviders } from "sushi/router";
 import { ProcessPairHaltReason, ProcessPairReportStatus } from "./processOrders";
@@ -53,7 +58,37 @@ export type CliOptions = {
     txGas?: string;
     quoteGas: bigint;
     rpOnly?: boolean;
+    clearModes?: string[];
+    priorityFee?: PriorityFeeStrategy;
+    gasBid?: number;
+    txReplaceTimeout?: number;
+    relay?: string[];
+    relayMethod?: RelayMethod;
+    relayBlocks?: number;
+    relayAuthKey?: string;
     dispair: string;
+    config?: string;
+    chain?: string;
+    printConfig?: boolean;
+    dryRun?: boolean;
+    sweepOnShutdown?: boolean;
+    shutdownTimeout: number;
+    apiPort?: number;
+    apiHost: string;
+    apiKey?: string;
+    stateStore?: string;
+    ledger?: string;
+    blockDriven?: boolean;
+    minRoundGap: number;
+    watchPools?: boolean;
+    watchPoolsMaxIdle: number;
+    concurrency: number;
+    rpcRateLimit?: number;
+    scheduleStaleness?: number;
+    orderBackoff?: number;
+    orderBackoffMax: number;
+    quarantineAfter: number;
+    batchOrders: number;
 };
 
 export type TokenDetails = {
@@ -142,7 +177,7 @@ export type ViemClient = WalletClient<FallbackTransport, Chain, HDAccount> &
     PublicActions & {
         BALANCE: BigNumber;
         BOUNTY: TokenDetails[];
-        BUSY: boolean;
+        NONCE: NonceManager;
         sendTx: <chain extends Chain, account extends Account>(
             tx: SendTransactionParameters<chain, account>,
         ) => Promise<`0x${string}`>;
@@ -153,7 +188,7 @@ export type TestViemClient = TestClient<"hardhat"> &
     WalletActions & {
         BALANCE: BigNumber;
         BOUNTY: TokenDetails[];
-        BUSY: boolean;
+        NONCE: NonceManager;
         sendTx: <chain extends Chain, account extends Account>(
             tx: SendTransactionParameters<chain, account>,
         ) => Promise<`0x${string}`>;
@@ -202,14 +237,61 @@ export type BotConfig = {
     txGas?: string;
     quoteGas: bigint;
     rpOnly?: boolean;
+    /** Names of the clear modes that are tried for each order, all of them if unset */
+    clearModes?: string[];
     dispair: Dispair;
+    dryRun?: boolean;
+    ledger?: string;
+    /** Number of orders that are processed at the same time */
+    concurrency?: number;
+    /** Max number of requests per second that are sent to each rpc */
+    rpcRateLimit?: number;
+    /** Max number of orders that are cleared together in a single route processor tx */
+    batchOrders?: number;
+    /** Priority fee strategy of EIP-1559 txs, txs are sent as legacy if not set */
+    priorityFee?: PriorityFeeStrategy;
+    /** Max percentage of an opportunity's estimated profit that is bid as its gas cost */
+    gasBid?: number;
+    /** Seconds that a clear tx can stay unmined before it is replaced */
+    txReplaceTimeout?: number;
+    /** Private relays that the clear txs are submitted to instead of the public mempool */
+    relay?: string[];
+    /** Method of submitting the txs to the private relays */
+    relayMethod?: RelayMethod;
+    /** Number of blocks that a relayed tx targets before it is sent to the public mempool */
+    relayBlocks?: number;
+    /** Private key that the relay requests are signed with */
+    relayAuthKey?: string;
     onFetchRequest?: (request: Request) => void;
     onFetchResponse?: (request: Response) => void;
 };
 
+/**
+ * Priority fee strategy of EIP-1559 txs, either a fixed priority fee in wei, a percentile
+ * of the recent blocks' priority fees or a percentage of the tx's estimated profit
+ */
+export type PriorityFeeStrategy =
+    | { type: "fixed"; value: bigint }
+    | { type: "percentile"; value: number }
+    | { type: "profit"; value: number };
+
 export type OperationState = {
     gasPrice: bigint;
     l1GasPrice: bigint;
+    /** Base fee of the latest block, only fetched if EIP-1559 txs are enabled and supported */
+    baseFee?: bigint;
+    /** Priority fee by the recent blocks' fee history, only fetched for the percentile strategy */
+    priorityFee?: bigint;
+    /** Error of the last failed base or priority fee fetch, cleared once they are fetched again */
+    feeError?: string;
+    /** Aborts once shutdown is requested, no new orders are picked after that */
+    signal?: AbortSignal;
+    /** Tracks the orders that need re-processing, all orders are processed each round if not set */
+    poolWatcher?: PoolWatcher;
+    /** Ranks the orders of each round, the orders are processed as they are if not set */
+    scheduler?: Scheduler;
+    /** Backs off and quarantines the failing orders, all orders are retried each round if not set */
+    healthTracker?: HealthTracker;
 };
 
 export type Report = {
@@ -227,6 +309,10 @@ export type Report = {
     netProfit?: BigNumber;
     reason?: ProcessPairHaltReason;
     error?: any;
+    estimatedProfit?: BigNumber;
+    clearMode?: string;
+    dryRun?: boolean;
+    rawtx?: RawTx;
 };
 
 export type RoundReport = {
@@ -249,6 +335,8 @@ export type RawTx = {
     from?: `0x${string}`;
     data: `0x${string}`;
     gasPrice?: bigint;
+    maxFeePerGas?: bigint;
+    maxPriorityFeePerGas?: bigint;
     gas?: bigint;
     nonce?: number;
 };
@@ -1,22 +1,30 @@
 import { SgOrder } from "./query";
+import { getQuoteGas } from "./gas";
 import { ChainId } from "sushi/chain";
 import { RouteLeg } from "sushi/tines";
 import { getDataFetcher } from "./config";
 import { Token, Type } from "sushi/currency";
 import BlackList from "./pool-blacklist.json";
+import { Attributes } from "@opentelemetry/api";
+import { Tracer } from "@opentelemetry/sdk-trace-base";
 import { isBytes, isHexString } from "ethers/lib/utils";
 import { BigNumber, BigNumberish, ethers } from "ethers";
 import { erc20Abi, orderbookAbi, OrderV3 } from "./abis";
 import { parseAbi, PublicClient, TransactionReceipt } from "viem";
 import { doQuoteTargets, QuoteTarget } from "@rainlanguage/orderbook/quote";
 import { DataFetcher, DataFetcherOptions, LiquidityProviders, Router } from "sushi/router";
-import { BotConfig, BundledOrders, OwnedOrder, TakeOrder, TokenDetails, ViemClient } from "./types";
+import { BotConfig, TakeOrder, OwnedOrder, ViemClient, TokenDetails, BundledOrders } from "./types";
 
 /**
  * One ether which equals to 1e18
  */
 export const ONE18 = 1_000_000_000_000_000_000n as const;
 
+/**
+ * Miliseconds between polls for new blocks when the rpc doesnt support subscriptions
+ */
+export const BLOCK_POLLING_INTERVAL = 1_000 as const;
+
 export function RPoolFilter(pool: any) {
     return !BlackList.includes(pool.address) && !BlackList.includes(pool.address.toLowerCase());
 }
@@ -26,12 +34,91 @@ export const PoolBlackList = new Set(BlackList);
 /**
  * Waits for provided miliseconds
  * @param ms - Miliseconds to wait
+ * @param signal - (optional) Stops waiting once this signal aborts
+ */
+export const sleep = async (ms: number, msg = "", signal?: AbortSignal) => {
+    let _timeoutReference: string | number | NodeJS.Timeout | undefined;
+    let _onAbort: (() => void) | undefined;
+    return new Promise((resolve) => {
+        _timeoutReference = setTimeout(() => resolve(msg), ms);
+        // wake up early if the given signal aborts
+        if (signal) {
+            _onAbort = () => resolve(msg);
+            if (signal.aborted) _onAbort();
+            else signal.addEventListener("abort", _onAbort, { once: true });
+        }
+    }).finally(() => {
+        clearTimeout(_timeoutReference);
+        if (_onAbort) signal?.removeEventListener("abort", _onAbort);
+    });
+};
+
+/**
+ * Waits for a block newer than the given block number, subscribes to new blocks if the
+ * client's first rpc is a websocket and polls for them otherwise
+ * @param client - The viem client
+ * @param blockNumber - (optional) The last seen block number, resolves with the first arriving block if not specified
+ * @param timeout - (optional) Stops waiting after this many miliseconds
+ * @param signal - (optional) Stops waiting once this signal aborts
+ * @returns The new block number or undefined if timed out or aborted
  */
-export const sleep = async (ms: number, msg = "") => {
+export const waitForNewBlock = async (
+    client: PublicClient,
+    blockNumber?: bigint,
+    timeout?: number,
+    signal?: AbortSignal,
+): Promise<bigint | undefined> => {
+    let unwatch: (() => void) | undefined;
     let _timeoutReference: string | number | NodeJS.Timeout | undefined;
-    return new Promise(
-        (resolve) => (_timeoutReference = setTimeout(() => resolve(msg), ms)),
-    ).finally(() => clearTimeout(_timeoutReference));
+    let _onAbort: (() => void) | undefined;
+    return new Promise<bigint | undefined>((resolve) => {
+        if (timeout) _timeoutReference = setTimeout(() => resolve(undefined), timeout);
+        if (signal) {
+            _onAbort = () => resolve(undefined);
+            if (signal.aborted) return _onAbort();
+            signal.addEventListener("abort", _onAbort, { once: true });
+        }
+        unwatch = client.watchBlockNumber({
+            pollingInterval: BLOCK_POLLING_INTERVAL,
+            onBlockNumber: (v) => {
+                if (blockNumber === undefined || v > blockNumber) resolve(v);
+            },
+            // rpc errors are retried on next poll, the timeout covers persistent failures
+            onError: () => {},
+        });
+    }).finally(() => {
+        unwatch?.();
+        clearTimeout(_timeoutReference);
+        if (_onAbort) signal?.removeEventListener("abort", _onAbort);
+    });
+};
+
+/**
+ * Runs the given tasks with at most the given number of them running at the same time, once a task
+ * fails no new task is started and it rejects with that error after the running ones have settled
+ * @param tasks - The tasks to run in order
+ * @param concurrency - Max number of tasks running at the same time
+ */
+export const runConcurrently = async (
+    tasks: (() => Promise<void>)[],
+    concurrency: number,
+): Promise<void> => {
+    let next = 0;
+    let failed = false;
+    let error: any;
+    const worker = async () => {
+        while (!failed && next < tasks.length) {
+            try {
+                await tasks[next++]();
+            } catch (e) {
+                if (!failed) error = e;
+                failed = true;
+            }
+        }
+    };
+    const workers = Math.max(Math.min(concurrency, tasks.length), 1);
+    await Promise.all(Array.from({ length: workers }, worker));
+    if (failed) throw error;
 };
 
 /**
@@ -817,6 +904,82 @@ export async function quoteOrders(
     return orderDetails;
 }
 
+/**
+ * Max gas of a single batch of the round's orders quotes
+ */
+export const QUOTE_BATCH_GAS_LIMIT = 30_000_000n as const;
+
+/**
+ * Quotes the given orders in batches of multicalls, each batch is filled with orders as long as
+ * their total quote gas stays within the gas limit and is quoted by quoteOrders(), the orders'
+ * previous quotes are reset first so the orders whose batch fails or who fail to quote are left
+ * without a quote, the quote gas is got once per orderbook and the configured quote gas is used
+ * if getting it fails
+ * @param config - The configuration object
+ * @param orderDetails - Order details to quote
+ * @param rpcs - RPC urls
+ * @param gasLimit - (optional) Max gas of a single batch
+ * @returns Number of the batches that failed to quote
+ */
+export async function batchQuoteOrders(
+    config: BotConfig,
+    orderDetails: BundledOrders[][],
+    rpcs: string[],
+    gasLimit: bigint = QUOTE_BATCH_GAS_LIMIT,
+): Promise<number> {
+    const isE2eTest = (config as any).isTest;
+
+    // reset all of the quotes before anything can fail
+    for (const orderbookOrders of orderDetails) {
+        for (const pair of orderbookOrders) {
+            for (const order of pair.takeOrders) order.quote = undefined;
+        }
+    }
+
+    const batches: { pairs: BundledOrders[]; gas: bigint }[] = [];
+    for (const orderbookOrders of orderDetails) {
+        // quote gas is the same for all the orders of an orderbook, except
+        // for their calldata size, so it is only got once per orderbook
+        let gas: bigint | undefined;
+        for (const pair of orderbookOrders) {
+            if (!pair.takeOrders.length) continue;
+            if (gas === undefined) {
+                try {
+                    gas = isE2eTest ? config.quoteGas : await getQuoteGas(config, pair);
+                } catch {
+                    gas = config.quoteGas;
+                }
+            }
+            // copies of the pair are quoted, so quoteOrders() does not filter out its orders
+            let batchPair: BundledOrders | undefined;
+            for (const order of pair.takeOrders) {
+                let batch = batches[batches.length - 1];
+                if (!batch || batch.gas + gas > gasLimit) {
+                    batch = { pairs: [], gas: 0n };
+                    batches.push(batch);
+                    batchPair = undefined;
+                }
+                if (!batchPair) {
+                    batchPair = { ...pair, takeOrders: [] };
+                    batch.pairs.push(batchPair);
+                }
+                batchPair.takeOrders.push(order);
+                batch.gas += gas;
+            }
+        }
+    }
+
+    let failed = 0;
+    for (const batch of batches) {
+        try {
+            await quoteOrders([batch.pairs], rpcs, undefined, batch.gas);
+        } catch {
+            failed++;
+        }
+    }
+    return failed;
+}
+
 /**
  * Quotes a single order
  * @param orderDetails - Order details to quote
@@ -981,7 +1144,18 @@ export function estimateProfit(
     const One = ethers.utils.parseUnits("1");
     if (marketPrice) {
         const marketAmountOut = maxInput!.mul(marketPrice).div(One);
-        const orderInput = maxInput!.mul(orderPairObject.takeOrders[0].quote.ratio).div(One);
+
+        // orders are taken in order, the last one takes whatever is left
+        let orderInput = ethers.constants.Zero;
+        let remaining: BigNumber = maxInput!;
+        for (let i = 0; i < orderPairObject.takeOrders.length; i++) {
+            const quote = orderPairObject.takeOrders[i].quote;
+            const isLast = i === orderPairObject.takeOrders.length - 1;
+            const amount = isLast || remaining.lt(quote.maxOutput) ? remaining : quote.maxOutput;
+            orderInput = orderInput.add(amount.mul(quote.ratio).div(One));
+            remaining = remaining.sub(amount);
+            if (remaining.isZero()) break;
+        }
         const estimatedProfit = marketAmountOut.sub(orderInput);
         return estimatedProfit.mul(inputToEthPrice).div(One);
     }
@@ -1052,6 +1226,24 @@ export function estimateProfit(
     }
 }
 
+/**
+ * Estimates profit for a ring arb tx, that is the main order's input token that is
+ * left after the last order of the ring has paid for the main order's input
+ * @param ring - The ring's orders, the first one is the main order
+ * @param amounts - The output amounts of the ring's orders
+ * @param inputToEthPrice - The main order's input token price to eth
+ */
+export function estimateRingProfit(
+    ring: BundledOrders[],
+    amounts: BigNumber[],
+    inputToEthPrice: BigNumber,
+): BigNumber {
+    const One = ethers.utils.parseUnits("1");
+    const orderInput = amounts[0].mul(ring[0].takeOrders[0].quote!.ratio).div(One);
+    const estimatedProfit = amounts[amounts.length - 1].sub(orderInput);
+    return estimatedProfit.mul(inputToEthPrice).div(One);
+}
+
 /**
  * Gets values for an RP swap transaction
  * @param chainId - The network chain id
@@ -1417,3 +1609,18 @@ export function extendSpanAttributes(
         }
     }
 }
+
+/**
+ * Returns a tracer that includes the given attributes in all of the spans it starts, the
+ * attributes object is read when a span starts so it can be extended later on
+ */
+export function withSpanAttributes(tracer: Tracer, attributes: Attributes): Tracer {
+    const wrapped = Object.create(tracer) as Tracer;
+    wrapped.startSpan = (name, options = {}, ctx) =>
+        tracer.startSpan(
+            name,
+            { ...options, attributes: { ...attributes, ...options.attributes } },
+            ctx,
+        );
+    return wrapped;
+}
@@ -182,6 +182,27 @@ describe("Test accounts", async function () {
         assert.equal(accounts[1].account.address, expectedAccounts[2].address);
     });
 
+    it("should not manage accounts in dry run mode", async function () {
+        const sent = [];
+        const acc = {
+            account: { address: "0xdF906eA18C6537C6379aC83157047F507FB37263" },
+            BALANCE: ethers.BigNumber.from("0"),
+            BOUNTY: ["0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270"],
+            sendTx: async (tx) => sent.push(tx),
+        };
+        const mainAccount = { ...acc, BALANCE: ethers.BigNumber.from("100000") };
+        const accounts = [acc];
+        const wgc = [];
+        const config = { dryRun: true, accounts, mainAccount };
+        const options = { topupAmount: "0.00000000001", mnemonic };
+        const result = await manageAccounts(config, options, ethers.BigNumber.from("100"), 20, wgc);
+
+        assert.equal(result, 20);
+        assert.deepEqual(accounts, [acc]);
+        assert.deepEqual(wgc, []);
+        assert.deepEqual(sent, []);
+    });
+
     it("should rotate providers", async function () {
         const rpcs = ["http://localhost:8080/rpc-url1", "http://localhost:8080/rpc-url2"];
         const mainAccount = (
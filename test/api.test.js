@@ -0,0 +1,159 @@
+const http = require("http");
+const { assert } = require("chai");
+const { ethers } = require("ethers");
+const { startApi } = require("../src/api");
+
+describe("Test api", async function () {
+    const orderHash = "0x" + "1".repeat(64);
+    const orderbook = "0x" + "2".repeat(40);
+    const owner = "0x" + "3".repeat(40);
+    const key = "some-key";
+    let server;
+    let url;
+    let handle;
+
+    beforeEach(async () => {
+        handle = {
+            round: 5,
+            paused: false,
+            refreshPools: false,
+            options: {},
+            config: {
+                chain: { id: 137 },
+                mainAccount: {
+                    account: { address: "0x" + "4".repeat(40) },
+                    BALANCE: ethers.utils.parseUnits("10"),
+                },
+                accounts: [
+                    {
+                        account: { address: "0x" + "5".repeat(40) },
+                        BALANCE: ethers.utils.parseUnits("1.5"),
+                    },
+                ],
+                rpcRecords: {
+                    "https://rpc.com/": { req: 10, success: 8, failure: 1, cache: {} },
+                    "https://rpc.com/v2/secret-key/": { req: 5, success: 5, failure: 0, cache: {} },
+                    "https://rpc.com/?key=secret/": { req: 1, success: 0, failure: 1, cache: {} },
+                },
+            },
+            state: { gasPrice: 100n, l1GasPrice: 0n },
+            orderbooksOwnersProfileMap: new Map([
+                [
+                    orderbook,
+                    new Map([
+                        [
+                            owner,
+                            {
+                                limit: 25,
+                                lastIndex: 0,
+                                orders: new Map([[orderHash, { active: true, takeOrders: [] }]]),
+                            },
+                        ],
+                    ]),
+                ],
+            ]),
+            tokens: [],
+        };
+        server = await startApi(new Map([["polygon", handle]]), 0, "127.0.0.1", key);
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+    afterEach(() => server.close());
+
+    it("should serve read-only endpoints", async function () {
+        let res = await fetch(url + "/status");
+        assert.equal(res.status, 200);
+        assert.deepEqual(await res.json(), {
+            polygon: { chainId: 137, round: 5, paused: false, gasPrice: "100", l1GasPrice: "0" },
+        });
+
+        res = await fetch(url + "/orders?chain=polygon");
+        assert.deepEqual(await res.json(), {
+            polygon: { [orderbook]: { [owner]: { limit: 25, orders: [orderHash] } } },
+        });
+
+        res = await fetch(url + "/wallets");
+        assert.deepEqual(await res.json(), {
+            polygon: {
+                mainAccount: { address: "0x" + "4".repeat(40), balance: "10.0" },
+                accounts: [{ address: "0x" + "5".repeat(40), balance: "1.5" }],
+            },
+        });
+
+        res = await fetch(url + "/rpc");
+        assert.deepEqual(await res.json(), {
+            polygon: {
+                "https://rpc.com": { req: 10, success: 8, failure: 1 },
+                "https://rpc.com/***": { req: 6, success: 5, failure: 1 },
+            },
+        });
+
+        res = await fetch(url + "/metrics");
+        assert.equal(res.status, 200);
+        assert.include(res.headers.get("content-type"), "text/plain");
+        assert.include(await res.text(), "# TYPE arb_bot_rounds_total counter");
+
+        res = await fetch(url + "/status?chain=arbitrum");
+        assert.equal(res.status, 404);
+        res = await fetch(url + "/unknown");
+        assert.equal(res.status, 404);
+    });
+
+    it("should authenticate and handle control endpoints", async function () {
+        const post = (path, auth, body) =>
+            fetch(url + path, {
+                method: "POST",
+                headers: auth ? { Authorization: `Bearer ${auth}` } : {},
+                body: body ? JSON.stringify(body) : undefined,
+            });
+
+        assert.equal((await post("/pause")).status, 401);
+        assert.equal((await post("/pause", "wrong-key")).status, 401);
+        assert.equal((await fetch(url + "/pause")).status, 405);
+        assert.isFalse(handle.paused);
+
+        let res = await post("/pause", key);
+        assert.equal(res.status, 200);
+        assert.deepEqual(await res.json(), { polygon: { paused: true } });
+        assert.isTrue(handle.paused);
+
+        await post("/resume", key);
+        assert.isFalse(handle.paused);
+
+        await post("/refresh-pools", key);
+        assert.isTrue(handle.refreshPools);
+
+        res = await post("/orders/unwatch", key, { orderHash: "0x1" });
+        assert.equal(res.status, 400);
+        res = await post("/orders/unwatch", key, { orderHash });
+        assert.equal(res.status, 200);
+        assert.deepEqual(await res.json(), { polygon: { unwatched: orderHash } });
+        assert.equal(handle.orderbooksOwnersProfileMap.get(orderbook).get(owner).orders.size, 0);
+        res = await post("/orders/unwatch", key, { orderHash });
+        assert.equal(res.status, 400);
+
+        // large bodies are rejected
+        res = await post("/orders/watch", key, { orderHash: "0x" + "1".repeat(20_000) });
+        assert.equal(res.status, 413);
+
+        // a streamed body is rejected as soon as it exceeds the limit, without its end
+        const status = await new Promise((resolve, reject) => {
+            const req = http.request(
+                url + "/orders/watch",
+                { method: "POST", headers: { Authorization: `Bearer ${key}` } },
+                (res) => resolve(res.statusCode),
+            );
+            req.on("error", reject);
+            req.write("1".repeat(20_000));
+        });
+        assert.equal(status, 413);
+    });
+
+    it("should disable control endpoints without api key", async function () {
+        server.close();
+        server = await startApi(new Map([["polygon", handle]]), 0, "127.0.0.1");
+        url = `http://127.0.0.1:${server.address().port}`;
+        const res = await fetch(url + "/pause", { method: "POST" });
+        assert.equal(res.status, 403);
+        assert.isFalse(handle.paused);
+    });
+});
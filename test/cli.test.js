@@ -1,7 +1,7 @@
 require("dotenv").config();
 const { assert } = require("chai");
 const mockServer = require("mockttp").getLocal();
-const { arbRound, startup } = require("../src/cli");
+const { arbRound, startup, getOneShotCommand } = require("../src/cli");
 const { trace, context } = require("@opentelemetry/api");
 const { Resource } = require("@opentelemetry/resources");
 const { BasicTracerProvider } = require("@opentelemetry/sdk-trace-base");
@@ -62,7 +62,13 @@ describe("Test cli", async function () {
             await startup(["", ""]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "undefined wallet, only one of key or mnemonic should be specified";
+            const expected = [
+                "undefined wallet, only one of key or mnemonic should be specified",
+                "undefined RPC URL",
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            ].join("\n");
             assert.equal(error, expected);
         }
 
@@ -70,7 +76,14 @@ describe("Test cli", async function () {
             await startup(["", "", "--key", `0x${"0".repeat(64)}`, "-m", "something"]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "undefined wallet, only one of key or mnemonic should be specified";
+            const expected = [
+                "undefined wallet, only one of key or mnemonic should be specified",
+                "--wallet-count and --toptup-amount are required when using mnemonic option",
+                "undefined RPC URL",
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            ].join("\n");
             assert.equal(error, expected);
         }
 
@@ -78,7 +91,13 @@ describe("Test cli", async function () {
             await startup(["", "", "--key", `0x${"0".repeat(63)}`]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "invalid wallet private key";
+            const expected = [
+                "invalid wallet private key",
+                "undefined RPC URL",
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            ].join("\n");
             assert.equal(error, expected);
         }
 
@@ -86,8 +105,13 @@ describe("Test cli", async function () {
             await startup(["", "", "-m", "some-mnemonic"]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected =
-                "--wallet-count and --toptup-amount are required when using mnemonic option";
+            const expected = [
+                "--wallet-count and --toptup-amount are required when using mnemonic option",
+                "undefined RPC URL",
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            ].join("\n");
             assert.equal(error, expected);
         }
 
@@ -95,7 +119,12 @@ describe("Test cli", async function () {
             await startup(["", "", "--key", `0x${"0".repeat(64)}`]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "undefined RPC URL";
+            const expected = [
+                "undefined RPC URL",
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            ].join("\n");
             assert.equal(error, expected);
         }
 
@@ -103,7 +132,11 @@ describe("Test cli", async function () {
             await startup(["", "", "--key", `0x${"0".repeat(64)}`, "--rpc", "some-rpc"]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "undefined arb contract address";
+            const expected = [
+                "undefined arb contract address",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            ].join("\n");
             assert.equal(error, expected);
         }
 
@@ -116,15 +149,19 @@ describe("Test cli", async function () {
                 "--rpc",
                 "some-rpc",
                 "--arb-address",
-                `0x${"0".repeat(64)}`,
+                `0x${"0".repeat(40)}`,
                 "--orderbook-address",
-                `0x${"0".repeat(64)}`,
+                `0x${"0".repeat(40)}`,
                 "--sleep",
                 "abcd",
             ]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected = "invalid sleep value, must be an integer greater than equal 0";
+            const expected = [
+                "invalid sleep value, must be an integer greater than equal 0",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            ].join("\n");
             assert.equal(error, expected);
         }
 
@@ -137,16 +174,19 @@ describe("Test cli", async function () {
                 "--rpc",
                 "some-rpc",
                 "--arb-address",
-                `0x${"0".repeat(64)}`,
+                `0x${"0".repeat(40)}`,
                 "--orderbook-address",
-                `0x${"0".repeat(64)}`,
+                `0x${"0".repeat(40)}`,
                 "--pool-update-interval",
                 "abcd",
             ]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected =
-                "invalid poolUpdateInterval value, must be an integer greater than equal zero";
+            const expected = [
+                "invalid poolUpdateInterval value, must be an integer greater than equal zero",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            ].join("\n");
             assert.equal(error, expected);
         }
 
@@ -159,16 +199,18 @@ describe("Test cli", async function () {
                 "--rpc",
                 "some-rpc",
                 "--arb-address",
-                `0x${"0".repeat(64)}`,
+                `0x${"0".repeat(40)}`,
                 "--orderbook-address",
-                `0x${"0".repeat(64)}`,
+                `0x${"0".repeat(40)}`,
                 "--pool-update-interval",
                 "10",
             ]);
             assert.fail("expected to fail, but resolved");
         } catch (error) {
-            const expected =
-                "expected a valid value for --bot-min-balance, it should be an number greater than 0";
+            const expected = [
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "undefined dispair address",
+            ].join("\n");
             assert.equal(error, expected);
         }
 
@@ -181,9 +223,9 @@ describe("Test cli", async function () {
                 "--rpc",
                 "some-rpc",
                 "--arb-address",
-                `0x${"0".repeat(64)}`,
+                `0x${"0".repeat(40)}`,
                 "--orderbook-address",
-                `0x${"0".repeat(64)}`,
+                `0x${"0".repeat(40)}`,
                 "--pool-update-interval",
                 "10",
                 "--bot-min-balance",
@@ -305,4 +347,12 @@ describe("Test cli", async function () {
         assert.deepEqual(result.options.dispair, expected.options.dispair);
         assert.deepEqual(result.config.dispair, expected.config.dispair);
     });
+
+    it("should get one-shot command", async function () {
+        assert.equal(getOneShotCommand(["", ""]), undefined);
+        assert.equal(getOneShotCommand(["", "", "--order-hash", "0x123"]), undefined);
+        assert.equal(getOneShotCommand(["", "", "quote", "--order-hash", "0x123"]), "quote");
+        assert.equal(getOneShotCommand(["", "", "find-opp", "--order-hash", "0x123"]), "find-opp");
+        assert.equal(getOneShotCommand(["", "", "--order-hash", "0x123", "clear"]), "clear");
+    });
 });
@@ -0,0 +1,80 @@
+const { assert } = require("chai");
+const { ethers } = require("ethers");
+const { orderPairObject1, orderPairObject2 } = require("./data");
+const { getOrderPairs, formatResult } = require("../src/commands");
+const { ProcessPairHaltReason, ProcessPairReportStatus } = require("../src/processOrders");
+
+describe("Test one-shot commands", async function () {
+    it("should get order pairs", async function () {
+        const orderHash = orderPairObject1.takeOrders[0].id;
+        const bundledOrders = [
+            [
+                {
+                    ...orderPairObject1,
+                    takeOrders: [...orderPairObject2.takeOrders, ...orderPairObject1.takeOrders],
+                },
+                orderPairObject2,
+            ],
+        ];
+        const result = getOrderPairs(bundledOrders, orderHash.toUpperCase().replace("0X", "0x"));
+        assert.deepEqual(result, [orderPairObject1]);
+        assert.deepEqual(getOrderPairs(bundledOrders, "0x" + "1".repeat(64)), []);
+    });
+
+    it("should format process pair result", async function () {
+        const result = {
+            reason: undefined,
+            error: undefined,
+            gasCost: undefined,
+            report: {
+                status: ProcessPairReportStatus.FoundOpportunity,
+                tokenPair: "A/B",
+                buyToken: "0x1",
+                sellToken: "0x2",
+                estimatedProfit: ethers.utils.parseUnits("1.5"),
+                clearMode: "rp4",
+                txUrl: "https://scan/tx/0x123",
+            },
+            spanAttributes: {
+                "details.route": ["route 1", "route 2"],
+                "details.orders": ["0xabc"],
+                foundOpp: true,
+            },
+        };
+        assert.deepEqual(formatResult(result), [
+            "status: FoundOpportunity",
+            "clear mode: rp4",
+            "estimated profit: 1.5",
+            "tx: https://scan/tx/0x123",
+            "route:",
+            "  route 1",
+            "  route 2",
+            "details:",
+            "  orders: 0xabc",
+            "  foundOpp: true",
+        ]);
+
+        // halted with per mode failure reasons
+        const halted = {
+            reason: ProcessPairHaltReason.FailedToQuote,
+            error: "some error",
+            report: {
+                status: ProcessPairReportStatus.NoOpportunity,
+                tokenPair: "A/B",
+                buyToken: "0x1",
+                sellToken: "0x2",
+            },
+            spanAttributes: {
+                "details.routeProcessor.full.error": "no route",
+                "details.intraOrderbook.0.error": "no opp",
+            },
+        };
+        assert.deepEqual(formatResult(halted), [
+            "status: NoOpportunity",
+            "halted: FailedToQuote\nReason: some error",
+            "details:",
+            "  intraOrderbook.0.error: no opp",
+            "  routeProcessor.full.error: no route",
+        ]);
+    });
+});
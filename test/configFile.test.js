@@ -0,0 +1,110 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { assert } = require("chai");
+const { readConfigFile, readConfigFileChains, parseConfigFile } = require("../src/configFile");
+
+describe("Test config file", async function () {
+    it("should read and normalize yaml config file", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "arb-bot-"));
+        const file = path.join(dir, "config.yaml");
+        fs.writeFileSync(
+            file,
+            [
+                "rpc:",
+                "  - https://rpc-1.com",
+                "  - https://rpc-2.com",
+                "arbAddress: 0x1111111111111111111111111111111111111111",
+                "sleep: 20",
+                "maxRatio: true",
+                "lps: [SushiSwapV2, UniswapV3]",
+                "ownerProfile:",
+                "  0x2222222222222222222222222222222222222222: 10",
+                "selfFundOrders:",
+                "  - token: 0x3333333333333333333333333333333333333333",
+                "    vaultId: 123456789123456789123456789",
+                "    threshold: 0.5",
+                "    topupAmount: 10",
+                "chains:",
+                "  polygon:",
+                "    sleep: 5",
+                "    subgraph: https://sg-1.com, https://sg-2.com",
+            ].join("\n"),
+        );
+
+        const expected = {
+            rpc: ["https://rpc-1.com", "https://rpc-2.com"],
+            arbAddress: "0x1111111111111111111111111111111111111111",
+            sleep: "20",
+            maxRatio: true,
+            lps: "SushiSwapV2,UniswapV3",
+            ownerProfile: ["0x2222222222222222222222222222222222222222=10"],
+            selfFundOrders:
+                "0x3333333333333333333333333333333333333333,123456789123456789123456789,0.5,10",
+        };
+        assert.deepEqual(readConfigFile(file), expected);
+
+        // with chain section
+        expected.sleep = "5";
+        expected.subgraph = ["https://sg-1.com", "https://sg-2.com"];
+        assert.deepEqual(readConfigFile(file, "polygon"), expected);
+        assert.deepEqual(readConfigFileChains(file), []);
+
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should throw with offending key", async function () {
+        const cases = [
+            [{ sleeep: 10 }, undefined, 'unknown config file key "sleeep"'],
+            [
+                { rpc: [1, 2] },
+                undefined,
+                'invalid config file value for "rpc", expected a string or list of strings',
+            ],
+            [
+                { chains: { polygon: { maxRatio: "yes" } } },
+                undefined,
+                'invalid config file value for "chains.polygon.maxRatio", expected a boolean',
+            ],
+            [{ chains: {} }, "arbitrum", 'invalid config file, missing section "chains.arbitrum"'],
+            [
+                { selfFundOrders: [{ token: "0x1", vaultId: "1", threshold: "1" }] },
+                undefined,
+                'invalid config file value for "selfFundOrders[0].topupAmount", expected a string or number',
+            ],
+        ];
+        for (const [content, chain, expected] of cases) {
+            try {
+                parseConfigFile(content, chain);
+                assert.fail("expected to fail, but resolved");
+            } catch (error) {
+                assert.equal(error, expected);
+            }
+        }
+    });
+
+    it("should read chains from config file", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "arb-bot-"));
+        const file = path.join(dir, "config.json");
+        const content = {
+            sleep: 20,
+            chain: ["polygon", "arbitrum"],
+            chains: {
+                polygon: { rpc: ["https://polygon-rpc.com"] },
+                arbitrum: { rpc: ["https://arbitrum-rpc.com"], sleep: 5 },
+            },
+        };
+        fs.writeFileSync(file, JSON.stringify(content));
+
+        assert.deepEqual(readConfigFileChains(file), ["polygon", "arbitrum"]);
+
+        // defaults to first chain
+        assert.deepEqual(readConfigFile(file), { sleep: "20", rpc: ["https://polygon-rpc.com"] });
+        assert.deepEqual(readConfigFile(file, "arbitrum"), {
+            sleep: "5",
+            rpc: ["https://arbitrum-rpc.com"],
+        });
+
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
@@ -1,6 +1,6 @@
 const { assert } = require("chai");
 const testData = require("./data");
-const { findOpp } = require("../src/modes");
+const { findOpp, getEnabledClearModes } = require("../src/modes");
 const { orderbookAbi } = require("../src/abis");
 const { errorSnapshot } = require("../src/error");
 const { clone, estimateProfit, withBigintSerializer } = require("../src/utils");
@@ -535,3 +535,13 @@ describe("Test find opp", async function () {
         }
     });
 });
+
+describe("Test clear modes", async function () {
+    it("should get the enabled clear modes", async function () {
+        const names = (config) => getEnabledClearModes(config).map((v) => v.name);
+        assert.deepEqual(names({}), ["rp4", "intra", "inter", "ring"]);
+        assert.deepEqual(names({ rpOnly: true }), ["rp4"]);
+        assert.deepEqual(names({ clearModes: ["inter", "rp4"] }), ["rp4", "inter"]);
+        assert.deepEqual(names({ clearModes: ["inter"], rpOnly: true }), []);
+    });
+});
@@ -1,8 +1,18 @@
 import { assert } from "chai";
 import { ChainId } from "sushi";
+import { BigNumber } from "ethers";
 import { orderPairObject1 } from "./data";
 import { OperationState, ViemClient } from "../src/types";
-import { estimateGasCost, getGasPrice, getL1Fee, getQuoteGas, getTxFee } from "../src/gas";
+import {
+    getL1Fee,
+    getTxFee,
+    getTxFees,
+    getTypedTx,
+    getGasPrice,
+    getQuoteGas,
+    getBidGasPrice,
+    estimateGasCost,
+} from "../src/gas";
 
 describe("Test gas", async function () {
     it("should estimate gas correctly for L1 and L2 chains", async function () {
@@ -38,6 +48,16 @@ describe("Test gas", async function () {
         };
         assert.deepEqual(result1, expected1);
 
+        // returns the L1 fee error
+        const failingL1Signer = {
+            getL1BaseFee: async () => 20n,
+            estimateL1Fee: async () => Promise.reject("l1 fee failed"),
+        };
+        const result3 = await estimateGasCost(tx, signer, config, undefined, failingL1Signer);
+        assert.equal(result3.l1Cost, 0n);
+        assert.equal(result3.totalGasCost, 2n * 55n);
+        assert.include(result3.l1Error, "failed to get L1 fee");
+
         // estimate as L1 chain
         config.isSpecialL2 = false;
         const result2 = await estimateGasCost(tx, signer, config);
@@ -128,6 +148,120 @@ describe("Test gas", async function () {
         await getGasPrice(config, state2);
         assert.equal(state2.gasPrice, gasPrice);
         assert.equal(state2.l1GasPrice, l1GasPrice);
+
+        // test EIP-1559 base fee and percentile priority fee
+        config.priorityFee = { type: "percentile", value: 50 };
+        config.viemClient.getBlock = async () => ({ baseFeePerGas: 4n });
+        config.viemClient.getFeeHistory = async () => ({ reward: [[1n], [2n], [6n]] });
+        await getGasPrice(config, state2);
+        assert.equal(state2.baseFee, 4n);
+        assert.equal(state2.priorityFee, 3n);
+        assert.isUndefined(state2.feeError);
+
+        // keeps the last fees and sets the error if fetching them fails
+        config.viemClient.getFeeHistory = async () => Promise.reject("fee history failed");
+        await getGasPrice(config, state2);
+        assert.equal(state2.priorityFee, 3n);
+        assert.include(state2.feeError, "failed to get fee history");
+        config.viemClient.getBlock = async () => Promise.reject("block failed");
+        await getGasPrice(config, state2);
+        assert.equal(state2.baseFee, 4n);
+        assert.include(state2.feeError, "failed to get base fee");
+
+        // clears the error once fetched again
+        config.viemClient.getBlock = async () => ({ baseFeePerGas: 5n });
+        config.viemClient.getFeeHistory = async () => ({ reward: [[1n]] });
+        await getGasPrice(config, state2);
+        assert.equal(state2.baseFee, 5n);
+        assert.equal(state2.priorityFee, 1n);
+        assert.isUndefined(state2.feeError);
+    });
+
+    it("should get EIP-1559 fees", async function () {
+        const config = { gasCoveragePercentage: "100" } as any;
+        const state: OperationState = { gasPrice: 5n, l1GasPrice: 0n };
+        const rawtx = {
+            to: ("0x" + "1".repeat(40)) as `0x${string}`,
+            data: "0x" as `0x${string}`,
+            gasPrice: 5n,
+            gas: 100n,
+        };
+        const profit = BigNumber.from(10_000n);
+
+        // legacy if not enabled or not supported by the chain
+        assert.isUndefined(getTxFees(config, state, rawtx, profit));
+        config.priorityFee = { type: "fixed", value: 3n };
+        assert.isUndefined(getTxFees(config, state, rawtx, profit));
+
+        // fixed
+        state.baseFee = 10n;
+        assert.deepEqual(getTxFees(config, state, rawtx, profit), {
+            maxFeePerGas: 23n,
+            maxPriorityFeePerGas: 3n,
+        });
+
+        // a bid raises the priority fee so the tx pays the bid, capped by the profit
+        assert.deepEqual(getTxFees(config, state, rawtx, profit, 40n), {
+            maxFeePerGas: 50n,
+            maxPriorityFeePerGas: 30n,
+        });
+        assert.deepEqual(getTxFees(config, state, rawtx, profit, 200n), {
+            maxFeePerGas: 100n,
+            maxPriorityFeePerGas: 100n,
+        });
+        // a bid lower than the fees does not lower them
+        assert.deepEqual(getTxFees(config, state, rawtx, profit, 11n), {
+            maxFeePerGas: 23n,
+            maxPriorityFeePerGas: 3n,
+        });
+
+        // percentile
+        config.priorityFee = { type: "percentile", value: 50 };
+        state.priorityFee = 7n;
+        assert.deepEqual(getTxFees(config, state, rawtx, profit), {
+            maxFeePerGas: 27n,
+            maxPriorityFeePerGas: 7n,
+        });
+
+        // profit, capped so gas cost with 200% coverage does not exceed the profit
+        config.priorityFee = { type: "profit", value: 50 };
+        config.gasCoveragePercentage = "200";
+        assert.deepEqual(getTxFees(config, state, rawtx, profit), {
+            maxFeePerGas: 50n,
+            maxPriorityFeePerGas: 50n,
+        });
+
+        // throws if the cap is below the network gas price
+        assert.throws(
+            () => getTxFees(config, state, rawtx, BigNumber.from(100n)),
+            "max fee per gas cap 0 is below the network gas price 5",
+        );
+
+        // typed txs
+        assert.equal(getTypedTx(rawtx).type, "legacy");
+        const tx = getTypedTx({ ...rawtx, maxFeePerGas: 23n, maxPriorityFeePerGas: 3n });
+        assert.equal(tx.type, "eip1559");
+        assert.notProperty(tx, "gasPrice");
+    });
+
+    it("should get bid gas price", async function () {
+        const config = { gasCoveragePercentage: "100" } as any;
+        const profit = BigNumber.from(10_000n);
+
+        // not enabled
+        assert.equal(getBidGasPrice(config, 100n, 5n, profit), 5n);
+
+        // share of the profit per gas
+        config.gasBid = 30;
+        assert.equal(getBidGasPrice(config, 100n, 5n, profit), 30n);
+
+        // capped by gas coverage
+        config.gasCoveragePercentage = "200";
+        config.gasBid = 80;
+        assert.equal(getBidGasPrice(config, 100n, 5n, profit), 50n);
+
+        // never below the network gas price
+        assert.equal(getBidGasPrice(config, 100n, 60n, profit), 60n);
     });
 
     it("should get quote gas", async function () {
@@ -0,0 +1,105 @@
+const { assert } = require("chai");
+const { ethers } = require("ethers");
+const { ProcessPairHaltReason, ProcessPairReportStatus } = require("../src/processOrders");
+const {
+    OrderHealthStatus,
+    recordOrderHealth,
+    createHealthTracker,
+    getOrderHealthStatus,
+    releaseQuarantinedOrders,
+} = require("../src/health");
+
+describe("Test order health", async function () {
+    const orderPair = (maxOutput) => ({
+        orderbook: "0x" + "a".repeat(40),
+        buyToken: "0xB",
+        sellToken: "0xC",
+        takeOrders: [
+            {
+                id: "0x01",
+                quote:
+                    maxOutput === undefined
+                        ? undefined
+                        : { maxOutput: ethers.utils.parseUnits(maxOutput), ratio: 0 },
+            },
+        ],
+    });
+    const result = (status, reason) => ({ reason, report: { status } });
+    const noOpp = result(ProcessPairReportStatus.NoOpportunity);
+    const foundOpp = result(ProcessPairReportStatus.FoundOpportunity);
+    const txFailed = result(
+        ProcessPairReportStatus.FoundOpportunity,
+        ProcessPairHaltReason.TxFailed,
+    );
+    const noEthPrice = result(
+        ProcessPairReportStatus.NoOpportunity,
+        ProcessPairHaltReason.FailedToGetEthPrice,
+    );
+    const failedToQuote = result(
+        ProcessPairReportStatus.NoOpportunity,
+        ProcessPairHaltReason.FailedToQuote,
+    );
+
+    it("should back off failing orders exponentially", async function () {
+        const tracker = createHealthTracker(1000, 3000, 3);
+        const order = orderPair("10");
+        assert.equal(getOrderHealthStatus(tracker, order, 0), OrderHealthStatus.Healthy);
+
+        assert.isFalse(recordOrderHealth(tracker, order, noOpp, 0));
+        assert.equal(getOrderHealthStatus(tracker, order, 999), OrderHealthStatus.Backoff);
+        assert.equal(getOrderHealthStatus(tracker, order, 1000), OrderHealthStatus.Healthy);
+
+        recordOrderHealth(tracker, order, noOpp, 1000);
+        assert.equal(getOrderHealthStatus(tracker, order, 2999), OrderHealthStatus.Backoff);
+        recordOrderHealth(tracker, order, noOpp, 3000);
+        assert.equal(tracker.orders.get(`${order.orderbook}/0x01/0xb/0xc`).retryAt, 6000);
+
+        // failed tx is not caused by the order
+        recordOrderHealth(tracker, order, txFailed, 6000);
+        assert.equal(tracker.orders.get(`${order.orderbook}/0x01/0xb/0xc`).failures, 3);
+
+        // quote change releases the order
+        assert.equal(
+            getOrderHealthStatus(tracker, orderPair("11"), 3000),
+            OrderHealthStatus.Healthy,
+        );
+        assert.equal(tracker.orders.size, 0);
+
+        // found opportunity resets the order
+        recordOrderHealth(tracker, order, noOpp, 0);
+        recordOrderHealth(tracker, order, foundOpp, 0);
+        assert.equal(tracker.orders.size, 0);
+    });
+
+    it("should quarantine orders that fail hard repeatedly", async function () {
+        const tracker = createHealthTracker(1000, 3000, 2);
+        const order = orderPair("10");
+        assert.isFalse(recordOrderHealth(tracker, order, noEthPrice, 0));
+        assert.isTrue(recordOrderHealth(tracker, order, noEthPrice, 0));
+        assert.equal(getOrderHealthStatus(tracker, order, 10_000), OrderHealthStatus.Quarantined);
+
+        // released once its pair's pools change
+        assert.equal(releaseQuarantinedOrders(tracker, new Set(["0xd/0xe"])), 0);
+        assert.equal(releaseQuarantinedOrders(tracker, new Set(["0xb/0xc"])), 1);
+        assert.equal(getOrderHealthStatus(tracker, order, 10_000), OrderHealthStatus.Healthy);
+
+        // soft failure breaks the hard failures streak
+        const unquoted = orderPair();
+        recordOrderHealth(tracker, unquoted, failedToQuote, 0);
+        recordOrderHealth(tracker, unquoted, noOpp, 0);
+        assert.isFalse(recordOrderHealth(tracker, unquoted, failedToQuote, 0));
+        assert.isTrue(recordOrderHealth(tracker, unquoted, failedToQuote, 0));
+
+        // still fails to quote, then quotes again as its vaults changed
+        assert.equal(
+            getOrderHealthStatus(tracker, unquoted, 10_000),
+            OrderHealthStatus.Quarantined,
+        );
+        assert.equal(getOrderHealthStatus(tracker, order, 10_000), OrderHealthStatus.Healthy);
+
+        // all are released when pools are refetched
+        recordOrderHealth(tracker, unquoted, failedToQuote, 0);
+        recordOrderHealth(tracker, unquoted, failedToQuote, 0);
+        assert.equal(releaseQuarantinedOrders(tracker), 1);
+    });
+});
@@ -0,0 +1,192 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { assert } = require("chai");
+const { ethers } = require("ethers");
+const { ProcessPairHaltReason, ProcessPairReportStatus } = require("../src/processOrders");
+const {
+    readLedger,
+    parseSince,
+    getLedgerEntry,
+    getLedgerReports,
+    appendLedgerEntry,
+    formatLedgerReports,
+} = require("../src/ledger");
+
+describe("Test ledger", async function () {
+    const orderPairObject = {
+        orderbook: "0x" + "1".repeat(40),
+        buyToken: "0x" + "2".repeat(40),
+        buyTokenSymbol: "A",
+        sellToken: "0x" + "3".repeat(40),
+        sellTokenSymbol: "B",
+        takeOrders: [{ id: "0x" + "4".repeat(64), takeOrder: { order: { owner: "0xOWNER" } } }],
+    };
+    const report = {
+        status: ProcessPairReportStatus.FoundOpportunity,
+        tokenPair: "A/B",
+        buyToken: orderPairObject.buyToken,
+        sellToken: orderPairObject.sellToken,
+        txUrl: "https://scan/tx/0x123",
+    };
+    const entry = (status, pair, owner, mode, timestamp, gasCost, netProfit) => ({
+        timestamp,
+        chainId: 137,
+        status,
+        orderbook: "0x1",
+        owner,
+        orders: ["0x4"],
+        pair,
+        mode,
+        gasCost,
+        bounty: [],
+        netProfit,
+    });
+
+    it("should get ledger entry of process pair result", async function () {
+        const mined = getLedgerEntry(
+            137,
+            {
+                report: {
+                    ...report,
+                    actualGasCost: "0.01",
+                    income: ethers.utils.parseUnits("0.5"),
+                    netProfit: ethers.utils.parseUnits("0.49"),
+                    inputTokenIncome: "12.5",
+                    clearedAmount: "100",
+                    clearMode: "rp4",
+                },
+                // as processPair() records the clear mode pick of findOpp()
+                spanAttributes: { "details.clearModePick": "rp4" },
+            },
+            orderPairObject,
+            "A/B",
+        );
+        assert.closeTo(mined.timestamp, Date.now(), 1000);
+        assert.deepEqual(
+            { ...mined, timestamp: undefined },
+            {
+                timestamp: undefined,
+                chainId: 137,
+                status: "mined",
+                orderbook: orderPairObject.orderbook,
+                owner: "0xowner",
+                orders: [orderPairObject.takeOrders[0].id],
+                pair: "A/B",
+                mode: "rp4",
+                txHash: "0x123",
+                gasCost: "0.01",
+                bounty: [{ token: orderPairObject.buyToken, symbol: "A", amount: "12.5" }],
+                income: "0.5",
+                netProfit: "0.49",
+                clearedAmount: "100",
+            },
+        );
+
+        const reverted = getLedgerEntry(
+            137,
+            {
+                reason: ProcessPairHaltReason.TxReverted,
+                error: { snapshot: "some revert reason" },
+                report: { ...report, actualGasCost: "0.01", clearMode: "inter" },
+                spanAttributes: { "details.clearModePick": "inter" },
+            },
+            orderPairObject,
+            "A/B",
+        );
+        assert.equal(reverted.status, "reverted");
+        assert.equal(reverted.mode, "inter");
+        assert.equal(reverted.error, "some revert reason");
+
+        // no tx was attempted
+        const noOpp = {
+            reason: ProcessPairHaltReason.FailedToQuote,
+            report: { ...report, txUrl: undefined },
+            spanAttributes: {},
+        };
+        assert.isUndefined(getLedgerEntry(137, noOpp, orderPairObject, "A/B"));
+        const dryRun = { report: { ...report, dryRun: true }, spanAttributes: {} };
+        assert.isUndefined(getLedgerEntry(137, dryRun, orderPairObject, "A/B"));
+    });
+
+    it("should append and read ledger entries", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "arb-bot-ledger-"));
+        const file = path.join(dir, "ledger.jsonl");
+        try {
+            const entries = [
+                entry("mined", "A/B", "0xa", "rp4", 1, "0.01", "0.5"),
+                entry("reverted", "A/B", "0xa", "rp4", 2, "0.01"),
+            ];
+            entries.forEach((v) => appendLedgerEntry(file, v));
+            assert.deepEqual(readLedger(file), JSON.parse(JSON.stringify(entries)));
+
+            fs.appendFileSync(file, "invalid\n");
+            assert.throws(() => readLedger(file), `invalid ledger entry at line 3 of "${file}"`);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("should parse since value", async function () {
+        const now = Date.parse("2024-01-10T00:00:00Z");
+        assert.equal(parseSince("7d", now), Date.parse("2024-01-03T00:00:00Z"));
+        assert.equal(parseSince("12h", now), Date.parse("2024-01-09T12:00:00Z"));
+        assert.equal(parseSince("30m", now), now - 30 * 60_000);
+        assert.equal(parseSince("2024-01-05", now), Date.parse("2024-01-05"));
+        assert.throws(
+            () => parseSince("yesterday", now),
+            'invalid since value "yesterday", expected a duration such as 7d or a date',
+        );
+    });
+
+    it("should aggregate ledger entries", async function () {
+        const day1 = Date.parse("2024-01-01T10:00:00Z");
+        const day2 = Date.parse("2024-01-02T10:00:00Z");
+        const entries = [
+            entry("mined", "A/B", "0xa", "rp4", day1, "0.01", "0.5"),
+            entry("reverted", "A/B", "0xb", "inter", day1, "0.02"),
+            entry("mined", "C/D", "0xa", "rp4", day2, "0.01"),
+            entry("send_failed", "C/D", "0xa", undefined, day2),
+        ];
+        const reports = getLedgerReports(entries);
+        const summary = (attempted, mined, reverted, failed, gasCost, pnl) => ({
+            attempted,
+            mined,
+            reverted,
+            failed,
+            gasCost: ethers.utils.parseUnits(gasCost),
+            pnl: ethers.utils.parseUnits(pnl),
+        });
+        assert.deepEqual(reports[137].total, summary(4, 2, 1, 1, "0.04", "0.47"));
+        assert.deepEqual(reports[137].day, {
+            "2024-01-01": summary(2, 1, 1, 0, "0.03", "0.48"),
+            "2024-01-02": summary(2, 1, 0, 1, "0.01", "-0.01"),
+        });
+        assert.deepEqual(reports[137].pair, {
+            "A/B": summary(2, 1, 1, 0, "0.03", "0.48"),
+            "C/D": summary(2, 1, 0, 1, "0.01", "-0.01"),
+        });
+        assert.deepEqual(reports[137].owner, {
+            "0xa": summary(3, 2, 0, 1, "0.02", "0.49"),
+            "0xb": summary(1, 0, 1, 0, "0.02", "-0.02"),
+        });
+        assert.deepEqual(reports[137].mode, {
+            rp4: summary(2, 2, 0, 0, "0.02", "0.49"),
+            inter: summary(1, 0, 1, 0, "0.02", "-0.02"),
+            unknown: summary(1, 0, 0, 1, "0.0", "0.0"),
+        });
+
+        // since the second day
+        const sinceReports = getLedgerReports(entries, day2);
+        assert.deepEqual(sinceReports[137].total, summary(2, 1, 0, 1, "0.01", "-0.01"));
+
+        const text = formatLedgerReports(sinceReports).split("\n");
+        assert.deepEqual(text.slice(0, 4), [
+            "chain 137",
+            "  total: attempted: 2, mined: 1, reverted: 0, failed: 1, gas: 0.01, pnl: -0.01",
+            "  by day:",
+            "    2024-01-02: attempted: 2, mined: 1, reverted: 0, failed: 1, gas: 0.01, pnl: -0.01",
+        ]);
+        assert.equal(formatLedgerReports({}), "no ledger entries found");
+    });
+});
@@ -0,0 +1,136 @@
+const { assert } = require("chai");
+const { ethers } = require("ethers");
+const { ProcessPairHaltReason, ProcessPairReportStatus } = require("../src/processOrders");
+const {
+    Metrics,
+    incMetric,
+    resetMetrics,
+    renderMetrics,
+    observeMetric,
+    recordRpcRecords,
+    recordWalletBalances,
+    recordProcessPairResult,
+} = require("../src/metrics");
+
+describe("Test metrics", async function () {
+    beforeEach(() => resetMetrics());
+
+    it("should render metrics in prometheus format", async function () {
+        incMetric(Metrics.rounds, { chain_id: 137 });
+        incMetric(Metrics.rounds, { chain_id: 137 });
+        incMetric(Metrics.rpcRequests, { chain_id: 137, url: 'https://rpc.com/"a"' }, 5);
+        observeMetric(Metrics.gasSpent, { chain_id: 137 }, 0.005);
+        observeMetric(Metrics.gasSpent, { chain_id: 137 }, 2);
+
+        const result = renderMetrics().split("\n");
+        assert.include(result, "# TYPE arb_bot_rounds_total counter");
+        assert.include(result, 'arb_bot_rounds_total{chain_id="137"} 2');
+        assert.include(
+            result,
+            'arb_bot_rpc_requests_total{chain_id="137",url="https://rpc.com/\\"a\\""} 5',
+        );
+        assert.include(result, "# TYPE arb_bot_gas_spent_native histogram");
+        assert.include(result, 'arb_bot_gas_spent_native_bucket{chain_id="137",le="0.001"} 0');
+        assert.include(result, 'arb_bot_gas_spent_native_bucket{chain_id="137",le="0.01"} 1');
+        assert.include(result, 'arb_bot_gas_spent_native_bucket{chain_id="137",le="1"} 1');
+        assert.include(result, 'arb_bot_gas_spent_native_bucket{chain_id="137",le="+Inf"} 2');
+        assert.include(result, 'arb_bot_gas_spent_native_sum{chain_id="137"} 2.005');
+        assert.include(result, 'arb_bot_gas_spent_native_count{chain_id="137"} 2');
+    });
+
+    it("should record process pair results", async function () {
+        const report = {
+            status: ProcessPairReportStatus.FoundOpportunity,
+            tokenPair: "A/B",
+            buyToken: "0x1",
+            sellToken: "0x2",
+        };
+        // mined
+        recordProcessPairResult(1, {
+            report: {
+                ...report,
+                txUrl: "https://scan/tx/0x1",
+                actualGasCost: "0.002",
+                netProfit: ethers.utils.parseUnits("0.5"),
+                clearMode: "rp4",
+            },
+            // as processPair() records the clear mode pick of findOpp()
+            spanAttributes: { foundOpp: true, "details.clearModePick": "rp4" },
+        });
+        // reverted
+        recordProcessPairResult(1, {
+            reason: ProcessPairHaltReason.TxReverted,
+            report: {
+                ...report,
+                txUrl: "https://scan/tx/0x2",
+                actualGasCost: "0.001",
+                clearMode: "inter",
+            },
+            spanAttributes: { foundOpp: true, "details.clearModePick": "inter" },
+        });
+        // failed to quote
+        recordProcessPairResult(1, {
+            reason: ProcessPairHaltReason.FailedToQuote,
+            report: { ...report, status: ProcessPairReportStatus.NoOpportunity },
+            spanAttributes: {},
+        });
+
+        const result = renderMetrics().split("\n");
+        assert.include(result, 'arb_bot_opportunities_total{chain_id="1",mode="rp4"} 1');
+        assert.include(result, 'arb_bot_opportunities_total{chain_id="1",mode="inter"} 1');
+        assert.include(result, 'arb_bot_txs_total{chain_id="1",status="sent"} 2');
+        assert.include(result, 'arb_bot_txs_total{chain_id="1",status="mined"} 1');
+        assert.include(result, 'arb_bot_txs_total{chain_id="1",status="reverted"} 1');
+        assert.include(result, 'arb_bot_net_profit_native_sum{chain_id="1"} 0.5');
+        assert.include(result, 'arb_bot_gas_spent_native_sum{chain_id="1"} 0.003');
+        assert.include(result, 'arb_bot_gas_spent_native_count{chain_id="1"} 2');
+        assert.include(result, 'arb_bot_quote_failures_total{chain_id="1"} 1');
+    });
+
+    it("should record rpc records and wallet balances", async function () {
+        const rpcRecords = {
+            "https://rpc.com/": { req: 10, success: 8, failure: 1, cache: {} },
+            "https://rpc.com/secret-key/": { req: 1, success: 1, failure: 0, cache: {} },
+        };
+        recordRpcRecords(1, rpcRecords);
+        recordRpcRecords(1, rpcRecords);
+
+        const config = {
+            chain: { id: 1 },
+            mainAccount: {
+                account: { address: "0x" + "1".repeat(40) },
+                BALANCE: ethers.utils.parseUnits("10"),
+            },
+            accounts: [
+                {
+                    account: { address: "0x" + "2".repeat(40) },
+                    BALANCE: ethers.utils.parseUnits("1.5"),
+                },
+            ],
+        };
+        recordWalletBalances(config);
+        // removed wallets should no longer be reported
+        config.accounts = [];
+        recordWalletBalances(config);
+
+        const result = renderMetrics().split("\n");
+        assert.include(result, 'arb_bot_rpc_requests_total{chain_id="1",url="https://rpc.com"} 20');
+        assert.include(result, 'arb_bot_rpc_success_total{chain_id="1",url="https://rpc.com"} 16');
+        assert.include(result, 'arb_bot_rpc_failure_total{chain_id="1",url="https://rpc.com"} 2');
+
+        // urls with api keys are redacted
+        assert.include(
+            result,
+            'arb_bot_rpc_requests_total{chain_id="1",url="https://rpc.com/***"} 2',
+        );
+        assert.isFalse(result.some((v) => v.includes("secret-key")));
+        assert.include(
+            result,
+            `arb_bot_wallet_balance_native{chain_id="1",address="0x${"1".repeat(40)}"} 10`,
+        );
+        assert.notInclude(
+            result,
+            `arb_bot_wallet_balance_native{chain_id="1",address="0x${"2".repeat(40)}"} 1.5`,
+        );
+    });
+});
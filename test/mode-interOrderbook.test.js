@@ -4,7 +4,7 @@ const { ethers } = require("ethers");
 const { orderbookAbi } = require("../src/abis");
 const { errorSnapshot } = require("../src/error");
 const { estimateProfit } = require("../src/utils");
-const { dryrun, findOpp } = require("../src/modes/interOrderbook");
+const { dryrun, findOpp, getOpposingCapacity } = require("../src/modes/interOrderbook");
 const { getBountyEnsureRainlang, parseRainlang } = require("../src/task");
 
 // mocking signer and dataFetcher
@@ -390,4 +390,59 @@ describe("Test inter-orderbook find opp", async function () {
             assert.deepEqual(error, expected);
         }
     });
+
+    it("should give up on a slow orderbook after the timeout", async function () {
+        signer.estimateGas = () => new Promise(() => {});
+        try {
+            await findOpp({
+                orderPairObject,
+                signer,
+                gasPrice,
+                arb,
+                inputToEthPrice,
+                outputToEthPrice,
+                config,
+                viemClient,
+                orderbooksOrders,
+                timeout: 10,
+            });
+            assert.fail("expected to reject, but resolved");
+        } catch (error) {
+            assert.deepEqual(error.spanAttributes, {
+                againstOrderbooks: JSON.stringify({
+                    [opposingOrderbookAddress]: { error: "timed out after 10ms" },
+                }),
+            });
+        }
+    });
+});
+
+describe("Test inter-orderbook opposing capacity", async function () {
+    const order = (ratio, maxOutput) => ({
+        quote: {
+            ratio: ethers.utils.parseUnits(ratio),
+            maxOutput: ethers.utils.parseUnits(maxOutput),
+        },
+    });
+
+    it("should get the max input that opposing orders can take", async function () {
+        const opposingOrders = {
+            ...opposingOrderPairObject,
+            takeOrders: [order("1", "2"), order("1.5", "3"), order("3", "100")],
+        };
+
+        // last opposing order's ratio is not covered by 1 / 0.4
+        assert.deepEqual(
+            getOpposingCapacity(orderPairObject, opposingOrders),
+            ethers.utils.parseUnits("12.5"),
+        );
+
+        // zero ratio order can be taken by any amount
+        assert.isUndefined(
+            getOpposingCapacity(
+                { ...orderPairObject, takeOrders: [order("0", "1")] },
+                opposingOrders,
+            ),
+        );
+    });
 });
@@ -0,0 +1,75 @@
+const { assert } = require("chai");
+const { ethers } = require("ethers");
+const { findRings, getRingAmounts } = require("../src/modes/ringOrderbook");
+
+describe("Test ring orderbook", async function () {
+    const order = (owner, ratio, maxOutput) => ({
+        id: owner + ratio,
+        takeOrder: { order: { owner } },
+        quote: {
+            ratio: ethers.utils.parseUnits(ratio),
+            maxOutput: ethers.utils.parseUnits(maxOutput),
+        },
+    });
+    const pair = (orderbook, buyToken, sellToken, takeOrders) => ({
+        orderbook,
+        buyToken,
+        sellToken,
+        buyTokenDecimals: 18,
+        sellTokenDecimals: 18,
+        takeOrders,
+    });
+    const main = pair("0xob1", "0xA", "0xB", [order("0xowner", "0.5", "10")]);
+
+    it("should find rings of three or more orders on distinct orderbooks", async function () {
+        const legBC = pair("0xob2", "0xB", "0xC", [
+            order("0xother", "2", "100"),
+            order("0xother", "1", "100"),
+            order("0xowner", "0.1", "100"),
+        ]);
+        const legCA = pair("0xob3", "0xC", "0xA", [order("0xother", "1", "100")]);
+        const orderbooksOrders = [
+            [main, pair("0xob1", "0xC", "0xA", [order("0xother", "1", "100")])],
+            [legBC, pair("0xob2", "0xB", "0xA", [order("0xother", "1", "100")])],
+            [legCA],
+        ];
+        const rings = findRings(main, orderbooksOrders);
+
+        // same orderbook and two orders rings are left out
+        assert.equal(rings.length, 1);
+        assert.deepEqual(
+            rings[0].map((v) => v.orderbook),
+            ["0xob1", "0xob2", "0xob3"],
+        );
+
+        // cheapest order that is not owned by the main order's owner
+        assert.equal(rings[0][1].takeOrders[0].id, "0xother1");
+    });
+
+    it("should get the amounts of a ring's orders", async function () {
+        const ring = [
+            main,
+            pair("0xob2", "0xB", "0xC", [order("0xother", "0.5", "100")]),
+            pair("0xob3", "0xC", "0xA", [order("0xother", "0.5", "6")]),
+        ];
+
+        // main order's output is limited by the last order's max output
+        const amounts = getRingAmounts(ring, ethers.utils.parseUnits("10"));
+        assert.isTrue(amounts[0].gt(ethers.utils.parseUnits("1.5")));
+        assert.isTrue(amounts[0].lt(ethers.utils.parseUnits("1.5004")));
+        assert.isTrue(amounts[2].lte(ethers.utils.parseUnits("6")));
+        for (let i = 1; i < amounts.length; i++) {
+            assert.isTrue(
+                amounts[i].lte(
+                    amounts[i - 1]
+                        .mul(ethers.constants.WeiPerEther)
+                        .div(ring[i].takeOrders[0].quote.ratio),
+                ),
+            );
+        }
+
+        // not limited
+        const unlimited = getRingAmounts(ring, ethers.utils.parseUnits("1"));
+        assert.deepEqual(unlimited[0], ethers.utils.parseUnits("1"));
+    });
+});
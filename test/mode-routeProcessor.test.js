@@ -10,6 +10,7 @@ const { getBountyEnsureRainlang, parseRainlang } = require("../src/task");
 const {
     dryrun,
     findOpp,
+    findBatchOrders,
     findOppWithRetries,
     RouteProcessorDryrunHaltReason,
 } = require("../src/modes/routeProcessor");
@@ -805,3 +806,56 @@ describe("Test find opp with retries", async function () {
         }
     });
 });
+
+describe("Test find batch orders", async function () {
+    const order = (ratio, maxOutput) => ({
+        ...orderPairObject.takeOrders[0],
+        id: ethers.utils.hexlify(ethers.utils.randomBytes(32)),
+        quote: {
+            maxOutput: ethers.utils.parseUnits(maxOutput),
+            ratio: ethers.utils.parseUnits(ratio),
+        },
+    });
+    const cheapOrder = order("0.1", "0.001");
+    const expensiveOrder = order("1000", "1");
+    const zeroOrder = order("0", "0");
+    const pairOrders = {
+        ...orderPairObject,
+        takeOrders: [
+            expensiveOrder,
+            orderPairObject.takeOrders[0],
+            zeroOrder,
+            { ...cheapOrder, quote: undefined },
+            cheapOrder,
+        ],
+    };
+    const dataFetcher = { getCurrentPoolCodeMap: () => poolCodeMap };
+    const args = {
+        pairOrders,
+        dataFetcher,
+        fromToken,
+        toToken,
+        gasPrice,
+    };
+
+    it("should combine the orders that market price covers", async function () {
+        const result = findBatchOrders({ ...args, config: { ...config, batchOrders: 3 } });
+        assert.deepEqual(result, {
+            ...orderPairObject,
+            takeOrders: [cheapOrder, orderPairObject.takeOrders[0]],
+        });
+
+        // limited by max batch size
+        assert.isUndefined(findBatchOrders({ ...args, config: { ...config, batchOrders: 1 } }));
+        assert.isUndefined(findBatchOrders({ ...args, config }));
+
+        // less than 2 orders are covered by the market price
+        assert.isUndefined(
+            findBatchOrders({
+                ...args,
+                pairOrders: { ...orderPairObject, takeOrders: [cheapOrder, expensiveOrder] },
+                config: { ...config, batchOrders: 3 },
+            }),
+        );
+    });
+});
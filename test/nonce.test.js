@@ -0,0 +1,80 @@
+const { assert } = require("chai");
+const { NonceTooLowError } = require("viem");
+const {
+    claimNonce,
+    settleNonce,
+    releaseNonce,
+    isNonceError,
+    setNoncePending,
+    getInflightCount,
+    createNonceManager,
+} = require("../src/nonce");
+
+describe("Test nonce manager", async function () {
+    it("should claim consecutive nonces and sync once", async function () {
+        const manager = createNonceManager();
+        let syncs = 0;
+        const getNonce = async () => {
+            syncs++;
+            return 7;
+        };
+        const nonces = await Promise.all([
+            claimNonce(manager, getNonce),
+            claimNonce(manager, getNonce),
+            claimNonce(manager, getNonce),
+        ]);
+        assert.deepEqual(nonces, [7, 8, 9]);
+        assert.equal(syncs, 1);
+        assert.deepEqual([...manager.inflight], [7, 8, 9]);
+
+        releaseNonce(manager, 7);
+        assert.deepEqual([...manager.inflight], [8, 9]);
+        assert.equal(manager.next, 10);
+    });
+
+    it("should roll back, resync on gaps and on nonce errors", async function () {
+        const manager = createNonceManager();
+        let chainNonce = 0;
+        const getNonce = async () => chainNonce;
+
+        // last claimed nonce is rolled back
+        await claimNonce(manager, getNonce);
+        const nonce = await claimNonce(manager, getNonce);
+        releaseNonce(manager, nonce, new Error("some error"));
+        assert.equal(manager.next, 1);
+
+        // a failed tx before the last claimed one leaves a gap, so it is resynced
+        await claimNonce(manager, getNonce);
+        releaseNonce(manager, 0, new Error("some error"));
+        assert.isUndefined(manager.next);
+        assert.equal(await claimNonce(manager, getNonce), 0);
+
+        // nonce errors resync
+        chainNonce = 5;
+        releaseNonce(manager, 0, new Error("nonce too low: next nonce 5, tx nonce 0"));
+        assert.isUndefined(manager.next);
+        assert.equal(await claimNonce(manager, getNonce), 5);
+    });
+
+    it("should keep sent nonces pending until they are settled", async function () {
+        const manager = createNonceManager();
+        const nonce = await claimNonce(manager, async () => 3);
+        assert.equal(getInflightCount(manager), 1);
+
+        releaseNonce(manager, nonce);
+        setNoncePending(manager, nonce, "0xABC");
+        assert.equal(manager.inflight.size, 0);
+        assert.equal(manager.pending.get("0xabc"), 3);
+        assert.equal(getInflightCount(manager), 1);
+
+        settleNonce(manager, "0xabc");
+        assert.equal(getInflightCount(manager), 0);
+    });
+
+    it("should detect nonce errors", async function () {
+        assert.isTrue(isNonceError(new NonceTooLowError()));
+        assert.isTrue(isNonceError(new Error("replacement transaction underpriced")));
+        assert.isTrue(isNonceError("already known"));
+        assert.isFalse(isNonceError(new Error("insufficient funds")));
+    });
+});
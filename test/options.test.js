@@ -1,6 +1,7 @@
 const { assert } = require("chai");
 const { getConfig } = require("../src");
 const { assertError } = require("./utils");
+const { parseOptions, redactOptions } = require("../src/options");
 const { LiquidityProviders } = require("sushi");
 
 describe("Test app options", async function () {
@@ -40,4 +41,77 @@ describe("Test app options", async function () {
             "unexpected error",
         );
     });
+
+    it("should parse and coerce options with defaults", async function () {
+        const result = parseOptions({
+            key: "0x" + "1".repeat(64),
+            rpc: "https://rpc-1.com, https://rpc-2.com",
+            arbAddress: "0x" + "3".repeat(40),
+            botMinBalance: "0.5",
+            dispair: "0x" + "4".repeat(40),
+            sleep: "20",
+            retries: 2,
+            quoteGas: "5000",
+            ownerProfile: ["0x" + "5".repeat(40) + "=10", "0x" + "6".repeat(40) + "=max"],
+            selfFundOrders: "0x" + "7".repeat(40) + ",1,2,3",
+            walletCount: "4",
+        });
+        assert.deepEqual(result.rpc, ["https://rpc-1.com", "https://rpc-2.com"]);
+        assert.equal(result.sleep, 20);
+        assert.equal(result.retries, 2);
+        assert.equal(result.hops, 1);
+        assert.equal(result.gasCoverage, "100");
+        assert.equal(result.gasPriceMultiplier, 107);
+        assert.equal(result.gasLimitMultiplier, 100);
+        assert.equal(result.poolUpdateInterval, 0);
+        assert.equal(result.quoteGas, 5000n);
+        assert.equal(result.route, "single");
+        assert.equal(result.walletCount, undefined);
+        assert.deepEqual(result.ownerProfile, {
+            ["0x" + "5".repeat(40)]: 10,
+            ["0x" + "6".repeat(40)]: Number.MAX_SAFE_INTEGER,
+        });
+        assert.deepEqual(result.selfFundOrders, [
+            { token: "0x" + "7".repeat(40), vaultId: "1", threshold: "2", topupAmount: "3" },
+        ]);
+    });
+
+    it("should report all invalid options at once", async function () {
+        try {
+            parseOptions({
+                key: "0x" + "1".repeat(64),
+                rpc: ["https://rpc.com"],
+                arbAddress: "0x" + "3".repeat(40),
+                hops: "0",
+                gasPriceMultiplier: "abcd",
+                route: "some-route",
+            });
+            assert.fail("expected to fail, but resolved");
+        } catch (error) {
+            const expected = [
+                "invalid hops value, must be an integer greater than 0",
+                "expected a valid value for --bot-min-balance, it should be an number greater than 0",
+                "invalid route value, must be one of 'single', 'multi' or 'full'",
+                "invalid gasPriceMultiplier value, must be an integer greater than zero",
+                "undefined dispair address",
+            ].join("\n");
+            assert.equal(error, expected);
+        }
+    });
+
+    it("should redact secrets", async function () {
+        const result = redactOptions({
+            key: "0x" + "1".repeat(64),
+            rpc: ["https://rpc.com/v2/some-api-key", "https://other-rpc.com"],
+            quoteGas: 1000n,
+            sleep: 10,
+        });
+        const expected = {
+            key: "***",
+            rpc: ["https://rpc.com/***", "https://other-rpc.com"],
+            quoteGas: "1000",
+            sleep: 10,
+        };
+        assert.deepEqual(result, expected);
+    });
 });
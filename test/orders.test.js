@@ -5,7 +5,13 @@ const { ethers, viem, network } = require("hardhat");
 const ERC20Artifact = require("./abis/ERC20Upgradeable.json");
 const { decodeAbiParameters, parseAbiParameters } = require("viem");
 const { deployOrderBookNPE2, encodeQuoteResponse } = require("./utils");
-const { bundleOrders, getVaultBalance, quoteOrders, quoteSingleOrder } = require("../src/utils");
+const {
+    bundleOrders,
+    quoteOrders,
+    getVaultBalance,
+    quoteSingleOrder,
+    batchQuoteOrders,
+} = require("../src/utils");
 const {
     utils: { hexlify, randomBytes, keccak256 },
 } = require("ethers");
@@ -558,6 +564,157 @@ describe("Test order", async function () {
         assert.deepEqual(result, expected);
     });
 
+    it("should batch quote orders", async function () {
+        const orderbook = `0x${"2".repeat(40)}`;
+        const takeOrder = (id) => ({
+            id,
+            quote: {
+                maxOutput: ethers.BigNumber.from("33"),
+                ratio: ethers.BigNumber.from("44"),
+            },
+            takeOrder: {
+                order: {
+                    owner: `0x${"2".repeat(40)}`,
+                    evaluable: {
+                        interpreter: `0x${"2".repeat(40)}`,
+                        store: `0x${"2".repeat(40)}`,
+                        bytecode: "0x",
+                    },
+                    validInputs: [
+                        {
+                            token: `0x${"2".repeat(40)}`,
+                            decimals: 18,
+                            vaultId: ethers.BigNumber.from("1"),
+                        },
+                    ],
+                    validOutputs: [
+                        {
+                            token: `0x${"2".repeat(40)}`,
+                            decimals: 18,
+                            vaultId: ethers.BigNumber.from("1"),
+                        },
+                    ],
+                    nonce: "1",
+                },
+                inputIOIndex: 0,
+                outputIOIndex: 0,
+                signedContext: [],
+            },
+        });
+        const orderDetails = [
+            [
+                {
+                    orderbook,
+                    takeOrders: [
+                        takeOrder(`0x${"1".repeat(64)}`),
+                        takeOrder(`0x${"2".repeat(64)}`),
+                    ],
+                },
+                { orderbook, takeOrders: [takeOrder(`0x${"3".repeat(64)}`)] },
+            ],
+        ];
+        const config = { chain: { id: 137 }, quoteGas: 1_000_000n };
+
+        // orders are quoted in 2 batches of 2 and 1 orders by the gas limit:
+        // first batch: first order successfull (maxout 1, ratio 2), second order fails
+        // second batch: fails for all rpcs
+        await mockServer
+            .forPost("/rpc")
+            .once()
+            .thenSendJsonRpcResult(
+                encodeQuoteResponse([
+                    [true, ethers.BigNumber.from(1), ethers.BigNumber.from(2)],
+                    [false, ethers.BigNumber.from(0), ethers.BigNumber.from(0)],
+                ]),
+            );
+        await mockServer.forPost("/rpc").thenSendJsonRpcError();
+        const failed = await batchQuoteOrders(
+            config,
+            orderDetails,
+            [mockServer.url + "/rpc"],
+            2_000_000n,
+        );
+        assert.equal(failed, 1);
+        assert.deepEqual(orderDetails[0][0].takeOrders[0].quote, {
+            maxOutput: ethers.BigNumber.from(1),
+            ratio: ethers.BigNumber.from(2),
+        });
+        // previous quotes are reset
+        assert.isUndefined(orderDetails[0][0].takeOrders[1].quote);
+        assert.isUndefined(orderDetails[0][1].takeOrders[0].quote);
+    });
+
+    it("should batch quote orders with the configured quote gas if getting it fails", async function () {
+        const orderbook = `0x${"2".repeat(40)}`;
+        const takeOrder = (id) => ({
+            id,
+            quote: {
+                maxOutput: ethers.BigNumber.from("33"),
+                ratio: ethers.BigNumber.from("44"),
+            },
+            takeOrder: {
+                order: {
+                    owner: `0x${"2".repeat(40)}`,
+                    evaluable: {
+                        interpreter: `0x${"2".repeat(40)}`,
+                        store: `0x${"2".repeat(40)}`,
+                        bytecode: "0x",
+                    },
+                    validInputs: [
+                        {
+                            token: `0x${"2".repeat(40)}`,
+                            decimals: 18,
+                            vaultId: ethers.BigNumber.from("1"),
+                        },
+                    ],
+                    validOutputs: [
+                        {
+                            token: `0x${"2".repeat(40)}`,
+                            decimals: 18,
+                            vaultId: ethers.BigNumber.from("1"),
+                        },
+                    ],
+                    nonce: `0x${"1".repeat(64)}`,
+                },
+                inputIOIndex: 0,
+                outputIOIndex: 0,
+                signedContext: [],
+            },
+        });
+        const orderDetails = [
+            [
+                { orderbook, takeOrders: [takeOrder(`0x${"1".repeat(64)}`)] },
+                { orderbook, takeOrders: [takeOrder(`0x${"2".repeat(64)}`)] },
+            ],
+        ];
+        // arbitrum quote gas is got from the node interface, which fails here
+        let gasCalls = 0;
+        const config = {
+            chain: { id: 42161 },
+            quoteGas: 1_000_000n,
+            viemClient: {
+                chain: { contracts: { multicall3: { address: `0x${"3".repeat(40)}` } } },
+                simulateContract: async () => {
+                    gasCalls++;
+                    throw "node interface failed";
+                },
+            },
+        };
+        await mockServer.forPost("/rpc").thenSendJsonRpcError();
+        const failed = await batchQuoteOrders(
+            config,
+            orderDetails,
+            [mockServer.url + "/rpc"],
+            2_000_000n,
+        );
+
+        // quote gas is got once for the orderbook, and both orders are quoted in one batch
+        assert.equal(gasCalls, 1);
+        assert.equal(failed, 1);
+        assert.isUndefined(orderDetails[0][0].takeOrders[0].quote);
+        assert.isUndefined(orderDetails[0][1].takeOrders[0].quote);
+    });
+
     it("should single quote order", async function () {
         const orderbook = `0x${"2".repeat(40)}`;
         const orderDetails = {
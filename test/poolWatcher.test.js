@@ -0,0 +1,114 @@
+const { assert } = require("chai");
+const {
+    getTokenPairKey,
+    getOrderPairKey,
+    createPoolWatcher,
+    updatePoolWatcher,
+    isOrderPairChanged,
+    markOrderPairProcessed,
+    MAX_WATCH_BLOCK_RANGE,
+} = require("../src/poolWatcher");
+
+describe("Test pool watcher", async function () {
+    const orderbook = "0x" + "a".repeat(40);
+    const pool1 = "0x" + "1".repeat(40);
+    const pool2 = "0x" + "2".repeat(40);
+    const orderPair = (id, buyToken, sellToken) => ({
+        orderbook,
+        buyToken,
+        sellToken,
+        takeOrders: [{ id }],
+    });
+    const order1 = orderPair("0x01", "0xB", "0xC");
+    const order2 = orderPair("0x02", "0xD", "0xE");
+
+    // a client that returns the given logs for the queried addresses
+    const getClient = (blockNumber, emitters = []) => {
+        const calls = [];
+        return {
+            calls,
+            getBlockNumber: async () => blockNumber,
+            getLogs: async (args) => {
+                calls.push(args);
+                return emitters
+                    .filter((v) => args.address.includes(v))
+                    .map((v) => ({ address: v.toUpperCase() }));
+            },
+        };
+    };
+
+    it("should get pair keys", async function () {
+        assert.equal(getTokenPairKey("0xB", "0xa"), "0xa/0xb");
+        assert.equal(getTokenPairKey("0xa", "0xB"), "0xa/0xb");
+        assert.equal(getOrderPairKey(order1), `${orderbook}/0x01/0xb/0xc`);
+    });
+
+    it("should skip processed orders until max idle", async function () {
+        const watcher = createPoolWatcher(60_000);
+        assert.isTrue(isOrderPairChanged(watcher, order1, 1000));
+
+        markOrderPairProcessed(watcher, order1, [pool1.toUpperCase()], 1000);
+        assert.isFalse(isOrderPairChanged(watcher, order1, 1000));
+        assert.isFalse(isOrderPairChanged(watcher, order1, 60_999));
+        assert.isTrue(isOrderPairChanged(watcher, order1, 61_000));
+        assert.deepEqual(watcher.pools.get("0xb/0xc"), new Set([pool1]));
+    });
+
+    it("should re-process orders whose pools or orderbook emitted logs", async function () {
+        const watcher = createPoolWatcher(60_000);
+
+        // first read only sets the starting block
+        assert.deepEqual(await updatePoolWatcher(watcher, getClient(10n), [orderbook]), []);
+        assert.equal(watcher.lastBlock, 10n);
+
+        markOrderPairProcessed(watcher, order1, [pool1]);
+        markOrderPairProcessed(watcher, order2, [pool2]);
+
+        // nothing changed
+        let client = getClient(12n);
+        await updatePoolWatcher(watcher, client, [orderbook]);
+        assert.deepEqual(client.calls, [
+            { address: [orderbook, pool1, pool2], fromBlock: 11n, toBlock: 12n },
+        ]);
+        assert.isFalse(isOrderPairChanged(watcher, order1));
+        assert.isFalse(isOrderPairChanged(watcher, order2));
+
+        // pool of the first pair changed
+        client = getClient(13n, [pool1]);
+        assert.deepEqual(await updatePoolWatcher(watcher, client, [orderbook]), [pool1]);
+        assert.isTrue(isOrderPairChanged(watcher, order1));
+        assert.isFalse(isOrderPairChanged(watcher, order2));
+        assert.deepEqual(watcher.changedPairs, new Set(["0xb/0xc"]));
+
+        // orderbook changed
+        markOrderPairProcessed(watcher, order1, [pool1]);
+        await updatePoolWatcher(watcher, getClient(14n, [orderbook]), [orderbook]);
+        assert.isTrue(isOrderPairChanged(watcher, order1));
+        assert.isTrue(isOrderPairChanged(watcher, order2));
+    });
+
+    it("should re-process all orders if logs cannot be read", async function () {
+        const watcher = createPoolWatcher(60_000);
+        await updatePoolWatcher(watcher, getClient(10n), [orderbook]);
+        markOrderPairProcessed(watcher, order1, [pool1]);
+
+        // too many blocks have passed
+        await updatePoolWatcher(watcher, getClient(11n + MAX_WATCH_BLOCK_RANGE), [orderbook]);
+        assert.isTrue(isOrderPairChanged(watcher, order1));
+        assert.deepEqual(watcher.changedPairs, new Set(["0xb/0xc"]));
+        assert.equal(watcher.lastBlock, 11n + MAX_WATCH_BLOCK_RANGE);
+
+        // failed to read logs
+        markOrderPairProcessed(watcher, order1, [pool1]);
+        const client = getClient(12n + MAX_WATCH_BLOCK_RANGE);
+        client.getLogs = async () => Promise.reject("some error");
+        try {
+            await updatePoolWatcher(watcher, client, [orderbook]);
+            throw "expected to fail";
+        } catch (error) {
+            assert.equal(error, "some error");
+        }
+        assert.isTrue(isOrderPairChanged(watcher, order1));
+        assert.isUndefined(watcher.lastBlock);
+    });
+});
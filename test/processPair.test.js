@@ -2,6 +2,7 @@ const { assert } = require("chai");
 const fixtures = require("./data");
 const mockServer = require("mockttp").getLocal();
 const { encodeQuoteResponse } = require("./utils");
+const { createNonceManager } = require("../src/nonce");
 const { clone, estimateProfit } = require("../src/utils");
 const {
     ethers,
@@ -9,6 +10,7 @@ const {
 } = require("ethers");
 const {
     processPair,
+    splitOrderPairObject,
     ProcessPairHaltReason,
     ProcessPairReportStatus,
 } = require("../src/processOrders");
@@ -54,6 +56,7 @@ describe("Test process pair", async function () {
             account: { address: "0x1F1E4c845183EF6d50E9609F16f6f9cAE43BC9Cb" },
             BALANCE: ethers.BigNumber.from(0),
             BOUNTY: [],
+            NONCE: createNonceManager(),
             getAddress: () => "0x1F1E4c845183EF6d50E9609F16f6f9cAE43BC9Cb",
             getBlockNumber: async () => 123456,
             getGasPrice: async () => gasPrice.toBigInt(),
@@ -121,9 +124,19 @@ describe("Test process pair", async function () {
                 state,
             })
         )();
+        const estimatedProfit = estimateProfit(
+            orderPairObject,
+            getCurrentInputToEthPrice(),
+            ethers.utils.parseUnits("1"),
+            undefined,
+            getCurrentPrice(vaultBalance),
+            vaultBalance,
+        );
         const expected = {
             report: {
                 status: ProcessPairReportStatus.FoundOpportunity,
+                estimatedProfit,
+                clearMode: "rp4",
                 txUrl: scannerUrl + "/tx/" + txHash,
                 tokenPair: pair,
                 buyToken: orderPairObject.buyToken,
@@ -163,16 +176,7 @@ describe("Test process pair", async function () {
                     maxOutput: formatUnits(vaultBalance),
                     ratio: formatUnits(ethers.constants.Zero),
                 }),
-                "details.estimatedProfit": formatUnits(
-                    estimateProfit(
-                        orderPairObject,
-                        getCurrentInputToEthPrice(),
-                        ethers.utils.parseUnits("1"),
-                        undefined,
-                        getCurrentPrice(vaultBalance),
-                        vaultBalance,
-                    ),
-                ),
+                "details.estimatedProfit": formatUnits(estimatedProfit),
                 "details.gasEst.headroom.gasLimit": gasLimitEstimation.toString(),
                 "details.gasEst.headroom.gasPrice": gasPrice
                     .mul(config.gasPriceMultiplier)
@@ -213,9 +217,19 @@ describe("Test process pair", async function () {
                 state,
             })
         )();
+        const estimatedProfit = estimateProfit(
+            orderPairObject,
+            getCurrentInputToEthPrice(),
+            ethers.utils.parseUnits("1"),
+            orderbooksOrders[0][0],
+            undefined,
+            vaultBalance,
+        );
         const expected = {
             report: {
                 status: ProcessPairReportStatus.FoundOpportunity,
+                estimatedProfit,
+                clearMode: "inter",
                 txUrl: scannerUrl + "/tx/" + txHash,
                 tokenPair: pair,
                 buyToken: orderPairObject.buyToken,
@@ -252,16 +266,7 @@ describe("Test process pair", async function () {
                     maxOutput: formatUnits(vaultBalance),
                     ratio: formatUnits(ethers.constants.Zero),
                 }),
-                "details.estimatedProfit": formatUnits(
-                    estimateProfit(
-                        orderPairObject,
-                        getCurrentInputToEthPrice(),
-                        ethers.utils.parseUnits("1"),
-                        orderbooksOrders[0][0],
-                        undefined,
-                        vaultBalance,
-                    ),
-                ),
+                "details.estimatedProfit": formatUnits(estimatedProfit),
                 "details.gasEst.headroom.gasLimit": gasLimitEstimation.toString(),
                 "details.gasEst.headroom.gasPrice": gasPrice
                     .mul(config.gasPriceMultiplier)
@@ -514,9 +519,19 @@ describe("Test process pair", async function () {
                 gas: gasLimitEstimation.toString(),
                 from: signer.account.address,
             };
+            const estimatedProfit = estimateProfit(
+                orderPairObject,
+                getCurrentInputToEthPrice(),
+                ethers.utils.parseUnits("1"),
+                undefined,
+                getCurrentPrice(vaultBalance),
+                vaultBalance,
+            );
             const expected = {
                 report: {
                     status: ProcessPairReportStatus.FoundOpportunity,
+                    estimatedProfit,
+                    clearMode: "rp4",
                     tokenPair: pair,
                     buyToken: orderPairObject.buyToken,
                     sellToken: orderPairObject.sellToken,
@@ -547,16 +562,7 @@ describe("Test process pair", async function () {
                         maxOutput: formatUnits(vaultBalance),
                         ratio: formatUnits(ethers.constants.Zero),
                     }),
-                    "details.estimatedProfit": formatUnits(
-                        estimateProfit(
-                            orderPairObject,
-                            getCurrentInputToEthPrice(),
-                            ethers.utils.parseUnits("1"),
-                            undefined,
-                            getCurrentPrice(vaultBalance),
-                            vaultBalance,
-                        ),
-                    ),
+                    "details.estimatedProfit": formatUnits(estimatedProfit),
                     "details.gasEst.headroom.gasLimit": gasLimitEstimation.toString(),
                     "details.gasEst.headroom.gasPrice": gasPrice
                         .mul(config.gasPriceMultiplier)
@@ -606,9 +612,19 @@ describe("Test process pair", async function () {
             )();
             assert.fail("expected to reject, but resolved");
         } catch (error) {
+            const estimatedProfit = estimateProfit(
+                orderPairObject,
+                getCurrentInputToEthPrice(),
+                ethers.utils.parseUnits("1"),
+                undefined,
+                getCurrentPrice(vaultBalance),
+                vaultBalance,
+            );
             const expected = {
                 report: {
                     status: ProcessPairReportStatus.FoundOpportunity,
+                    estimatedProfit,
+                    clearMode: "rp4",
                     tokenPair: pair,
                     buyToken: orderPairObject.buyToken,
                     sellToken: orderPairObject.sellToken,
@@ -646,16 +662,7 @@ describe("Test process pair", async function () {
                         maxOutput: formatUnits(vaultBalance),
                         ratio: formatUnits(ethers.constants.Zero),
                     }),
-                    "details.estimatedProfit": formatUnits(
-                        estimateProfit(
-                            orderPairObject,
-                            getCurrentInputToEthPrice(),
-                            ethers.utils.parseUnits("1"),
-                            undefined,
-                            getCurrentPrice(vaultBalance),
-                            vaultBalance,
-                        ),
-                    ),
+                    "details.estimatedProfit": formatUnits(estimatedProfit),
                     "details.gasEst.headroom.gasLimit": gasLimitEstimation.toString(),
                     "details.gasEst.headroom.gasPrice": gasPrice
                         .mul(config.gasPriceMultiplier)
@@ -725,9 +732,19 @@ describe("Test process pair", async function () {
                 gas: gasLimitEstimation.toString(),
                 from: signer.account.address,
             };
+            const estimatedProfit = estimateProfit(
+                orderPairObject,
+                getCurrentInputToEthPrice(),
+                ethers.utils.parseUnits("1"),
+                undefined,
+                getCurrentPrice(vaultBalance),
+                vaultBalance,
+            );
             const expected = {
                 report: {
                     status: ProcessPairReportStatus.FoundOpportunity,
+                    estimatedProfit,
+                    clearMode: "rp4",
                     tokenPair: pair,
                     buyToken: orderPairObject.buyToken,
                     sellToken: orderPairObject.sellToken,
@@ -760,16 +777,7 @@ describe("Test process pair", async function () {
                         maxOutput: formatUnits(vaultBalance),
                         ratio: formatUnits(ethers.constants.Zero),
                     }),
-                    "details.estimatedProfit": formatUnits(
-                        estimateProfit(
-                            orderPairObject,
-                            getCurrentInputToEthPrice(),
-                            ethers.utils.parseUnits("1"),
-                            undefined,
-                            getCurrentPrice(vaultBalance),
-                            vaultBalance,
-                        ),
-                    ),
+                    "details.estimatedProfit": formatUnits(estimatedProfit),
                     "details.gasEst.headroom.gasLimit": gasLimitEstimation.toString(),
                     "details.gasEst.headroom.gasPrice": gasPrice
                         .mul(config.gasPriceMultiplier)
@@ -783,4 +791,19 @@ describe("Test process pair", async function () {
             assert.deepEqual(error, expected);
         }
     });
+
+    it("should split a batch of orders into single order pair objects", async function () {
+        const batch = {
+            ...orderPairObject,
+            takeOrders: [
+                orderPairObject.takeOrders[0],
+                { ...orderPairObject.takeOrders[0], id: "0x2" },
+            ],
+        };
+        const result = splitOrderPairObject(batch);
+        assert.deepEqual(result, [
+            { ...orderPairObject, takeOrders: [batch.takeOrders[0]] },
+            { ...orderPairObject, takeOrders: [batch.takeOrders[1]] },
+        ]);
+    });
 });
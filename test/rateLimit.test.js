@@ -0,0 +1,45 @@
+const { assert } = require("chai");
+const { getRateLimiter, withRateLimit, waitForRateLimit } = require("../src/rateLimit");
+
+describe("Test rate limit", async function () {
+    it("should space out requests of an rpc", async function () {
+        const limiter = getRateLimiter("https://rpc-a.com", 20);
+        assert.equal(limiter.interval, 50);
+        assert.strictEqual(getRateLimiter("https://rpc-a.com", 20), limiter);
+
+        const start = Date.now();
+        const times = [];
+        await Promise.all(
+            [0, 1, 2, 3].map(async () => {
+                await waitForRateLimit(limiter);
+                times.push(Date.now() - start);
+            }),
+        );
+        assert.isBelow(times[0], 25);
+        assert.isAtLeast(times[3], 140);
+    });
+
+    it("should rate limit transport requests", async function () {
+        const requests = [];
+        const transport = () => ({
+            config: { key: "http" },
+            request: async (args) => {
+                requests.push(args.method);
+                return "0x1";
+            },
+        });
+        // no limit returns the transport as is
+        assert.strictEqual(withRateLimit(transport, "https://rpc-b.com"), transport);
+
+        const limited = withRateLimit(transport, "https://rpc-b.com", 10)({});
+        assert.deepEqual(limited.config, { key: "http" });
+        const start = Date.now();
+        await Promise.all([
+            limited.request({ method: "eth_blockNumber" }),
+            limited.request({ method: "eth_chainId" }),
+            limited.request({ method: "eth_gasPrice" }),
+        ]);
+        assert.isAtLeast(Date.now() - start, 190);
+        assert.deepEqual(requests, ["eth_blockNumber", "eth_chainId", "eth_gasPrice"]);
+    });
+});
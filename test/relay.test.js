@@ -0,0 +1,201 @@
+const { assert } = require("chai");
+const axios = require("axios");
+const { ethers } = require("ethers");
+const { TransactionReceiptNotFoundError } = require("viem");
+const {
+    relayRequest,
+    sendRelayedTx,
+    waitForRelayedTx,
+    pollRelayedTxStatus,
+} = require("../src/relay");
+
+describe("Test private relays", async function () {
+    const authKey = "0x" + "1".repeat(64);
+    const signedTx = "0x1234";
+    const post = axios.post;
+    afterEach(() => {
+        axios.post = post;
+    });
+
+    it("should sign the relay requests and submit to all relays", async function () {
+        const requests = [];
+        axios.post = async (url, body, options) => {
+            requests.push({ url, body: JSON.parse(body), options });
+            if (url === "https://failing-relay") return { data: { error: { message: "failed" } } };
+            const [address, signature] = options.headers["X-Flashbots-Signature"].split(":");
+            assert.equal(ethers.utils.verifyMessage(ethers.utils.id(body), signature), address);
+            const { method, params } = JSON.parse(body);
+            if (method === "eth_sendBundle") {
+                return { data: { result: { bundleHash: "0xbundle" + params[0].blockNumber } } };
+            }
+            return { data: { result: "ok" } };
+        };
+        assert.equal(await relayRequest("https://relay", "some_method", [], authKey), "ok");
+
+        const signer = {
+            account: {},
+            prepareTransactionRequest: async (tx) => tx,
+            signTransaction: async () => signedTx,
+            getBlockNumber: async () => 10n,
+        };
+        const config = {
+            relay: ["https://relay", "https://failing-relay"],
+            relayMethod: "bundle",
+            relayBlocks: 2,
+            relayAuthKey: authKey,
+        };
+        const spanAttributes = {};
+        requests.length = 0;
+        const result = await sendRelayedTx(signer, { nonce: 1 }, config, spanAttributes);
+        assert.equal(result.signedTx, signedTx);
+        assert.equal(result.maxBlockNumber, 12n);
+        assert.equal(result.nonce, 1);
+        assert.sameDeepMembers(result.bundles, [
+            { url: "https://relay", blockNumber: 11n, bundleHash: "0xbundle0xb" },
+            { url: "https://relay", blockNumber: 12n, bundleHash: "0xbundle0xc" },
+        ]);
+
+        // a bundle for each of the target blocks of each relay
+        assert.deepEqual(
+            requests
+                .filter((v) => v.url === "https://relay")
+                .map((v) => [v.body.method, v.body.params[0].blockNumber]),
+            [
+                ["eth_sendBundle", "0xb"],
+                ["eth_sendBundle", "0xc"],
+            ],
+        );
+        assert.equal(spanAttributes["details.relay.errors"].length, 1);
+
+        // rejects if all relays fail
+        config.relay = ["https://failing-relay"];
+        config.relayMethod = "private";
+        try {
+            await sendRelayedTx(signer, { nonce: 1 }, config, {});
+            throw "expected to reject, but resolved";
+        } catch (error) {
+            assert.equal(error, "failed to submit tx to relays: 0: failed");
+        }
+    });
+
+    it("should fallback to public mempool after the target blocks", async function () {
+        let block = 10n;
+        const sent = [];
+        const viemClient = {
+            getTransactionReceipt: async () => {
+                throw new TransactionReceiptNotFoundError({ hash: "0xhash" });
+            },
+            getBlockNumber: async () => block++,
+            sendRawTransaction: async ({ serializedTransaction }) =>
+                sent.push(serializedTransaction),
+        };
+        const spanAttributes = {};
+        const relayedTx = { signedTx, hash: "0xhash", maxBlockNumber: 11n, bundles: [] };
+        const config = { relay: ["https://relay"], relayMethod: "bundle", relayAuthKey: authKey };
+        const result = await waitForRelayedTx(relayedTx, viemClient, config, spanAttributes, 0);
+        assert.isUndefined(result);
+        assert.deepEqual(sent, [signedTx]);
+        assert.equal(spanAttributes["details.relay.fallback"], "missed target blocks");
+        assert.notProperty(spanAttributes, "details.relay.pollErrors");
+
+        // included within the target blocks
+        viemClient.getTransactionReceipt = async () => ({ status: "success" });
+        assert.deepEqual(await waitForRelayedTx(relayedTx, viemClient, config, {}, 0), {
+            status: "success",
+        });
+    });
+
+    it("should fallback to public mempool after the timeout and record the errors", async function () {
+        const sent = [];
+        const viemClient = {
+            getTransactionReceipt: async () => {
+                throw "rpc down";
+            },
+            getBlockNumber: async () => {
+                throw "rpc down";
+            },
+            sendRawTransaction: async ({ serializedTransaction }) =>
+                sent.push(serializedTransaction),
+        };
+        const spanAttributes = {};
+        const relayedTx = { signedTx, hash: "0xhash", maxBlockNumber: 11n, bundles: [] };
+        const config = { relay: ["https://relay"], relayMethod: "private" };
+        const result = await waitForRelayedTx(relayedTx, viemClient, config, spanAttributes, 1, 20);
+        assert.isUndefined(result);
+        assert.deepEqual(sent, [signedTx]);
+        assert.equal(spanAttributes["details.relay.fallback"], "timeout");
+        assert.isAbove(spanAttributes["details.relay.pollErrors"].length, 0);
+        assert.isAtMost(spanAttributes["details.relay.pollErrors"].length, 10);
+        assert.include(spanAttributes["details.relay.pollErrors"][0], "rpc down");
+    });
+
+    it("should poll the relays for the relayed tx status", async function () {
+        const requests = [];
+        let status = "PENDING";
+        axios.post = async (url, body) => {
+            const { method, params } = JSON.parse(body);
+            requests.push({ url, method, params });
+            if (url === "https://failing-relay") return { data: { error: { message: "failed" } } };
+            if (method === "flashbots_getBundleStatsV2")
+                return { data: { result: { isSimulated: true } } };
+            return { data: { result: { status } } };
+        };
+        const relayedTx = {
+            signedTx,
+            hash: "0xhash",
+            maxBlockNumber: 12n,
+            bundles: [
+                { url: "https://relay", blockNumber: 11n, bundleHash: "0xb1" },
+                { url: "https://relay", blockNumber: 12n, bundleHash: "0xb2" },
+            ],
+        };
+
+        // only the bundles of the passed target blocks are polled
+        const config = { relay: ["https://relay"], relayMethod: "bundle", relayAuthKey: authKey };
+        let spanAttributes = {};
+        assert.isFalse(await pollRelayedTxStatus(relayedTx, 11n, config, spanAttributes));
+        assert.deepEqual(requests, [
+            {
+                url: "https://relay",
+                method: "flashbots_getBundleStatsV2",
+                params: [{ bundleHash: "0xb1", blockNumber: "0xb" }],
+            },
+        ]);
+        assert.deepEqual(JSON.parse(spanAttributes["details.relay.status"]), {
+            "https://relay/11": { isSimulated: true },
+        });
+
+        // private tx is failed only if all relays report it so
+        config.relayMethod = "private";
+        requests.length = 0;
+        spanAttributes = {};
+        assert.isFalse(await pollRelayedTxStatus(relayedTx, 11n, config, spanAttributes));
+        assert.deepEqual(requests, [
+            { url: "https://relay", method: "eth_getPrivateTransactionStatus", params: ["0xhash"] },
+        ]);
+        status = "FAILED";
+        assert.isTrue(await pollRelayedTxStatus(relayedTx, 11n, config, spanAttributes));
+        config.relay.push("https://failing-relay");
+        spanAttributes = {};
+        assert.isFalse(await pollRelayedTxStatus(relayedTx, 11n, config, spanAttributes));
+        assert.equal(spanAttributes["details.relay.statusErrors"].length, 1);
+
+        // falls back once the relays report the tx as failed
+        config.relay = ["https://relay"];
+        const sent = [];
+        const viemClient = {
+            getTransactionReceipt: async () => {
+                throw new TransactionReceiptNotFoundError({ hash: "0xhash" });
+            },
+            getBlockNumber: async () => 11n,
+            sendRawTransaction: async ({ serializedTransaction }) =>
+                sent.push(serializedTransaction),
+        };
+        spanAttributes = {};
+        assert.isUndefined(
+            await waitForRelayedTx(relayedTx, viemClient, config, spanAttributes, 0),
+        );
+        assert.deepEqual(sent, [signedTx]);
+        assert.equal(spanAttributes["details.relay.fallback"], "failed on relays");
+    });
+});
@@ -0,0 +1,125 @@
+const { assert } = require("chai");
+const { ethers } = require("ethers");
+const { ProcessPairHaltReason, ProcessPairReportStatus } = require("../src/processOrders");
+const {
+    scheduleOrders,
+    getOrderScore,
+    createScheduler,
+    recordOrderAttempt,
+    STALE_ORDER_SCORE,
+} = require("../src/scheduler");
+
+describe("Test scheduler", async function () {
+    const orderPair = (id, maxOutput, sellToken = "0xC") => ({
+        orderbook: "0x" + "a".repeat(40),
+        buyToken: "0xB",
+        sellToken,
+        takeOrders: [
+            {
+                id,
+                quote:
+                    maxOutput === undefined
+                        ? undefined
+                        : { maxOutput: ethers.utils.parseUnits(maxOutput), ratio: 0 },
+            },
+        ],
+    });
+    // sell token 0xC is worth 0.01 eth, so 99 of it is worth 0.99 eth
+    const spanAttributes = {
+        "details.inputToEthPrice": "2",
+        "details.outputToEthPrice": "0.01",
+    };
+    const noOpp = { report: { status: ProcessPairReportStatus.NoOpportunity }, spanAttributes };
+    const foundOpp = {
+        report: { status: ProcessPairReportStatus.FoundOpportunity },
+        spanAttributes,
+    };
+    const reverted = {
+        reason: ProcessPairHaltReason.TxReverted,
+        report: { status: ProcessPairReportStatus.FoundOpportunity },
+        spanAttributes,
+    };
+    const score = (ethValue, rest) => Math.log10(1 + ethValue * 1e18) + rest;
+
+    it("should score orders by their history", async function () {
+        const scheduler = createScheduler(60_000);
+        const order = orderPair("0x01", "99");
+        assert.equal(getOrderScore(scheduler, order, 0), STALE_ORDER_SCORE * 2);
+
+        // no opportunity, deferred until its quote grows or it becomes stale
+        recordOrderAttempt(scheduler, order, noOpp, 0);
+        assert.isUndefined(getOrderScore(scheduler, order, 30_000));
+        assert.closeTo(
+            getOrderScore(scheduler, orderPair("0x01", "999"), 30_000),
+            score(9.99, 0.5),
+            1e-9,
+        );
+        assert.equal(getOrderScore(scheduler, order, 90_000), STALE_ORDER_SCORE + 1.5);
+        assert.equal(scheduler.ethPrices.get("0xb"), 2);
+        assert.equal(scheduler.ethPrices.get("0xc"), 0.01);
+
+        // failed to quote, scored by its last quote
+        assert.closeTo(getOrderScore(scheduler, orderPair("0x01"), 30_000), score(0.99, 0.5), 1e-9);
+
+        // found opportunity
+        recordOrderAttempt(scheduler, order, foundOpp, 0);
+        assert.closeTo(getOrderScore(scheduler, order, 30_000), score(0.99, 2.5), 1e-9);
+
+        // reverted with a grown quote
+        const revertedOrder = orderPair("0x02", "99");
+        recordOrderAttempt(scheduler, revertedOrder, reverted, 0);
+        assert.isUndefined(getOrderScore(scheduler, revertedOrder, 30_000));
+        assert.closeTo(
+            getOrderScore(scheduler, orderPair("0x02", "999"), 30_000),
+            score(9.99, -0.5),
+            1e-9,
+        );
+
+        // the sell token has no known eth price
+        const unpricedOrder = orderPair("0x03", "99", "0xD");
+        recordOrderAttempt(scheduler, unpricedOrder, { ...foundOpp, spanAttributes: {} }, 0);
+        assert.equal(getOrderScore(scheduler, unpricedOrder, 30_000), 2.5);
+    });
+
+    it("should rank pairs of different tokens by their value in eth", async function () {
+        const scheduler = createScheduler(60_000);
+        const items = [
+            { orderPairObject: orderPair("0x01", "999", "0xC") },
+            { orderPairObject: orderPair("0x02", "9", "0xB") },
+        ];
+        recordOrderAttempt(scheduler, items[0].orderPairObject, foundOpp, 0);
+        recordOrderAttempt(
+            scheduler,
+            items[1].orderPairObject,
+            { ...foundOpp, spanAttributes: { "details.outputToEthPrice": "2" } },
+            0,
+        );
+
+        // 9 of 0xB is worth 18 eth, more than 999 of 0xC worth 9.99 eth
+        const scheduled = scheduleOrders(scheduler, items, 1000);
+        assert.deepEqual(scheduled, [items[1], items[0]]);
+    });
+
+    it("should schedule orders by their score", async function () {
+        const scheduler = createScheduler(60_000);
+        const items = [
+            { orderPairObject: orderPair("0x01", "9") },
+            { orderPairObject: orderPair("0x02", "99") },
+            { orderPairObject: orderPair("0x03", "999") },
+            { orderPairObject: orderPair("0x04", "9") },
+            { orderPairObject: orderPair("0x05", "9") },
+        ];
+        recordOrderAttempt(scheduler, items[0].orderPairObject, noOpp, 0);
+        recordOrderAttempt(scheduler, items[1].orderPairObject, foundOpp, 0);
+        recordOrderAttempt(scheduler, items[2].orderPairObject, noOpp, 0);
+        recordOrderAttempt(scheduler, items[3].orderPairObject, noOpp, -60_000);
+
+        // never attempted first, then stale, then by expected value, the unchanged ones are deferred
+        const scheduled = scheduleOrders(scheduler, items, 1000);
+        assert.deepEqual(scheduled, [items[4], items[3], items[1]]);
+
+        // forgets the orders that have not been attempted for long
+        scheduleOrders(scheduler, items, 541_000);
+        assert.equal(scheduler.history.size, 3);
+    });
+});
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { assert } = require("chai");
+const {
+    StateStores,
+    getStateStore,
+    getOwnersLastIndex,
+    createFileStateStore,
+    restoreOwnersLastIndex,
+} = require("../src/store");
+
+describe("Test state store", async function () {
+    const state = {
+        lastReadOrdersTimestamp: 123,
+        lastReadOrders: [{ sg: "https://sg.com", skip: 5 }],
+        avgGasCost: "1000",
+        lastGasReset: 456,
+        lastUsedAccountIndex: 7,
+        accounts: [{ index: 6, bounty: [] }],
+        wgc: [{ index: 2, bounty: [{ address: "0x1", symbol: "A", decimals: 18 }] }],
+        wgcBuffer: [{ address: "0x2", count: 1 }],
+        ownersLastIndex: { "0xob": { "0xowner": 3 } },
+    };
+    let dir;
+    beforeEach(() => (dir = fs.mkdtempSync(path.join(os.tmpdir(), "arb-bot-store-"))));
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("should save and load states of chains in a json file", async function () {
+        const file = path.join(dir, "state.json");
+        const store = createFileStateStore(file);
+        assert.isUndefined(await store.load("polygon"));
+
+        await store.save("polygon", state);
+        await store.save("arbitrum", { ...state, lastUsedAccountIndex: 10 });
+        assert.deepEqual(await store.load("polygon"), state);
+
+        // another store of the same file should see both chains
+        const other = getStateStore(file);
+        assert.deepEqual(await other.load("arbitrum"), { ...state, lastUsedAccountIndex: 10 });
+        assert.isFalse(fs.existsSync(file + ".tmp"));
+
+        fs.writeFileSync(file, "{ invalid");
+        try {
+            await store.load("polygon");
+            throw "expected to fail";
+        } catch (error) {
+            assert.include(error, `failed to parse state file "${file}"`);
+        }
+    });
+
+    it("should get state store by its type", async function () {
+        const file = path.join(dir, "state.json");
+        await getStateStore("file://" + file).save("polygon", state);
+        assert.deepEqual(JSON.parse(fs.readFileSync(file)), { polygon: state });
+
+        StateStores.memory = () => ({ load: async () => state, save: async () => {} });
+        try {
+            assert.deepEqual(await getStateStore("memory://somewhere").load("polygon"), state);
+        } finally {
+            delete StateStores.memory;
+        }
+
+        try {
+            getStateStore("redis://localhost:6379");
+            throw "expected to fail";
+        } catch (error) {
+            assert.equal(error, 'unknown state store type "redis"');
+        }
+    });
+
+    it("should get and restore owners round-robin positions", async function () {
+        const orderbooksOwnersProfileMap = new Map([
+            [
+                "0xob",
+                new Map([
+                    ["0xowner", { limit: 5, lastIndex: 0, orders: new Map() }],
+                    ["0xother", { limit: 5, lastIndex: 2, orders: new Map() }],
+                ]),
+            ],
+        ]);
+        restoreOwnersLastIndex(orderbooksOwnersProfileMap, {
+            "0xob": { "0xowner": 3, "0xremoved": 1 },
+            "0xremovedob": { "0xowner": 4 },
+        });
+        assert.deepEqual(getOwnersLastIndex(orderbooksOwnersProfileMap), {
+            "0xob": { "0xowner": 3, "0xother": 2 },
+        });
+    });
+});
@@ -3,7 +3,13 @@ import { getLocal } from "mockttp";
 import { BigNumber, utils } from "ethers";
 import { encodeAbiParameters } from "viem";
 import { createViemClient } from "../src/config";
-import { getBountyEnsureRainlang, getWithdrawEnsureRainlang, parseRainlang } from "../src/task";
+import { arbAbis } from "../src/abis";
+import {
+    parseRainlang,
+    getBountyEnsureRainlang,
+    rebuildBountyEnsureTask,
+    getWithdrawEnsureRainlang,
+} from "../src/task";
 
 describe("Test task", async function () {
     const mockServer = getLocal();
@@ -105,4 +111,56 @@ total-bounty-eth: add(
 
         assert.equal(result, expected);
     });
+
+    it("should rebuild bounty ensure task of arb3 tx", async function () {
+        const bytecode = utils.hexlify(utils.randomBytes(32));
+        const config = {
+            viemClient: { readContract: async () => bytecode },
+            dispair: { deployer: utils.hexlify(utils.randomBytes(20)) },
+        } as any;
+        const arbInterface = new utils.Interface(arbAbis);
+        const orderbook = utils.getAddress(utils.hexlify(utils.randomBytes(20)));
+        const task = (bytecode: string) => ({
+            evaluable: {
+                interpreter: `0x${"1".repeat(40)}`,
+                store: `0x${"2".repeat(40)}`,
+                bytecode,
+            },
+            signedContext: [],
+        });
+        const takeOrders = {
+            minimumInput: 1,
+            maximumInput: 2,
+            maximumIORatio: 3,
+            orders: [],
+            data: "0x",
+        };
+        const rawtx = {
+            to: orderbook as `0x${string}`,
+            data: arbInterface.encodeFunctionData("arb3", [
+                orderbook,
+                takeOrders,
+                task("0x1234"),
+            ]) as `0x${string}`,
+        };
+        const args = ["1", "2", BigNumber.from(10), orderbook, config] as const;
+
+        assert.isTrue(await rebuildBountyEnsureTask(rawtx, ...args));
+        const result = arbInterface.decodeFunctionData("arb3", rawtx.data);
+        assert.equal(result.orderBook, orderbook);
+        assert.equal(result.task.evaluable.bytecode, bytecode);
+        assert.equal(result.task.evaluable.store, task(bytecode).evaluable.store);
+
+        // no task with 0 gas coverage
+        rawtx.data = arbInterface.encodeFunctionData("arb3", [
+            orderbook,
+            takeOrders,
+            task("0x"),
+        ]) as `0x${string}`;
+        assert.isFalse(await rebuildBountyEnsureTask(rawtx, ...args));
+
+        // not an arb3 tx
+        rawtx.data = "0x1234";
+        assert.isFalse(await rebuildBountyEnsureTask(rawtx, ...args));
+    });
 });
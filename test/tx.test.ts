@@ -1,16 +1,26 @@
 import { assert } from "chai";
 import fixtures from "./data";
 import { ethers } from "ethers";
+import { createNonceManager } from "../src/nonce";
 import { ProcessPairHaltReason, ProcessPairReportStatus } from "../src/processOrders";
-import { InsufficientFundsError, InvalidInputRpcError, TransactionReceipt } from "viem";
+import {
+    BaseError,
+    TransactionReceipt,
+    InvalidInputRpcError,
+    ExecutionRevertedError,
+    NonceTooLowError,
+    InsufficientFundsError,
+    WaitForTransactionReceiptTimeoutError,
+} from "viem";
 import {
     getNonce,
     getSigner,
-    pollSigners,
+    getWriteSigner,
     handleReceipt,
     sendTransaction,
     handleTransaction,
     getTxGas,
+    waitForReceiptOrReplace,
 } from "../src/tx";
 
 describe("Test tx", async function () {
@@ -37,7 +47,7 @@ describe("Test tx", async function () {
             account: { address: "0x1F1E4c845183EF6d50E9609F16f6f9cAE43BC9Cb" },
             BALANCE: ethers.BigNumber.from(0),
             BOUNTY: [],
-            BUSY: false,
+            NONCE: createNonceManager(),
             sendTransaction: async () => txHash,
             sendTx: async () => txHash,
             getTransactionCount: async () => 0,
@@ -130,6 +140,73 @@ describe("Test tx", async function () {
         assert.deepEqual(result, expected);
     });
 
+    it("should not submit transaction in dry run mode", async function () {
+        // mock signer to fail the test if it tries to submit the tx
+        signer.sendTx = async () => {
+            throw "should not submit tx in dry run mode";
+        };
+        const spanAttributes = {};
+        const rawtx = {
+            to: "0x" + "1".repeat(40),
+            data: "0x",
+            gas: 100n,
+        };
+        const res = {
+            reason: undefined,
+            error: undefined,
+            gasCost: undefined,
+            spanAttributes,
+            report: {
+                status: ProcessPairReportStatus.FoundOpportunity,
+                tokenPair: pair,
+                buyToken: orderPairObject.buyToken,
+                sellToken: orderPairObject.sellToken,
+                estimatedProfit: ethers.BigNumber.from(5),
+                clearMode: "rp4",
+            },
+        };
+        const result = await (
+            await handleTransaction(
+                signer,
+                viemClient,
+                spanAttributes,
+                rawtx as any,
+                orderbook,
+                orderPairObject,
+                inputToEthPrice,
+                outputToEthPrice,
+                res,
+                pair,
+                toToken,
+                fromToken,
+                { ...config, dryRun: true } as any,
+            )
+        )();
+        const expectedRawtx = { ...rawtx, from: signer.account.address };
+        const expected = {
+            reason: undefined,
+            error: undefined,
+            gasCost: undefined,
+            spanAttributes: {
+                "details.dryRun": true,
+                "details.rawTx": JSON.stringify(expectedRawtx, (_k, v) =>
+                    typeof v === "bigint" ? v.toString() : v,
+                ),
+            },
+            report: {
+                status: ProcessPairReportStatus.FoundOpportunity,
+                tokenPair: pair,
+                buyToken: orderPairObject.buyToken,
+                sellToken: orderPairObject.sellToken,
+                estimatedProfit: ethers.BigNumber.from(5),
+                clearMode: "rp4",
+                dryRun: true,
+                rawtx: expectedRawtx,
+            },
+        };
+        assert.deepEqual(result, expected);
+    });
+
     it("handle fail to submit transaction", async function () {
         // mock signer to reject the sendTransaction
         signer.sendTx = async () => {
@@ -367,6 +444,52 @@ describe("Test tx", async function () {
         }
     });
 
+    it("should send concurrent transactions of a signer with consecutive nonces", async function () {
+        const rawtx: any = {
+            to: "0x" + "1".repeat(40),
+            data: "",
+        };
+        let sending = 0;
+        let maxSending = 0;
+        const nonces: number[] = [];
+        signer.sendTransaction = async (tx: any) => {
+            sending++;
+            maxSending = Math.max(maxSending, sending);
+            nonces.push(tx.nonce);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            sending--;
+            return txHash;
+        };
+        const result = await Promise.all([
+            sendTransaction(signer, rawtx),
+            sendTransaction(signer, rawtx),
+            sendTransaction(signer, rawtx),
+        ]);
+        assert.deepEqual(result, [txHash, txHash, txHash]);
+        assert.deepEqual(nonces, [0, 1, 2]);
+        assert.equal(maxSending, 3);
+        assert.equal(signer.NONCE.inflight.size, 0);
+
+        // sent nonces are pending until their txs are mined
+        let mine: any;
+        signer.waitForTransactionReceipt = () => new Promise((resolve) => (mine = resolve));
+        signer.sendTransaction = async (tx: any) => "0x" + tx.nonce.toString().repeat(64);
+        const hash = await sendTransaction(signer, rawtx);
+        assert.equal(signer.NONCE.pending.get(hash), 3);
+        mine();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.equal(signer.NONCE.pending.size, 0);
+
+        // replacements are sent with their own nonce
+        signer.sendTransaction = async (tx: any) => {
+            nonces.push(tx.nonce);
+            return txHash;
+        };
+        await sendTransaction(signer, { ...rawtx, nonce: 1 });
+        assert.equal(nonces[3], 1);
+        assert.equal(signer.NONCE.next, 4);
+    });
+
     it("should test getNonce happy", async function () {
         // should get nonce succesfully
         const result = await getNonce(signer);
@@ -388,41 +511,39 @@ describe("Test tx", async function () {
 
     it("should test getSigner", async function () {
         // mock some signer accounts and main signer
-        const mainSigner: any = { BUSY: true };
-        const someMockedSigners: any[] = [
-            { BUSY: true },
-            { BUSY: true },
-            { BUSY: true },
-            { BUSY: true },
+        const signerWith = (inflight: number[], pending: number[] = []): any => ({
+            NONCE: {
+                ...createNonceManager(),
+                inflight: new Set(inflight),
+                pending: new Map(pending.map((v) => ["0x" + v, v])),
+            },
+        });
+        const mainSigner = signerWith([1, 2]);
+        const someMockedSigners = [
+            signerWith([1, 2]),
+            signerWith([3], [2]),
+            signerWith([], [4]),
+            signerWith([], [5, 6]),
         ];
 
-        // set timeout to free a signer after 2s
-        setTimeout(() => (someMockedSigners[2].BUSY = false), 2000);
-        // test multi account
+        // test multi account, the one with least txs being sent or not yet mined
         let result = await getSigner(someMockedSigners, mainSigner);
         assert.equal(result, someMockedSigners[2]);
 
-        // set timeout to free main signer after 2s
-        setTimeout(() => (mainSigner.BUSY = false), 2000);
-        // test single account
+        // test single account, never waited for
         result = await getSigner([], mainSigner);
         assert.equal(result, mainSigner);
     });
 
-    it("should test pollSigners", async function () {
-        // mock some signer accounts
-        const someMockedSigners: any[] = [
-            { BUSY: true },
-            { BUSY: true },
-            { BUSY: true },
-            { BUSY: true },
-        ];
-
-        // set timeout to free a signer after 2s
-        setTimeout(() => (someMockedSigners[2].BUSY = false), 2000);
-
-        const result = await pollSigners(someMockedSigners);
-        assert.equal(result, someMockedSigners[2]);
+    it("should share the signer's nonce manager with its write signer", async function () {
+        const writeConfig = {
+            ...config,
+            writeRpc: ["http://localhost:8545"],
+            walletKey: "0x" + "1".repeat(64),
+        };
+        const writeSigner = await getWriteSigner(writeConfig, signer);
+        assert.equal(writeSigner!.NONCE, signer.NONCE);
+        assert.isUndefined(await getWriteSigner({ ...config, writeRpc: undefined }, signer));
     });
 
     it("should test getTxGas", async function () {
@@ -447,4 +568,143 @@ describe("Test tx", async function () {
         result = getTxGas(config, gas);
         assert.equal(result, gas);
     });
+
+    it("should replace stuck transaction", async function () {
+        const stuckHash = "0x" + "1".repeat(64);
+        const sent: any[] = [];
+        const rawtx = {
+            to: ("0x" + "2".repeat(40)) as `0x${string}`,
+            data: "0x1234" as `0x${string}`,
+            gasPrice: 100n,
+            gas: 50_000n,
+        };
+        const config = { txReplaceTimeout: 1, chain: { blockExplorers: undefined } } as any;
+        // the sent tx is not yet known to the read rpc
+        viemClient.getTransaction = async () => {
+            throw new Error("transaction not found");
+        };
+        viemClient.waitForTransactionReceipt = async ({ hash }: any) => {
+            if (hash === stuckHash) {
+                throw new WaitForTransactionReceiptTimeoutError({ hash });
+            }
+            return { transactionHash: hash, status: "success" };
+        };
+        signer.estimateGas = async () => 50_000n;
+        signer.sendTx = async (tx: any) => {
+            sent.push(tx);
+            return txHash;
+        };
+
+        // sped up as the opportunity is still there
+        const spanAttributes: any = {};
+        const receipt = await waitForReceiptOrReplace(
+            stuckHash as `0x${string}`,
+            5,
+            rawtx,
+            signer,
+            viemClient,
+            spanAttributes,
+            config,
+        );
+        assert.equal(receipt.transactionHash, txHash);
+        assert.deepEqual(sent, [{ ...rawtx, type: "legacy", gasPrice: 120n, nonce: 5 }]);
+        assert.equal(JSON.parse(spanAttributes["details.txReplacements"])[0].type, "speedup");
+
+        // cancelled as the opportunity is gone
+        sent.length = 0;
+        signer.estimateGas = async (tx: any) => {
+            if (tx.data === "0x") return 30_000n;
+            throw new BaseError("", { cause: new ExecutionRevertedError() });
+        };
+        try {
+            await waitForReceiptOrReplace(
+                stuckHash as `0x${string}`,
+                5,
+                rawtx,
+                signer,
+                viemClient,
+                spanAttributes,
+                config,
+            );
+            assert.fail("expected to reject, but resolved");
+        } catch (error) {
+            assert.equal(error, "tx was cancelled as its opportunity was gone");
+        }
+        assert.deepEqual(sent, [
+            {
+                to: signer.account.address,
+                data: "0x",
+                value: 0n,
+                gas: 30_000n,
+                type: "legacy",
+                gasPrice: 120n,
+                nonce: 5,
+            },
+        ]);
+    });
+
+    it("should return the receipt of an earlier tx of the nonce that got mined", async function () {
+        const stuckHash = ("0x" + "1".repeat(64)) as `0x${string}`;
+        const rawtx = {
+            to: ("0x" + "2".repeat(40)) as `0x${string}`,
+            data: "0x1234" as `0x${string}`,
+            gasPrice: 100n,
+            gas: 50_000n,
+        };
+        const config = { txReplaceTimeout: 1, chain: { blockExplorers: undefined } } as any;
+        // no tx gets mined within the wait timeout
+        viemClient.waitForTransactionReceipt = async ({ hash }: any) => {
+            throw new WaitForTransactionReceiptTimeoutError({ hash });
+        };
+        signer.estimateGas = async () => 50_000n;
+        const sent: any[] = [];
+        signer.sendTx = async (tx: any) => {
+            sent.push(tx);
+            return txHash;
+        };
+
+        // the original tx is mined after it was replaced once
+        let isOriginalMined = false;
+        viemClient.getTransactionReceipt = async ({ hash }: any) => {
+            if (hash === stuckHash && isOriginalMined) {
+                return { transactionHash: hash, status: "success" };
+            }
+            throw new Error("receipt not found");
+        };
+        const originalSendTx = signer.sendTx;
+        signer.sendTx = async (tx: any) => {
+            const hash = await originalSendTx(tx);
+            isOriginalMined = true;
+            return hash;
+        };
+        let receipt = await waitForReceiptOrReplace(
+            stuckHash,
+            5,
+            rawtx,
+            signer,
+            viemClient,
+            {},
+            config,
+        );
+        assert.equal(receipt.transactionHash, stuckHash);
+        assert.equal(sent.length, 1);
+
+        // the replacement is rejected with nonce too low as the original tx got mined meanwhile
+        sent.length = 0;
+        isOriginalMined = false;
+        signer.sendTx = async () => {
+            isOriginalMined = true;
+            throw new BaseError("", { cause: new NonceTooLowError() });
+        };
+        receipt = await waitForReceiptOrReplace(
+            stuckHash,
+            5,
+            rawtx,
+            signer,
+            viemClient,
+            {},
+            config,
+        );
+        assert.equal(receipt.transactionHash, stuckHash);
+    });
 });
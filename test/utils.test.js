@@ -7,12 +7,17 @@ const {
 } = require("ethers");
 const {
     clone,
+    sleep,
     scale18,
     scale18To,
     getTotalIncome,
+    waitForNewBlock,
+    runConcurrently,
     checkOwnedOrders,
+    withSpanAttributes,
     extendSpanAttributes,
 } = require("../src/utils");
+const { BasicTracerProvider } = require("@opentelemetry/sdk-trace-base");
 
 describe("Test utils functions", async function () {
     it("should clone correctly", async function () {
@@ -145,4 +150,95 @@ describe("Test utils functions", async function () {
         };
         assert.deepEqual(spanAttrs, expected);
     });
+
+    it("should test withSpanAttributes", async function () {
+        const tracer = new BasicTracerProvider().getTracer("test");
+        const attrs = { "chain.name": "polygon" };
+        const chainTracer = withSpanAttributes(tracer, attrs);
+
+        const span1 = chainTracer.startSpan("span1", { attributes: { a: 1 } });
+        assert.deepEqual(span1.attributes, { "chain.name": "polygon", a: 1 });
+        span1.end();
+
+        // extended attributes apply to later spans
+        attrs["chain.id"] = 137;
+        chainTracer.startActiveSpan("span2", (span2) => {
+            assert.deepEqual(span2.attributes, { "chain.name": "polygon", "chain.id": 137 });
+            span2.end();
+        });
+    });
+
+    it("should test sleep with abort signal", async function () {
+        const controller = new AbortController();
+        let start = Date.now();
+        setTimeout(() => controller.abort(), 50);
+        assert.equal(await sleep(10_000, "woke", controller.signal), "woke");
+        assert.isBelow(Date.now() - start, 5_000);
+
+        // already aborted signal
+        start = Date.now();
+        await sleep(10_000, "", controller.signal);
+        assert.isBelow(Date.now() - start, 5_000);
+    });
+
+    it("should test waitForNewBlock", async function () {
+        let unwatched = 0;
+        const client = (blocks) => ({
+            watchBlockNumber: ({ onBlockNumber }) => {
+                blocks.forEach((v, i) => setTimeout(() => onBlockNumber(v), i * 10));
+                return () => unwatched++;
+            },
+        });
+        assert.equal(await waitForNewBlock(client([5n, 6n]), undefined, 1000), 5n);
+        assert.equal(await waitForNewBlock(client([5n, 5n, 6n]), 5n, 1000), 6n);
+        assert.equal(unwatched, 2);
+
+        // times out if no new block arrives
+        let start = Date.now();
+        assert.isUndefined(await waitForNewBlock(client([5n]), 5n, 50));
+        assert.isBelow(Date.now() - start, 5_000);
+
+        // stops on abort
+        const controller = new AbortController();
+        start = Date.now();
+        setTimeout(() => controller.abort(), 50);
+        assert.isUndefined(await waitForNewBlock(client([]), 5n, 10_000, controller.signal));
+        assert.isBelow(Date.now() - start, 5_000);
+        assert.equal(unwatched, 4);
+    });
+
+    it("should test runConcurrently", async function () {
+        let running = 0;
+        let maxRunning = 0;
+        const done = [];
+        const task = (i, ms, error) => async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await sleep(ms);
+            running--;
+            if (error) throw error;
+            done.push(i);
+        };
+        await runConcurrently([task(0, 100), task(1, 40), task(2, 40), task(3, 40)], 2);
+        assert.equal(maxRunning, 2);
+        assert.deepEqual(done, [1, 2, 0, 3]);
+
+        // no new task is started after a failure
+        done.length = 0;
+        maxRunning = 0;
+        try {
+            await runConcurrently([task(0, 10, "some error"), task(1, 30), task(2, 10)], 2);
+            throw "expected to fail";
+        } catch (error) {
+            assert.equal(error, "some error");
+        }
+        assert.deepEqual(done, [1]);
+
+        // runs sequentially with concurrency of 1
+        done.length = 0;
+        maxRunning = 0;
+        await runConcurrently([task(0, 10), task(1, 10)], 1);
+        assert.equal(maxRunning, 1);
+        assert.deepEqual(done, [0, 1]);
+    });
 });